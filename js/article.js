@@ -1,46 +1,84 @@
-<!doctype html>
-<html>
-<head>
-    <title>Example Domain</title>
-
-    <meta charset="utf-8" />
-    <meta http-equiv="Content-type" content="text/html; charset=utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <style type="text/css">
-    body {
-        background-color: #f0f0f2;
-        margin: 0;
-        padding: 0;
-        font-family: -apple-system, system-ui, BlinkMacSystemFont, "Segoe UI", "Open Sans", "Helvetica Neue", Helvetica, Arial, sans-serif;
-        
-    }
-    div {
-        width: 600px;
-        margin: 5em auto;
-        padding: 2em;
-        background-color: #fdfdff;
-        border-radius: 0.5em;
-        box-shadow: 2px 3px 7px 2px rgba(0,0,0,0.02);
-    }
-    a:link, a:visited {
-        color: #38488f;
-        text-decoration: none;
-    }
-    @media (max-width: 700px) {
-        div {
-            margin: 0 auto;
-            width: auto;
-        }
-    }
-    </style>    
-</head>
-
-<body>
-<div>
-    <h1>Example Domain</h1>
-    <p>This domain is for use in illustrative examples in documents. You may use this
-    domain in literature without prior coordination or asking for permission.</p>
-    <p><a href="https://www.iana.org/domains/example">More information...</a></p>
-</div>
-</body>
-</html>
+/**
+ * Catipedia article pages
+ * Behaviour for breed profiles and articles, which are rendered from article.html.
+ * Breed profiles get a control to save the breed as a favorite (see lib/lists.js).
+ */
+import { escapeHtml, mountAll } from './lib/dom.js';
+import { loadJSON } from './lib/breeds.js';
+import { ListStore } from './lib/lists.js';
+import { registerServiceWorker } from './lib/offline.js';
+import { pageStrings } from './lib/strings.js';
+
+var MAX_COMPARE = 4;
+
+// The root of the page's locale: / or /de/ for /de/breeds/persian/ (or /de/breeds/persian)
+function localeRoot() {
+  return window.location.pathname.replace(/breeds\/[^/]+(?:\/(?:index\.html)?)?$/, '');
+}
+
+function renderFavorites(container, slugs, matrix, root, t) {
+  if (!matrix || slugs.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  var links = matrix.breeds
+    .filter(function (breed) { return slugs.indexOf(breed.slug) !== -1; })
+    .map(function (breed) { return '<a href="' + escapeHtml(breed.url) + '">' + escapeHtml(breed.name) + '</a>'; });
+
+  container.innerHTML = escapeHtml(t('favorites.list')) + ' ' + links.join(', ') +
+    (slugs.length >= 2
+      ? ' · <a href="' + escapeHtml(root + 'compare.html?breeds=' + slugs.slice(0, MAX_COMPARE).join(',')) + '">' + escapeHtml(t('favorites.compare')) + '</a>'
+      : '');
+}
+
+function initFavorite(breed) {
+  var slug = breed.getAttribute('data-breed');
+  var root = localeRoot();
+  var t = pageStrings(breed);
+  var store = new ListStore();
+  var matrix = null;
+
+  var controls = document.createElement('p');
+  controls.className = 'breed-save';
+  controls.innerHTML = '<button type="button" class="breed-save__toggle" aria-pressed="false"></button> ' +
+    '<span class="breed-save__favorites"></span>';
+
+  var header = breed.querySelector('.breed-header');
+  if (header) {
+    header.appendChild(controls);
+  } else {
+    breed.insertBefore(controls, breed.firstChild);
+  }
+
+  var button = controls.querySelector('button');
+  var favorites = controls.querySelector('.breed-save__favorites');
+
+  var update = function () {
+    var saved = store.isFavorite(slug);
+    button.setAttribute('aria-pressed', String(saved));
+    button.textContent = saved ? '★ ' + t('favorites.saved') : '☆ ' + t('favorites.save');
+
+    var list = store.favorites();
+    renderFavorites(favorites, list ? list.breeds : [], matrix, root, t);
+  };
+
+  button.addEventListener('click', function () {
+    store.toggleFavorite(slug);
+  });
+
+  // Breed names for the favorites come from the locale's comparison data
+  loadJSON(root + 'data/compare.json').then(function (data) {
+    matrix = data;
+    update();
+  }).catch(function () {});
+
+  store.onChange(update);
+  store.connect();
+  update();
+}
+
+mountAll('[data-breed]', initFavorite);
+
+// Visitors often land on a breed page straight from a search engine
+registerServiceWorker();
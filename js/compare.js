@@ -1,46 +1,345 @@
-<!doctype html>
-<html>
-<head>
-    <title>Example Domain</title>
-
-    <meta charset="utf-8" />
-    <meta http-equiv="Content-type" content="text/html; charset=utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <style type="text/css">
-    body {
-        background-color: #f0f0f2;
-        margin: 0;
-        padding: 0;
-        font-family: -apple-system, system-ui, BlinkMacSystemFont, "Segoe UI", "Open Sans", "Helvetica Neue", Helvetica, Arial, sans-serif;
-        
-    }
-    div {
-        width: 600px;
-        margin: 5em auto;
-        padding: 2em;
-        background-color: #fdfdff;
-        border-radius: 0.5em;
-        box-shadow: 2px 3px 7px 2px rgba(0,0,0,0.02);
-    }
-    a:link, a:visited {
-        color: #38488f;
-        text-decoration: none;
+/**
+ * Catipedia compare page
+ * Side-by-side comparison of 2–4 breeds with a radar chart of trait scores.
+ * The selection lives in the URL (compare.html?breeds=maine-coon,ragdoll) so
+ * comparisons can be shared and bookmarked. Comparisons and favorites can be
+ * saved, also offline, and opened on another device (see lib/lists.js).
+ */
+import { escapeHtml, mountAll } from './lib/dom.js';
+import { formatValue, loadJSON } from './lib/breeds.js';
+import { registerServiceWorker } from './lib/offline.js';
+import { ListStore } from './lib/lists.js';
+import { pageStrings } from './lib/strings.js';
+
+var MIN_BREEDS = 2;
+var MAX_BREEDS = 4;
+var SERIES_COLORS = ['#c2410c', '#1d4ed8', '#15803d', '#7e22ce'];
+var SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Read the selected slugs from the URL, keeping only known breeds
+function readSelection(matrix) {
+  var known = {};
+  matrix.breeds.forEach(function (breed) { known[breed.slug] = true; });
+
+  var param = new URLSearchParams(window.location.search).get('breeds') || '';
+  var seen = {};
+  return param.split(',')
+    .map(function (slug) { return slug.trim().toLowerCase(); })
+    .filter(function (slug) {
+      if (!known[slug] || seen[slug]) return false;
+      seen[slug] = true;
+      return true;
+    })
+    .slice(0, MAX_BREEDS);
+}
+
+function writeSelection(slugs) {
+  var params = new URLSearchParams(window.location.search);
+  if (slugs.length > 0) {
+    params.set('breeds', slugs.join(','));
+  } else {
+    params.delete('breeds');
+  }
+
+  var query = params.toString().replace(/%2C/g, ',');
+  window.history.pushState({ breeds: slugs }, '', window.location.pathname + (query ? '?' + query : ''));
+}
+
+function allEqual(values) {
+  return values.every(function (value) { return value === values[0]; });
+}
+
+function renderPicker(container, matrix, selected, onChange, t) {
+  var full = selected.length >= MAX_BREEDS;
+
+  container.innerHTML = '<legend>' + escapeHtml(t('compare.picker', { min: MIN_BREEDS, max: MAX_BREEDS })) + '</legend>' +
+    matrix.breeds.map(function (breed) {
+      var checked = selected.indexOf(breed.slug) !== -1;
+      return '<label class="compare-picker__option">' +
+        '<input type="checkbox" value="' + escapeHtml(breed.slug) + '"' +
+        (checked ? ' checked' : '') + (full && !checked ? ' disabled' : '') + '> ' +
+        escapeHtml(breed.name) + '</label>';
+    }).join('');
+
+  container.onchange = function () {
+    var slugs = Array.prototype.map.call(
+      container.querySelectorAll('input:checked'),
+      function (input) { return input.value; }
+    );
+    onChange(slugs);
+  };
+}
+
+function renderTable(container, matrix, breeds, t) {
+  var head = '<tr><th scope="col">' + escapeHtml(t('compare.attribute')) + '</th>' + breeds.map(function (breed, index) {
+    return '<th scope="col" style="border-bottom-color:' + SERIES_COLORS[index] + '">' +
+      '<a href="' + escapeHtml(breed.url) + '">' + escapeHtml(breed.name) + '</a></th>';
+  }).join('') + '</tr>';
+
+  var row = function (label, values, display) {
+    var different = !allEqual(values.map(function (value) { return JSON.stringify(value); }));
+    return '<tr' + (different ? ' class="is-different"' : '') + '>' +
+      '<th scope="row">' + escapeHtml(label) + (different ? ' <span class="compare-diff">' + escapeHtml(t('compare.differs')) + '</span>' : '') + '</th>' +
+      display.map(function (text) { return '<td>' + escapeHtml(text) + '</td>'; }).join('') +
+      '</tr>';
+  };
+
+  var rows = Object.keys(matrix.attributes).map(function (key) {
+    var values = breeds.map(function (breed) { return breed[key]; });
+    return row(matrix.attributes[key], values, values.map(function (value) { return formatValue(key, value, t); }));
+  });
+
+  matrix.traits.forEach(function (trait, traitIndex) {
+    var values = breeds.map(function (breed) { return breed.scores[traitIndex]; });
+    rows.push(row(matrix.labels[trait], values, values.map(function (value) { return t('compare.score', { score: value }); })));
+  });
+
+  container.innerHTML = '<table class="compare-table"><thead>' + head + '</thead><tbody>' + rows.join('') + '</tbody></table>';
+}
+
+function svgElement(name, attributes) {
+  var element = document.createElementNS(SVG_NS, name);
+  Object.keys(attributes).forEach(function (key) { element.setAttribute(key, attributes[key]); });
+  return element;
+}
+
+// Radar chart: one axis per trait, scores 1–5 from the centre outwards
+function renderRadar(container, matrix, breeds, t) {
+  var size = 360;
+  var center = size / 2;
+  var radius = 120;
+  var axes = matrix.traits.length;
+
+  var point = function (axis, score) {
+    var angle = -Math.PI / 2 + (2 * Math.PI * axis) / axes;
+    var distance = radius * score / 5;
+    return [center + distance * Math.cos(angle), center + distance * Math.sin(angle)];
+  };
+
+  var svg = svgElement('svg', {
+    viewBox: '0 0 ' + size + ' ' + size,
+    role: 'img',
+    'aria-label': t('compare.radarLabel', { breeds: breeds.map(function (breed) { return breed.name; }).join(', ') })
+  });
+
+  for (var ring = 1; ring <= 5; ring++) {
+    var ringPoints = matrix.traits.map(function (trait, axis) { return point(axis, ring).join(','); });
+    svg.appendChild(svgElement('polygon', { points: ringPoints.join(' '), class: 'radar__ring', fill: 'none', stroke: '#d4d4d8' }));
+  }
+
+  matrix.traits.forEach(function (trait, axis) {
+    var end = point(axis, 5);
+    var labelPosition = point(axis, 6.1);
+    svg.appendChild(svgElement('line', { x1: center, y1: center, x2: end[0], y2: end[1], stroke: '#d4d4d8' }));
+
+    var label = svgElement('text', {
+      x: labelPosition[0],
+      y: labelPosition[1],
+      'text-anchor': Math.abs(labelPosition[0] - center) < 1 ? 'middle' : (labelPosition[0] > center ? 'start' : 'end'),
+      'dominant-baseline': 'middle',
+      'font-size': '10',
+      class: 'radar__label'
+    });
+    label.textContent = matrix.labels[trait];
+    svg.appendChild(label);
+  });
+
+  breeds.forEach(function (breed, index) {
+    var points = breed.scores.map(function (score, axis) { return point(axis, score).join(','); });
+    var polygon = svgElement('polygon', {
+      points: points.join(' '),
+      fill: SERIES_COLORS[index],
+      'fill-opacity': '0.15',
+      stroke: SERIES_COLORS[index],
+      'stroke-width': '2',
+      class: 'radar__series'
+    });
+    var title = svgElement('title', {});
+    title.textContent = breed.name;
+    polygon.appendChild(title);
+    svg.appendChild(polygon);
+  });
+
+  var legend = '<ul class="radar__legend">' + breeds.map(function (breed, index) {
+    return '<li><span class="radar__swatch" style="background:' + SERIES_COLORS[index] + '"></span>' + escapeHtml(breed.name) + '</li>';
+  }).join('') + '</ul>';
+
+  container.innerHTML = legend;
+  container.insertBefore(svg, container.firstChild);
+}
+
+function breedNames(matrix, slugs) {
+  return slugs.map(function (slug) {
+    var breed = matrix.breeds.filter(function (candidate) { return candidate.slug === slug; })[0];
+    return breed ? breed.name : slug;
+  }).join(', ');
+}
+
+function renderSaved(container, store, matrix, selected, t) {
+  var comparisons = store.lists('compare');
+  var favorites = store.favorites();
+  var token = store.token();
+
+  var saved = comparisons.length === 0
+    ? '<p>' + escapeHtml(t('lists.none')) + '</p>'
+    : '<ul class="compare-saved">' + comparisons.map(function (list) {
+      return '<li><button type="button" class="compare-saved__load" data-load="' + escapeHtml(list.key) + '">' + escapeHtml(list.name) + '</button> ' +
+        '<span class="compare-saved__breeds">' + escapeHtml(breedNames(matrix, list.breeds)) + '</span>' +
+        (list.dirty ? ' <span class="compare-saved__pending">' + escapeHtml(t('lists.pending')) + '</span>' : '') +
+        ' <button type="button" class="compare-saved__remove" data-remove="' + escapeHtml(list.key) + '"' +
+        ' aria-label="' + escapeHtml(t('lists.removeLabel', { name: list.name })) + '">' + escapeHtml(t('lists.remove')) + '</button></li>';
+    }).join('') + '</ul>';
+
+  var favoriteBreeds = favorites ? favorites.breeds : [];
+  var favoritesHtml = favoriteBreeds.length === 0
+    ? '<p>' + escapeHtml(t('lists.noFavorites')) + '</p>'
+    : '<p>' + escapeHtml(breedNames(matrix, favoriteBreeds)) + '</p>' +
+      (favoriteBreeds.length >= MIN_BREEDS
+        ? '<button type="button" data-compare-favorites>' +
+          escapeHtml(favoriteBreeds.length > MAX_BREEDS ? t('lists.compareFirstFavorites', { count: MAX_BREEDS }) : t('lists.compareFavorites')) +
+          '</button>'
+        : '');
+
+  container.querySelector('[data-lists-saved]').innerHTML = saved;
+  container.querySelector('[data-lists-favorites]').innerHTML = favoritesHtml;
+  container.querySelector('[data-lists-code]').innerHTML = token
+    ? escapeHtml(t('lists.code')) + ' <code>' + escapeHtml(token) + '</code>'
+    : escapeHtml(t('lists.noCode'));
+
+  var save = container.querySelector('[data-compare-save] button');
+  save.disabled = selected.length < MIN_BREEDS;
+}
+
+// Saved comparisons, favorites and the code that opens them on another device
+function initLists(container, matrix, selection, t) {
+  var store = new ListStore({ endpoint: container.getAttribute('data-compare-lists') || '/api/lists' });
+
+  container.innerHTML = '<h2>' + escapeHtml(t('lists.saved')) + '</h2>' +
+    '<form class="compare-save" data-compare-save>' +
+    '<label>' + escapeHtml(t('lists.name')) + ' <input type="text" name="name" maxlength="80" required></label> ' +
+    '<button type="submit">' + escapeHtml(t('lists.save')) + '</button></form>' +
+    '<div data-lists-saved></div>' +
+    '<h2>' + escapeHtml(t('lists.favorites')) + '</h2><div data-lists-favorites></div>' +
+    '<details class="compare-sync"><summary>' + escapeHtml(t('lists.sync')) + '</summary>' +
+    '<p data-lists-code></p>' +
+    '<form data-lists-token><label>' + escapeHtml(t('lists.codeLabel')) + ' <input type="text" name="token" autocomplete="off" required></label> ' +
+    '<button type="submit">' + escapeHtml(t('lists.useCode')) + '</button></form></details>' +
+    '<p class="compare-lists__status" data-lists-status aria-live="polite"></p>';
+
+  var status = container.querySelector('[data-lists-status]');
+  var update = function () { renderSaved(container, store, matrix, selection.get(), t); };
+
+  container.querySelector('[data-compare-save]').addEventListener('submit', function (event) {
+    event.preventDefault();
+    var input = event.target.elements.name;
+    var slugs = selection.get();
+    if (slugs.length < MIN_BREEDS || !input.value.trim()) return;
+
+    store.save({ kind: 'compare', name: input.value.trim(), breeds: slugs });
+    input.value = '';
+    status.textContent = t(navigator.onLine === false ? 'lists.status.savedOffline' : 'lists.status.saved');
+  });
+
+  container.querySelector('[data-lists-token]').addEventListener('submit', function (event) {
+    event.preventDefault();
+    var input = event.target.elements.token;
+    status.textContent = t('lists.status.loading');
+    store.useToken(input.value.trim()).then(function (synced) {
+      input.value = '';
+      status.textContent = t(synced ? 'lists.status.synced' : 'lists.status.pending');
+    }).catch(function () {
+      status.textContent = t('lists.status.badCode');
+    });
+  });
+
+  container.addEventListener('click', function (event) {
+    var target = event.target;
+    if (target.hasAttribute('data-load')) {
+      var list = store.find(target.getAttribute('data-load'));
+      if (list) selection.set(list.breeds.slice(0, MAX_BREEDS));
+    } else if (target.hasAttribute('data-remove')) {
+      store.remove(target.getAttribute('data-remove'));
+    } else if (target.hasAttribute('data-compare-favorites')) {
+      selection.set(store.favorites().breeds.slice(0, MAX_BREEDS));
     }
-    @media (max-width: 700px) {
-        div {
-            margin: 0 auto;
-            width: auto;
+  });
+
+  store.onChange(update);
+  store.connect();
+  update();
+  return update;
+}
+
+function initCompare(root) {
+  var picker = root.querySelector('[data-compare-picker]');
+  var chart = root.querySelector('[data-compare-chart]');
+  var table = root.querySelector('[data-compare-table]');
+  var status = root.querySelector('[data-compare-status]');
+  var share = root.querySelector('[data-compare-share]');
+  var lists = root.querySelector('[data-compare-lists]');
+  var source = root.getAttribute('data-compare') || '/data/compare.json';
+  var t = pageStrings(root);
+
+  loadJSON(source)
+    .then(function (matrix) {
+      var bySlug = {};
+      matrix.breeds.forEach(function (breed) { bySlug[breed.slug] = breed; });
+      var updateLists = null;
+
+      var render = function () {
+        var selected = readSelection(matrix);
+        var breeds = selected.map(function (slug) { return bySlug[slug]; });
+
+        renderPicker(picker, matrix, selected, function (slugs) {
+          writeSelection(slugs.slice(0, MAX_BREEDS));
+          render();
+        }, t);
+        if (updateLists) updateLists();
+
+        if (breeds.length < MIN_BREEDS) {
+          status.textContent = t('compare.status.pick', { min: MIN_BREEDS });
+          chart.innerHTML = '';
+          table.innerHTML = '';
+          if (share) share.hidden = true;
+          return;
         }
-    }
-    </style>    
-</head>
-
-<body>
-<div>
-    <h1>Example Domain</h1>
-    <p>This domain is for use in illustrative examples in documents. You may use this
-    domain in literature without prior coordination or asking for permission.</p>
-    <p><a href="https://www.iana.org/domains/example">More information...</a></p>
-</div>
-</body>
-</html>
+
+        status.textContent = t('compare.status.comparing', { breeds: breeds.map(function (breed) { return breed.name; }).join(', ') });
+        renderRadar(chart, matrix, breeds, t);
+        renderTable(table, matrix, breeds, t);
+        if (share) share.hidden = false;
+      };
+
+      if (lists) {
+        updateLists = initLists(lists, matrix, {
+          get: function () { return readSelection(matrix); },
+          set: function (slugs) {
+            writeSelection(slugs);
+            render();
+          }
+        }, t);
+      }
+
+      window.addEventListener('popstate', render);
+      render();
+    })
+    .catch(function () {
+      status.textContent = t('compare.status.unavailable');
+    });
+
+  if (share) {
+    share.addEventListener('click', function () {
+      var url = window.location.href;
+      if (navigator.share) {
+        navigator.share({ title: document.title, url: url }).catch(function () {});
+      } else if (navigator.clipboard) {
+        navigator.clipboard.writeText(url).then(function () {
+          status.textContent = t('compare.status.copied');
+        });
+      }
+    });
+  }
+}
+
+mountAll('[data-compare]', initCompare);
+registerServiceWorker();
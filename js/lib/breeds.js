@@ -0,0 +1,28 @@
+/**
+ * Catipedia breed data helpers
+ * Loading the JSON the build writes to /data/ and formatting breed attributes.
+ */
+
+export function loadJSON(url) {
+  return fetch(url).then(function (response) {
+    if (!response.ok) throw new Error('Failed to load ' + url + ': ' + response.status);
+    return response.json();
+  });
+}
+
+export function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// [min, max] ranges such as weight or lifespan; equal ends collapse to one number
+export function formatRange(range) {
+  return range[0] === range[1] ? String(range[0]) : range[0] + '–' + range[1];
+}
+
+// t, a translator from lib/strings.js, names sizes and coats in the page's language
+export function formatValue(key, value, t) {
+  if (value === null || value === undefined) return '–';
+  if (Array.isArray(value)) return formatRange(value);
+  if (key === 'size' || key === 'coat') return t ? t(key + '.' + value) : capitalize(value);
+  return String(value);
+}
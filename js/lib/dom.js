@@ -0,0 +1,34 @@
+/**
+ * Catipedia DOM helpers
+ * Small utilities shared by the page scripts.
+ */
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function debounce(fn, wait) {
+  var timer = null;
+  return function () {
+    var args = arguments;
+    clearTimeout(timer);
+    timer = setTimeout(function () { fn.apply(null, args); }, wait);
+  };
+}
+
+// Run init for every element matching selector once the document has loaded
+export function mountAll(selector, init) {
+  var mount = function () {
+    Array.prototype.forEach.call(document.querySelectorAll(selector), init);
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mount);
+  } else {
+    mount();
+  }
+}
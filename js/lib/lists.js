@@ -0,0 +1,336 @@
+/**
+ * Catipedia saved lists
+ * Favorite breeds and named comparison lists. Lists are saved in localStorage
+ * first, so saving works offline, and synced with /api/lists whenever the
+ * browser is online. The token the API hands out for the first synced list is
+ * kept with the lists; entering it on another device (useToken) shows the
+ * same lists there.
+ *
+ * A saved list: { key, id, kind, name, breeds, dirty, deleted, revision },
+ * where key is local, id is the server's (null until synced) and dirty marks
+ * changes the server has not seen yet.
+ */
+
+var STORAGE_KEY = 'catipedia.lists';
+var FAVORITES_NAME = 'Favorites';
+
+function localKey() {
+  return 'l' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function noop() {}
+
+// localStorage throws when storage is disabled; lists then last for the page view
+function defaultStorage() {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return { getItem: function () { return null; }, setItem: noop };
+  }
+}
+
+export function ListStore(options) {
+  options = options || {};
+  this.endpoint = options.endpoint || '/api/lists';
+  this.storage = options.storage || defaultStorage();
+  this.fetch = options.fetch || window.fetch.bind(window);
+  this.listeners = [];
+  this.syncing = null;
+  this.resync = false;
+  this.state = this.read();
+}
+
+ListStore.prototype.read = function () {
+  try {
+    var state = JSON.parse(this.storage.getItem(STORAGE_KEY));
+    if (state && Array.isArray(state.lists)) return state;
+  } catch (error) {
+    // Unreadable lists are replaced by an empty set
+  }
+  return { token: null, lists: [] };
+};
+
+ListStore.prototype.write = function () {
+  try {
+    this.storage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+  } catch (error) {
+    // Storage is full or disabled; the lists last until the page is closed
+  }
+  this.listeners.forEach(function (listener) { listener(); });
+};
+
+// Call listener whenever the lists change, here, through a sync or in another tab
+ListStore.prototype.onChange = function (listener) {
+  this.listeners.push(listener);
+};
+
+// Sync now, whenever the browser comes back online and pick up other tabs' changes
+ListStore.prototype.connect = function () {
+  var self = this;
+  window.addEventListener('online', function () { self.sync().catch(noop); });
+  window.addEventListener('storage', function (event) {
+    if (event.key !== STORAGE_KEY) return;
+    self.state = self.read();
+    self.listeners.forEach(function (listener) { listener(); });
+  });
+  this.sync().catch(noop);
+};
+
+ListStore.prototype.token = function () {
+  return this.state.token;
+};
+
+ListStore.prototype.lists = function (kind) {
+  return this.state.lists.filter(function (list) {
+    return !list.deleted && (!kind || list.kind === kind);
+  });
+};
+
+ListStore.prototype.find = function (key) {
+  return this.state.lists.filter(function (list) { return list.key === key; })[0] || null;
+};
+
+/**
+ * Save a new list, or change the one with the given key.
+ * @param {{ key?: string, kind: string, name: string, breeds: string[] }} fields
+ * @returns {object} the saved list
+ */
+ListStore.prototype.save = function (fields) {
+  var list = fields.key ? this.find(fields.key) : null;
+  if (!list) {
+    list = { key: localKey(), id: null, revision: 0 };
+    this.state.lists.push(list);
+  }
+
+  list.kind = fields.kind;
+  list.name = fields.name;
+  list.breeds = fields.breeds.slice();
+  this.touch(list);
+  return list;
+};
+
+ListStore.prototype.remove = function (key) {
+  var list = this.find(key);
+  if (!list) return;
+  list.deleted = true;
+  this.touch(list);
+};
+
+// Mark a changed list for the next sync and start one
+ListStore.prototype.touch = function (list) {
+  list.dirty = true;
+  list.revision += 1;
+  this.write();
+  this.sync().catch(noop);
+};
+
+ListStore.prototype.favorites = function () {
+  return this.lists('favorites')[0] || null;
+};
+
+ListStore.prototype.isFavorite = function (slug) {
+  var list = this.favorites();
+  return Boolean(list && list.breeds.indexOf(slug) !== -1);
+};
+
+// Add a breed to the favorites or take it out again; returns whether it is a favorite now
+ListStore.prototype.toggleFavorite = function (slug) {
+  var list = this.favorites();
+  var breeds = list ? list.breeds.slice() : [];
+  var index = breeds.indexOf(slug);
+
+  if (index === -1) {
+    breeds.push(slug);
+  } else {
+    breeds.splice(index, 1);
+  }
+
+  this.save({ key: list && list.key, kind: 'favorites', name: list ? list.name : FAVORITES_NAME, breeds: breeds });
+  return index === -1;
+};
+
+/**
+ * Switch to the token of another device. This device's lists are added to
+ * that token's lists on the next sync. A token the server turns down is
+ * dropped again.
+ * @returns {Promise<boolean>} settles when the sync does
+ */
+ListStore.prototype.useToken = function (token) {
+  var self = this;
+  if (token === this.state.token) return this.sync();
+
+  var previous = JSON.stringify(this.state);
+  this.state.token = token;
+  this.state.lists = this.state.lists.filter(function (list) { return !list.deleted; });
+  this.state.lists.forEach(function (list) {
+    list.id = null;
+    list.dirty = true;
+  });
+  this.write();
+
+  return this.sync().catch(function (error) {
+    if (error.status === 401) {
+      self.state = JSON.parse(previous);
+      self.write();
+    }
+    throw error;
+  });
+};
+
+ListStore.prototype.request = function (method, path, body) {
+  var headers = {};
+  if (this.state.token) headers.Authorization = 'Bearer ' + this.state.token;
+  if (body) headers['Content-Type'] = 'application/json';
+
+  return this.fetch(this.endpoint + path, {
+    method: method,
+    headers: headers,
+    body: body ? JSON.stringify(body) : undefined
+  }).then(function (response) {
+    if (response.status === 204) return null;
+    return response.json().then(function (result) {
+      if (!response.ok) {
+        var error = new Error(result && result.error ? result.error.message : 'Request failed: ' + response.status);
+        error.status = response.status;
+        throw error;
+      }
+      return result;
+    });
+  });
+};
+
+/**
+ * Send local changes to the server, then bring in changes made on other
+ * devices. Does nothing while the browser is offline; a sync asked for while
+ * one is running runs again once it is done.
+ * @returns {Promise<boolean>} whether a sync ran
+ */
+ListStore.prototype.sync = function () {
+  var self = this;
+  if (navigator.onLine === false) return Promise.resolve(false);
+
+  if (this.syncing) {
+    this.resync = true;
+    return this.syncing;
+  }
+
+  this.syncing = this.push()
+    .then(function () { return self.pull(); })
+    .then(function () {
+      self.syncing = null;
+      if (!self.resync) return true;
+      self.resync = false;
+      return self.sync();
+    }, function (error) {
+      self.syncing = null;
+      self.resync = false;
+      throw error;
+    });
+  return this.syncing;
+};
+
+// One list at a time, so the first one can bring back the token the rest need
+ListStore.prototype.push = function () {
+  var self = this;
+  return this.state.lists
+    .filter(function (list) { return list.dirty; })
+    .reduce(function (previous, list) {
+      return previous.then(function () { return self.pushList(list); });
+    }, Promise.resolve());
+};
+
+ListStore.prototype.pushList = function (list) {
+  var self = this;
+  var revision = list.revision;
+
+  // Changes made while the request was out still need sending
+  var sent = function () {
+    if (list.revision === revision) list.dirty = false;
+    self.write();
+  };
+  var forget = function () {
+    self.state.lists = self.state.lists.filter(function (candidate) { return candidate !== list; });
+    self.write();
+  };
+
+  if (list.deleted) {
+    if (!list.id) return Promise.resolve(forget());
+    return this.request('DELETE', '/' + list.id).then(forget, function (error) {
+      if (error.status === 404) return forget();
+      throw error;
+    });
+  }
+
+  var body = { kind: list.kind, name: list.name, breeds: list.breeds };
+  var saving = list.id
+    ? this.request('PUT', '/' + list.id, body)
+    : this.request('POST', '', body).then(function (result) {
+      self.state.token = result.token;
+      list.id = result.list.id;
+    });
+
+  return saving.then(sent, function (error) {
+    // Deleted on another device: save it again as a new list
+    if (error.status === 404 && list.id) {
+      list.id = null;
+      return self.pushList(list);
+    }
+    // The server will never take this list as it is, so keep it on this device only
+    if (error.status === 400) return sent();
+    throw error;
+  });
+};
+
+ListStore.prototype.pull = function () {
+  var self = this;
+  if (!this.state.token) return Promise.resolve();
+
+  return this.request('GET', '').then(function (result) {
+    var remote = {};
+    result.lists.forEach(function (list) { remote[list.id] = list; });
+
+    // Lists deleted on another device go, unless they changed here since
+    self.state.lists = self.state.lists.filter(function (list) {
+      return !list.id || list.dirty || remote[list.id];
+    });
+
+    self.state.lists.forEach(function (list) {
+      var copy = list.id && remote[list.id];
+      if (!copy) return;
+      if (!list.dirty) {
+        list.kind = copy.kind;
+        list.name = copy.name;
+        list.breeds = copy.breeds.slice();
+      }
+      delete remote[list.id];
+    });
+
+    Object.keys(remote).forEach(function (id) {
+      var copy = remote[id];
+      self.state.lists.push({ key: localKey(), id: id, kind: copy.kind, name: copy.name, breeds: copy.breeds.slice(), dirty: false, revision: 0 });
+    });
+
+    if (self.mergeFavorites()) self.resync = true;
+    self.write();
+  });
+};
+
+// Devices that each started favorites end up with one list holding them all
+ListStore.prototype.mergeFavorites = function () {
+  var favorites = this.lists('favorites');
+  if (favorites.length < 2) return false;
+
+  var kept = favorites.filter(function (list) { return list.id; })[0] || favorites[0];
+  favorites.forEach(function (list) {
+    if (list === kept) return;
+    list.breeds.forEach(function (slug) {
+      if (kept.breeds.indexOf(slug) === -1) kept.breeds.push(slug);
+    });
+    list.deleted = true;
+    list.dirty = true;
+    list.revision += 1;
+  });
+  kept.dirty = true;
+  kept.revision += 1;
+  return true;
+};
@@ -0,0 +1,14 @@
+/**
+ * Catipedia offline support
+ * Registers the service worker the build writes to /sw.js, which keeps the
+ * site shell and recently read breed pages available without a connection.
+ */
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  // Wait for the page itself to finish loading before the worker starts precaching
+  window.addEventListener('load', function () {
+    navigator.serviceWorker.register('/sw.js').catch(function () {});
+  });
+}
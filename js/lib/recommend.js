@@ -0,0 +1,279 @@
+/**
+ * Catipedia breed recommendations
+ * Ranks breeds against a reader's answers to the "which cat suits me"
+ * questionnaire. Shared by the form on index.html and the Worker's
+ * /api/recommend, so both give the same picks for the same answers.
+ *
+ * Breeds are records from /data/breeds.json: { slug, name, url, size, traits }.
+ */
+
+// Each answer adds criteria a breed is scored on. A criterion looks at a trait
+// score (at most max, at least min) or an attribute (one of values); required
+// criteria rule a breed out when missed.
+export var QUESTIONS = [
+  {
+    id: 'home',
+    answers: {
+      apartment: [
+        { attribute: 'size', values: ['small', 'medium'], weight: 2 },
+        { trait: 'energy', max: 3, weight: 2 }
+      ],
+      house: [
+        { trait: 'energy', max: 4, weight: 1 }
+      ],
+      'large-house': [
+        { trait: 'energy', min: 3, weight: 1 }
+      ]
+    }
+  },
+  {
+    id: 'allergies',
+    answers: {
+      none: [],
+      mild: [
+        { trait: 'allergens', max: 2, weight: 3 },
+        { trait: 'shedding', max: 3, weight: 1 }
+      ],
+      severe: [
+        { trait: 'allergens', max: 2, weight: 4, required: true },
+        { trait: 'shedding', max: 2, weight: 2 }
+      ]
+    }
+  },
+  {
+    id: 'kids',
+    answers: {
+      none: [],
+      older: [
+        { trait: 'kidFriendly', min: 3, weight: 2 }
+      ],
+      young: [
+        { trait: 'kidFriendly', min: 4, weight: 3 }
+      ]
+    }
+  },
+  {
+    id: 'pets',
+    answers: {
+      none: [],
+      cats: [
+        { trait: 'petFriendly', min: 3, weight: 2 }
+      ],
+      dogs: [
+        { trait: 'petFriendly', min: 4, weight: 3 }
+      ]
+    }
+  },
+  {
+    id: 'time',
+    answers: {
+      rarely: [
+        { trait: 'independence', min: 4, weight: 2 }
+      ],
+      some: [
+        { trait: 'independence', min: 2, weight: 1 }
+      ],
+      mostly: [
+        { trait: 'affection', min: 4, weight: 2 }
+      ]
+    }
+  },
+  {
+    id: 'grooming',
+    answers: {
+      minimal: [
+        { trait: 'grooming', max: 2, weight: 3 }
+      ],
+      weekly: [
+        { trait: 'grooming', max: 3, weight: 2 }
+      ],
+      daily: []
+    }
+  }
+];
+
+/**
+ * Text of explanations in English. Pages pass a translator for their own
+ * language to recommendBreeds; catalogs in locales/ use the same keys.
+ * recommend.why.<question>.<answer> names an answer, with answers camelCased.
+ */
+export var MESSAGES = {
+  'recommend.fits': '{label} suits {why}',
+  'recommend.stretch': '{label} is a stretch for {why}',
+  'recommend.high': '{label} is high for {why}',
+  'recommend.low': '{label} is low for {why}',
+  'recommend.score': '{trait} {value}/5',
+  'recommend.attribute.size': '{value} size',
+  'recommend.why.home.apartment': 'an apartment',
+  'recommend.why.home.house': 'a house',
+  'recommend.why.home.largeHouse': 'a large home',
+  'recommend.why.allergies.mild': 'mild allergies',
+  'recommend.why.allergies.severe': 'severe allergies',
+  'recommend.why.kids.older': 'older children',
+  'recommend.why.kids.young': 'young children',
+  'recommend.why.pets.cats': 'other cats',
+  'recommend.why.pets.dogs': 'a dog in the home',
+  'recommend.why.time.rarely': 'long days away',
+  'recommend.why.time.some': 'some time at home',
+  'recommend.why.time.mostly': 'being home most of the day',
+  'recommend.why.grooming.minimal': 'minimal grooming',
+  'recommend.why.grooming.weekly': 'weekly grooming',
+  'size.small': 'Small',
+  'size.medium': 'Medium',
+  'size.large': 'Large',
+  'trait.affection': 'Affection',
+  'trait.allergens': 'Allergen level',
+  'trait.energy': 'Energy',
+  'trait.grooming': 'Grooming needs',
+  'trait.independence': 'Independence',
+  'trait.kidFriendly': 'Good with children',
+  'trait.petFriendly': 'Good with other pets',
+  'trait.shedding': 'Shedding'
+};
+
+function english(key, params) {
+  return (MESSAGES[key] || key).replace(/\{(\w+)\}/g, function (match, name) { return String(params[name]); });
+}
+
+// Criteria a breed meets this well count as reasons for it, the rest as concerns
+var REASON_FIT = 0.75;
+
+/**
+ * Problems with a set of answers: unknown questions and answers, or no
+ * answers at all. Unanswered questions are fine and simply don't count.
+ * @param {Object<string, string>} answers question id to answer, e.g. { home: 'apartment' }
+ * @returns {string[]} one message per problem, empty when the answers can be used
+ */
+export function checkAnswers(answers) {
+  var problems = [];
+  var ids = QUESTIONS.map(function (question) { return question.id; });
+
+  Object.keys(answers).forEach(function (id) {
+    var question = QUESTIONS[ids.indexOf(id)];
+    if (!question) {
+      problems.push('Unknown question: ' + id + ' (expected ' + ids.join(', ') + ')');
+    } else if (!Object.prototype.hasOwnProperty.call(question.answers, answers[id])) {
+      problems.push('Invalid ' + id + ': ' + answers[id] + ' (expected ' + Object.keys(question.answers).join(', ') + ')');
+    }
+  });
+
+  if (problems.length === 0 && Object.keys(answers).length === 0) {
+    problems.push('Answer at least one of: ' + ids.join(', '));
+  }
+  return problems;
+}
+
+function criteriaFor(answers) {
+  var criteria = [];
+  QUESTIONS.forEach(function (question) {
+    var answer = answers[question.id];
+    if (answer === undefined) return;
+    question.answers[answer].forEach(function (criterion) {
+      criteria.push({ question: question.id, answer: answer, criterion: criterion });
+    });
+  });
+  return criteria;
+}
+
+// How well a value meets a criterion, from 0 to 1; each point over or under
+// a limit costs half
+function fitOf(criterion, value) {
+  if (criterion.values) return criterion.values.indexOf(value) !== -1 ? 1 : 0;
+  if (typeof value !== 'number') return 0;
+  if (criterion.max !== undefined && value > criterion.max) return Math.max(0, 1 - (value - criterion.max) / 2);
+  if (criterion.min !== undefined && value < criterion.min) return Math.max(0, 1 - (criterion.min - value) / 2);
+  return 1;
+}
+
+function answerKey(answer) {
+  return answer.replace(/-([a-z])/g, function (match, letter) { return letter.toUpperCase(); });
+}
+
+function describe(entry, value, fit, t) {
+  var criterion = entry.criterion;
+  var why = t('recommend.why.' + entry.question + '.' + answerKey(entry.answer));
+  var label = criterion.attribute
+    ? t('recommend.attribute.' + criterion.attribute, { value: t(criterion.attribute + '.' + value) })
+    : t('recommend.score', { trait: t('trait.' + criterion.trait), value: value });
+
+  if (fit >= REASON_FIT) return t('recommend.fits', { label: label, why: why });
+  if (criterion.attribute) return t('recommend.stretch', { label: label, why: why });
+  return t(criterion.max !== undefined ? 'recommend.high' : 'recommend.low', { label: label, why: why });
+}
+
+/**
+ * Rank breeds against a reader's answers.
+ * @param {object[]} breeds breed records from /data/breeds.json
+ * @param {Object<string, string>} answers checked with checkAnswers
+ * @param {function(string, Object): string} [t] translator for the text of
+ *   explanations, given keys of MESSAGES; English by default
+ * @returns {{ picks: object[], excluded: object[] }} picks best first as
+ *   { breed, match (0-100), reasons, concerns }, where reasons and concerns
+ *   are { question, answer, trait|attribute, value, text }; excluded lists the
+ *   breeds a required criterion ruled out as { breed, reasons }
+ */
+export function recommendBreeds(breeds, answers, t) {
+  var criteria = criteriaFor(answers);
+  t = t || english;
+  var picks = [];
+  var excluded = [];
+
+  breeds.forEach(function (breed) {
+    var total = 0;
+    var weights = 0;
+    var reasons = [];
+    var concerns = [];
+    var missed = [];
+
+    criteria.forEach(function (entry) {
+      var criterion = entry.criterion;
+      var value = criterion.attribute ? breed[criterion.attribute] : breed.traits[criterion.trait];
+      var fit = fitOf(criterion, value);
+      var explanation = {
+        question: entry.question,
+        answer: entry.answer,
+        value: value,
+        text: describe(entry, value, fit, t),
+        gain: criterion.weight * fit,
+        loss: criterion.weight * (1 - fit)
+      };
+      explanation[criterion.attribute ? 'attribute' : 'trait'] = criterion.attribute || criterion.trait;
+
+      total += criterion.weight * fit;
+      weights += criterion.weight;
+      if (criterion.required && fit < 1) missed.push(explanation);
+      (fit >= REASON_FIT ? reasons : concerns).push(explanation);
+    });
+
+    if (missed.length > 0) {
+      excluded.push({ breed: breed, reasons: missed.map(withoutScores) });
+      return;
+    }
+
+    picks.push({
+      breed: breed,
+      match: weights > 0 ? Math.round(total / weights * 100) : 100,
+      reasons: largestFirst(reasons, 'gain').map(withoutScores),
+      concerns: largestFirst(concerns, 'loss').map(withoutScores)
+    });
+  });
+
+  picks.sort(function (a, b) {
+    return b.match - a.match || a.breed.name.localeCompare(b.breed.name);
+  });
+
+  return { picks: picks, excluded: excluded };
+}
+
+// Reasons that added the most to a match first, concerns that cost the most first
+function largestFirst(explanations, key) {
+  return explanations.slice().sort(function (a, b) { return b[key] - a[key]; });
+}
+
+function withoutScores(explanation) {
+  var result = {};
+  Object.keys(explanation).forEach(function (key) {
+    if (key !== 'gain' && key !== 'loss') result[key] = explanation[key];
+  });
+  return result;
+}
@@ -0,0 +1,197 @@
+/**
+ * Catipedia Search
+ * Queries the sharded index the build writes to /search/. Shards are fetched
+ * on demand, so only the terms a query can match are ever downloaded.
+ */
+import { escapeHtml } from './dom.js';
+import { normalize, tokenize, shardFor } from './terms.mjs';
+
+export { normalize, tokenize } from './terms.mjs';
+
+// How close a query term has to be to an indexed term to count
+var MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.4 };
+var SNIPPET_RADIUS = 80;
+
+// Longer terms tolerate more typos; very short ones must be spelled right
+export function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Levenshtein distance that gives up once it exceeds max
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) previous[j] = j;
+
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i];
+    var rowMin = i;
+    for (var k = 1; k <= b.length; k++) {
+      current[k] = Math.min(
+        previous[k] + 1,
+        current[k - 1] + 1,
+        previous[k - 1] + (a[i - 1] === b[k - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[k]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Wrap words that match one of the terms in <mark>, escaping everything else
+export function highlight(text, terms) {
+  return text.split(/([A-Za-z0-9\u00c0-\u024f]+)/).map(function (part, index) {
+    if (index % 2 === 0) return escapeHtml(part);
+    var normalized = normalize(part);
+    var hit = terms.some(function (term) { return normalized.indexOf(term) === 0; });
+    return hit ? '<mark>' + escapeHtml(part) + '</mark>' : escapeHtml(part);
+  }).join('');
+}
+
+// Cut a window of text around the first matched term
+export function snippet(text, terms) {
+  var normalized = normalize(text);
+  var position = -1;
+
+  terms.forEach(function (term) {
+    var match = new RegExp('(^|[^a-z0-9])' + term.replace(/[^a-z0-9]/g, '')).exec(normalized);
+    if (match && (position === -1 || match.index < position)) position = match.index + match[1].length;
+  });
+
+  if (position === -1) position = 0;
+
+  var start = Math.max(0, position - SNIPPET_RADIUS);
+  var end = Math.min(text.length, position + SNIPPET_RADIUS);
+  while (start > 0 && /\S/.test(text[start - 1])) start--;
+  while (end < text.length && /\S/.test(text[end])) end++;
+
+  return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
+
+export function SearchIndex(options) {
+  options = options || {};
+  this.baseUrl = (options.baseUrl || '/search/').replace(/\/?$/, '/');
+  this.fetch = options.fetch || window.fetch.bind(window);
+  this.manifest = null;
+  this.docs = null;
+  this.shards = {};
+}
+
+SearchIndex.prototype.loadJSON = function (name) {
+  return this.fetch(this.baseUrl + name).then(function (response) {
+    if (!response.ok) throw new Error('Failed to load search data ' + name + ': ' + response.status);
+    return response.json();
+  });
+};
+
+SearchIndex.prototype.ready = function () {
+  var self = this;
+  if (!this.readyPromise) {
+    this.readyPromise = Promise.all([this.loadJSON('index.json'), this.loadJSON('docs.json')])
+      .then(function (results) {
+        self.manifest = results[0];
+        self.docs = results[1];
+      });
+  }
+  return this.readyPromise;
+};
+
+SearchIndex.prototype.loadShard = function (name) {
+  if (this.manifest.shards.indexOf(name) === -1) return Promise.resolve({});
+  if (!this.shards[name]) this.shards[name] = this.loadJSON(name + '.json');
+  return this.shards[name];
+};
+
+// Find indexed terms that match a query term, with how well they match
+SearchIndex.prototype.matchTerm = function (term, isLast) {
+  return this.loadShard(shardFor(term)).then(function (shard) {
+    var matches = [];
+    var typos = allowedTypos(term);
+
+    Object.keys(shard).forEach(function (candidate) {
+      var weight = 0;
+      if (candidate === term) {
+        weight = MATCH_WEIGHTS.exact;
+      } else if (candidate.indexOf(term) === 0 && (isLast || term.length >= 3)) {
+        // Shorter completions are closer to what was typed
+        weight = MATCH_WEIGHTS.prefix * (term.length / candidate.length + 1) / 2;
+      } else if (typos > 0 && editDistance(term, candidate, typos) <= typos) {
+        weight = MATCH_WEIGHTS.fuzzy;
+      }
+      if (weight > 0) matches.push({ term: candidate, weight: weight, postings: shard[candidate] });
+    });
+
+    return matches;
+  }).catch(function () {
+    return [];
+  });
+};
+
+/**
+ * Search the index. Every query term that matches anything has to match
+ * (exactly, as a prefix or within the typo budget); terms that match nothing,
+ * such as stop words, are ignored. Documents are ranked by field-weighted score.
+ * Resolves to [{ title, url, type, score, titleHtml, snippetHtml }].
+ */
+SearchIndex.prototype.search = function (query, options) {
+  var self = this;
+  var limit = (options && options.limit) || 10;
+  var terms = tokenize(query);
+
+  if (terms.length === 0) return Promise.resolve([]);
+
+  return this.ready().then(function () {
+    return Promise.all(terms.map(function (term, index) {
+      return self.matchTerm(term, index === terms.length - 1);
+    }));
+  }).then(function (termMatches) {
+    var scores = null;
+    var matchedTerms = [];
+
+    termMatches.forEach(function (matches) {
+      if (matches.length === 0) return;
+
+      var termScores = {};
+      matches.forEach(function (match) {
+        matchedTerms.push(match.term);
+        for (var i = 0; i < match.postings.length; i += 2) {
+          var docId = match.postings[i];
+          var score = match.postings[i + 1] * match.weight;
+          termScores[docId] = Math.max(termScores[docId] || 0, score);
+        }
+      });
+
+      if (scores === null) {
+        scores = termScores;
+        return;
+      }
+
+      var combined = {};
+      Object.keys(scores).forEach(function (docId) {
+        if (termScores[docId]) combined[docId] = scores[docId] + termScores[docId];
+      });
+      scores = combined;
+    });
+
+    return Object.keys(scores || {})
+      .map(function (docId) {
+        var doc = self.docs[docId];
+        return {
+          title: doc[0],
+          url: doc[1],
+          type: doc[2],
+          score: scores[docId],
+          titleHtml: highlight(doc[0], matchedTerms),
+          snippetHtml: highlight(snippet(doc[3], matchedTerms), matchedTerms)
+        };
+      })
+      .sort(function (a, b) { return b.score - a.score || a.title.localeCompare(b.title); })
+      .slice(0, limit);
+  });
+};
@@ -0,0 +1,36 @@
+/**
+ * Catipedia UI strings
+ * Text the page scripts write at runtime, in the page's language. A component
+ * carries it in a <template data-strings> of data-i18n elements, which the
+ * build translates like the rest of the page:
+ *
+ *   <template data-strings>
+ *     <span data-i18n="search.status.count">{count} result(s)</span>
+ *   </template>
+ */
+
+/**
+ * Translator for the strings under root: t(key, params) looks the key up in
+ * the page, then in defaults, and fills in {name} placeholders from params.
+ * @param {Element} root
+ * @param {Object<string, string>} [defaults]
+ * @returns {function(string, Object=): string}
+ */
+export function pageStrings(root, defaults) {
+  var strings = {};
+
+  Array.prototype.forEach.call(root.querySelectorAll('template[data-strings]'), function (template) {
+    // Browsers without <template> keep its children in the document
+    var content = template.content || template;
+    Array.prototype.forEach.call(content.querySelectorAll('[data-i18n]'), function (element) {
+      strings[element.getAttribute('data-i18n')] = element.textContent.trim();
+    });
+  });
+
+  return function (key, params) {
+    var template = strings[key] !== undefined ? strings[key] : (defaults && defaults[key] !== undefined ? defaults[key] : key);
+    return template.replace(/\{(\w+)\}/g, function (match, name) {
+      return params && params[name] !== undefined ? String(params[name]) : match;
+    });
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * Catipedia search terms
+ * How text is split into search terms, shared by the build, which indexes
+ * terms (scripts/lib/search-index.js), and js/lib/search.js, which looks
+ * queries up in that index, so the two cannot drift apart. The .mjs extension
+ * lets the CommonJS build load it as an ES module.
+ */
+
+export function normalize(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+export function tokenize(text) {
+  return normalize(text).split(/[^a-z0-9]+/).filter(function (term) {
+    return term.length > 0;
+  });
+}
+
+// The index shard that holds a term
+export function shardFor(term) {
+  return /^[a-z0-9]/.test(term) ? term[0] : '_';
+}
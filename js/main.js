@@ -1,46 +1,144 @@
-<!doctype html>
-<html>
-<head>
-    <title>Example Domain</title>
-
-    <meta charset="utf-8" />
-    <meta http-equiv="Content-type" content="text/html; charset=utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <style type="text/css">
-    body {
-        background-color: #f0f0f2;
-        margin: 0;
-        padding: 0;
-        font-family: -apple-system, system-ui, BlinkMacSystemFont, "Segoe UI", "Open Sans", "Helvetica Neue", Helvetica, Arial, sans-serif;
-        
-    }
-    div {
-        width: 600px;
-        margin: 5em auto;
-        padding: 2em;
-        background-color: #fdfdff;
-        border-radius: 0.5em;
-        box-shadow: 2px 3px 7px 2px rgba(0,0,0,0.02);
-    }
-    a:link, a:visited {
-        color: #38488f;
-        text-decoration: none;
+/**
+ * Catipedia main script
+ * Site-wide behaviour for index.html: the search box for breeds and articles
+ * and the "which cat suits me" questionnaire.
+ */
+import { debounce, escapeHtml, mountAll } from './lib/dom.js';
+import { SearchIndex } from './lib/search.js';
+import { MESSAGES, QUESTIONS, recommendBreeds } from './lib/recommend.js';
+import { loadJSON } from './lib/breeds.js';
+import { registerServiceWorker } from './lib/offline.js';
+import { pageStrings } from './lib/strings.js';
+
+var SEARCH_DEBOUNCE_MS = 150;
+var RECOMMEND_PICKS = 3;
+
+function renderResults(list, status, results, query, t) {
+  list.innerHTML = results.map(function (result) {
+    return '<li class="search-result search-result--' + escapeHtml(result.type) + '">' +
+      '<a href="' + escapeHtml(result.url) + '">' +
+      '<span class="search-result__title">' + result.titleHtml + '</span>' +
+      '<span class="search-result__snippet">' + result.snippetHtml + '</span>' +
+      '</a></li>';
+  }).join('');
+
+  list.hidden = results.length === 0;
+  status.textContent = query
+    ? (results.length === 0 ? t('search.status.none', { query: query }) : t('search.status.count', { count: results.length }))
+    : '';
+}
+
+function initSearch(form) {
+  var input = form.querySelector('input[type="search"]');
+  var list = form.querySelector('[data-search-results]');
+  var status = form.querySelector('[data-search-status]');
+  if (!input || !list || !status) return;
+
+  var t = pageStrings(form);
+  var index = new SearchIndex({ baseUrl: form.getAttribute('data-search') || '/search/' });
+  var latestQuery = '';
+
+  var run = function (query) {
+    latestQuery = query;
+    if (!query.trim()) {
+      renderResults(list, status, [], '', t);
+      return;
     }
-    @media (max-width: 700px) {
-        div {
-            margin: 0 auto;
-            width: auto;
-        }
+
+    index.search(query, { limit: 8 }).then(function (results) {
+      // Ignore responses for queries the user has already typed past
+      if (query === latestQuery) renderResults(list, status, results, query, t);
+    }).catch(function () {
+      status.textContent = t('search.status.unavailable');
+    });
+  };
+
+  input.addEventListener('input', debounce(function () { run(input.value); }, SEARCH_DEBOUNCE_MS));
+
+  // Submitting jumps to the best match
+  form.addEventListener('submit', function (event) {
+    var first = list.querySelector('a');
+    if (first) {
+      event.preventDefault();
+      window.location.href = first.getAttribute('href');
     }
-    </style>    
-</head>
-
-<body>
-<div>
-    <h1>Example Domain</h1>
-    <p>This domain is for use in illustrative examples in documents. You may use this
-    domain in literature without prior coordination or asking for permission.</p>
-    <p><a href="https://www.iana.org/domains/example">More information...</a></p>
-</div>
-</body>
-</html>
+  });
+
+  // Support links such as /?q=maine
+  var initialQuery = new URLSearchParams(window.location.search).get('q');
+  if (initialQuery) {
+    input.value = initialQuery;
+    run(initialQuery);
+  }
+}
+
+function readAnswers(form) {
+  var answers = {};
+  QUESTIONS.forEach(function (question) {
+    var checked = form.querySelector('input[name="' + question.id + '"]:checked');
+    if (checked) answers[question.id] = checked.value;
+  });
+  return answers;
+}
+
+function renderExplanations(className, explanations) {
+  if (explanations.length === 0) return '';
+  return '<ul class="' + className + '">' + explanations.map(function (explanation) {
+    return '<li>' + escapeHtml(explanation.text) + '</li>';
+  }).join('') + '</ul>';
+}
+
+function renderPicks(list, status, result, t) {
+  var picks = result.picks.slice(0, RECOMMEND_PICKS);
+
+  list.innerHTML = picks.map(function (pick) {
+    return '<li class="recommend-pick">' +
+      '<a class="recommend-pick__name" href="' + escapeHtml(pick.breed.url) + '">' + escapeHtml(pick.breed.name) + '</a> ' +
+      '<span class="recommend-pick__match">' + escapeHtml(t('recommend.match', { match: pick.match })) + '</span>' +
+      renderExplanations('recommend-pick__reasons', pick.reasons) +
+      renderExplanations('recommend-pick__concerns', pick.concerns) +
+      '</li>';
+  }).join('');
+  list.hidden = picks.length === 0;
+
+  var ruledOut = result.excluded.map(function (entry) {
+    return t('recommend.status.ruledOutBreed', { breed: entry.breed.name, reason: entry.reasons[0].text });
+  });
+  status.textContent = t(picks.length === 0 ? 'recommend.status.none' : 'recommend.status.matches') +
+    (ruledOut.length > 0 ? ' ' + t('recommend.status.ruledOut', { breeds: ruledOut.join(', ') }) : '');
+}
+
+function initRecommend(root) {
+  var form = root.querySelector('[data-recommend-form]');
+  var list = root.querySelector('[data-recommend-results]');
+  var status = root.querySelector('[data-recommend-status]');
+  if (!form || !list || !status) return;
+
+  var source = root.getAttribute('data-recommend') || '/data/breeds.json';
+  var t = pageStrings(root, MESSAGES);
+  var breeds = null;
+
+  var update = function () {
+    var answers = readAnswers(form);
+    if (Object.keys(answers).length === 0) return;
+
+    // The breed data is only fetched once the reader starts answering
+    breeds = breeds || loadJSON(source).then(function (data) { return data.breeds; });
+    breeds.then(function (records) {
+      renderPicks(list, status, recommendBreeds(records, answers, t), t);
+    }).catch(function () {
+      breeds = null;
+      status.textContent = t('recommend.status.unavailable');
+    });
+  };
+
+  form.addEventListener('change', update);
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    update();
+  });
+}
+
+mountAll('form[data-search]', initSearch);
+mountAll('[data-recommend]', initRecommend);
+registerServiceWorker();
@@ -7,10 +7,39 @@
 
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const { execSync } = require('child_process');
 const crypto = require('crypto');
+const { DevServer, FileWatcher } = require('./lib/dev-server');
+const { forEachTag, isLocalUrl, resolveUrl, rewriteUrls, splitUrl, toPosix } = require('./lib/html');
+const { minifyCSS, minifyJS } = require('./lib/minify');
+const { loadBreeds, loadBreedTranslations, translateBreed, formatDataError } = require('./lib/breed-data');
+const { loadArticles, translateArticle } = require('./lib/articles');
+const {
+  setAlternates, rebaseUrls: rebasePageUrls, UI_STRINGS
+} = require('./lib/pages');
+const {
+  discoverLocales, loadCatalog, createTranslator, pageStrings, localizeHtml, localeAlternates, fileLocale,
+  formatCoverage, DEFAULT_LOCALE, LOCALE_PATTERN
+} = require('./lib/i18n');
+const { pagePath, gitLastModified, buildSitemap, buildRobots } = require('./lib/sitemap');
+const { buildSearchIndex, breedSearchDocuments, articleSearchDocuments } = require('./lib/search-index');
+const { buildComparisonMatrix } = require('./lib/compare-matrix');
+const { buildApiData } = require('./lib/api-data');
+const { processImages, rewriteImages } = require('./lib/images');
+const { createReport, checkBudgets, diffReports, formatBytes, matchesPattern } = require('./lib/build-report');
+const { checkLinks, formatLinkIssue, ENTRY_PAGES } = require('./lib/link-checker');
+const { auditPage, formatFinding } = require('./lib/a11y');
+const { resolveImports, rebaseUrls, collectUsage, pruneCSS, criticalCSS } = require('./lib/css-bundle');
+const { bundleModules, isModuleSource, SHARED_CHUNK } = require('./lib/js-bundle');
+const { precacheManifest, buildServiceWorker, buildUnregisterWorker } = require('./lib/service-worker');
+const { breedStructuredData, articleStructuredData, socialMeta, checkStructuredData } = require('./lib/structured-data');
+const { loadProjectConfig, buildPipeline, ConfigError } = require('./lib/project-config');
+const { BuildCache, toolVersion } = require('./lib/build-cache');
+const { WorkerPool, defaultPoolSize } = require('./lib/worker-pool');
+const { CONFIG: DEPLOY_CONFIG } = require('./deploy');
 
-// Build configuration
+// Build directories; catipedia.config.js can move any of them with `dirs`
 const BUILD_CONFIG = {
   srcDir: './src',
   distDir: './dist',
@@ -18,21 +47,240 @@ const BUILD_CONFIG = {
   cssDir: './css',
   jsDir: './js',
   assetsDir: './assets',
-  tempDir: './temp'
+  dataDir: './data',
+  contentDir: './content',
+  localesDir: './locales',
+  tempDir: './temp',
+  logsDir: './logs'
 };
 
-class BuildManager {
+// Root files copied verbatim into dist
+const STATIC_FILES = [
+  { src: './index.html', dest: 'index.html' },
+  { src: './compare.html', dest: 'compare.html' },
+  { src: './favicon.svg', dest: 'favicon.svg' },
+  { src: './manifest.json', dest: 'manifest.json' }
+];
+
+// Layout of breed and article pages. It is not a page itself, so it stays out
+// of dist, the sitemap and the service worker.
+const PAGE_TEMPLATE = './article.html';
+
+// Assets that get content hashes in their file names in production.
+// Pages, the manifest and crawler files keep stable URLs.
+const FINGERPRINT_EXTENSIONS = [
+  '.css', '.js', '.svg', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.ico', '.woff', '.woff2'
+];
+const FINGERPRINTED_PATTERN = /\.[0-9a-f]{8}\.[^./]+$/;
+
+// Per-page size budgets in bytes: page pattern -> html|css|js|total -> raw|gzip|brotli.
+// Patterns are dist paths where * stays within a directory and ** crosses them.
+// Production builds fail when a page goes over budget.
+const PERFORMANCE_BUDGETS = {
+  'index.html': { js: { gzip: 50 * 1024 } },
+  'compare.html': { js: { gzip: 50 * 1024 } },
+  'breeds/*/index.html': { total: { gzip: 100 * 1024 } },
+  'articles/*/index.html': { total: { gzip: 100 * 1024 } }
+};
+
+// Class and id names that pruning must keep because scripts build them from
+// pieces (e.g. 'search-result--' + type) rather than writing them out
+const CSS_SAFELIST = [/^search-result--/, /^is-/];
+
+// Pages that get their above-the-fold CSS inlined with --critical-css
+const CRITICAL_CSS_PAGES = ['index.html'];
+
+// What the generated service worker caches. The shell (page files and globs
+// matched against unhashed dist paths) is precached on install; pages under
+// the prefixes and images are cached when visited, keeping at most maxEntries
+// each. Pages wait networkTimeout ms for the network before using the cache.
+const SERVICE_WORKER = {
+  shell: ['index.html', 'compare.html', 'manifest.json', 'favicon.svg', 'data/compare.json', 'data/breeds.json', 'css/**', 'js/**'],
+  pages: { prefixes: ['/breeds/', '/articles/'], maxEntries: 50 },
+  images: { maxEntries: 100 },
+  networkTimeout: 3000
+};
+
+// schema.org types that generated pages must describe in their JSON-LD, by page
+// pattern; build validation fails when one is missing or malformed
+const STRUCTURED_DATA_PAGES = {
+  'breeds/*/index.html': ['Article', 'Thing', 'BreadcrumbList'],
+  'articles/*/index.html': ['Article', 'BreadcrumbList']
+};
+
+// Build steps in the order they run; partial rebuilds keep the same order.
+// Plugins in catipedia.config.js can add steps and hook before or after any of them.
+const BUILD_STEPS = [
+  'cleanBuild',
+  'validateBreedData',
+  'loadTranslations',
+  'copyStaticFiles',
+  'generateBreedPages',
+  'generateArticlePages',
+  'generateSearchIndex',
+  'generateComparisonData',
+  'generateApiData',
+  'reportTranslationCoverage',
+  'processCSS',
+  'processJS',
+  'processSrcFiles',
+  'processImages',
+  'auditPages',
+  'generateSitemap',
+  'generateRobots',
+  'generateHashes',
+  'generateServiceWorker',
+  'generateBuildReport',
+  'validateBuild'
+];
+
+// How many grown files and pages to list after a build
+const REPORT_DIFF_LIMIT = 15;
+
+/**
+ * Runs the build. Besides printing progress it emits events, which is how
+ * other tools follow a build they started:
+ *
+ *   log        { level, message, step }  every message, verbose ones included
+ *   build:start { environment, production, steps }
+ *   step:start { name }
+ *   step:end   { name, duration, success }  duration in ms, hooks included
+ *   build:end  the result build() resolves to
+ *   rebuild    { steps, duration, success }  after each rebuild in watch mode
+ *
+ * options.quiet turns printing off, options.logFile writes every event as a
+ * JSON line to logs/ (or to the path given).
+ */
+class BuildManager extends EventEmitter {
   constructor(options = {}) {
+    super();
+    this.quiet = options.quiet || false;
+    this.logFile = null;
+    this.currentStep = null;
+    this.run = null;
     this.isProduction = options.production || process.env.NODE_ENV === 'production';
     this.verbose = options.verbose || false;
     this.clean = options.clean !== false;
+    this.watchMode = options.watch || options.serve || false;
+    this.serve = options.serve || false;
+    this.port = options.port || parseInt(process.env.PORT, 10) || 3000;
+    this.breeds = [];
+    this.breedSources = {};
+    this.articles = [];
+    this.imageManifest = {};
+    this.strict = options.strict || false;
+    this.criticalCss = options.criticalCss || false;
+    this.cssBundles = {};
+    this.pageSources = {};
+    this.translations = {};
+
+    // Deployment environment, decides the site URL and whether crawlers are allowed
+    this.environment = options.environment || process.env.CATIPEDIA_ENV ||
+      (this.isProduction ? 'production' : 'development');
+
+    // catipedia.config.js overrides the defaults above; options given here override it
+    const project = loadProjectConfig({
+      file: options.configFile,
+      dirs: Object.keys(BUILD_CONFIG),
+      context: { environment: this.environment, production: this.isProduction }
+    });
+    const settings = project.config;
+    this.configFile = project.file;
+    this.config = { ...BUILD_CONFIG, ...settings.dirs };
+    this.logFileOption = options.logFile || settings.logFile || false;
+
+    this.staticFiles = typeof settings.staticFiles === 'function'
+      ? settings.staticFiles(STATIC_FILES.map(file => ({ ...file })))
+      : settings.staticFiles || STATIC_FILES;
+    if (!Array.isArray(this.staticFiles) || !this.staticFiles.every(file => file && file.src && file.dest)) {
+      throw new ConfigError(project.file, ['staticFiles must return an array of { src, dest }']);
+    }
+
+    // Production minifies by default; the config can turn either kind on or off
+    const minify = typeof settings.minify === 'boolean' ? { css: settings.minify, js: settings.minify } : settings.minify || {};
+    this.minify = { css: minify.css ?? this.isProduction, js: minify.js ?? this.isProduction };
+    this.sourceMaps = options.sourceMaps ?? settings.sourceMaps ?? true;
+
+    this.budgets = options.budgets || settings.budgets || PERFORMANCE_BUDGETS;
+    this.cssSafelist = options.cssSafelist || settings.cssSafelist || CSS_SAFELIST;
+    this.criticalCssPages = settings.criticalCssPages || CRITICAL_CSS_PAGES;
+    this.serviceWorker = { ...SERVICE_WORKER, ...settings.serviceWorker };
+
+    // Environments from the config add to the deploy targets, or change their settings
+    this.environments = { ...DEPLOY_CONFIG };
+    for (const [name, environment] of Object.entries(settings.environments || {})) {
+      this.environments[name] = { ...DEPLOY_CONFIG[name], ...environment };
+    }
+
+    // Task output is cached in tempDir/cache, and tasks that do not depend on
+    // each other run on worker threads; jobs: 0 runs them on the main thread
+    this.cache = new BuildCache({
+      dir: path.join(this.config.tempDir, 'cache'),
+      version: toolVersion(path.join(__dirname, 'lib')),
+      enabled: options.cache ?? settings.cache ?? true
+    });
+    this.jobs = options.jobs ?? settings.jobs ?? defaultPoolSize();
+    if (!Number.isInteger(this.jobs) || this.jobs < 0) {
+      throw new Error(`Invalid number of jobs: ${this.jobs}`);
+    }
+    this.workers = new WorkerPool({ size: this.jobs });
+
+    // Plugin steps and hooks, placed around the built-in steps
+    this.plugins = settings.plugins || [];
+    this.pipeline = buildPipeline(BUILD_STEPS, this.plugins);
+
+    // Locales to build, the default first: it is served from the site root and
+    // every other locale from /<locale>/. Unless they are given, each catalog in
+    // locales/ adds one. options.localeFilter builds only some of them.
+    this.locales = options.locales || settings.locales ||
+      [DEFAULT_LOCALE, ...discoverLocales(this.config.localesDir).filter(locale => locale !== DEFAULT_LOCALE)];
+    const invalid = this.locales.filter(locale => !LOCALE_PATTERN.test(locale));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid locale(s): ${invalid.join(', ')}`);
+    }
+    if (options.localeFilter) {
+      const unknown = options.localeFilter.filter(locale => !this.locales.includes(locale));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown locale(s): ${unknown.join(', ')} (available: ${this.locales.join(', ')})`);
+      }
+      // The default locale is the site root, so it is always built
+      this.locales = this.locales.filter((locale, index) => index === 0 || options.localeFilter.includes(locale));
+    }
+
+    if (!this.environments[this.environment]) {
+      throw new Error(`Invalid environment: ${this.environment}`);
+    }
+    if (!this.environments[this.environment].deployTarget) {
+      throw new Error(`Environment ${this.environment} has no deployTarget`);
+    }
+    this.siteUrl = `https://${this.environments[this.environment].deployTarget}`;
     
-    console.log(`🏗️  Catipedia Build Manager`);
-    console.log(`🌍 Environment: ${this.isProduction ? 'Production' : 'Development'}`);
+    this.print(`🏗️  Catipedia Build Manager`);
+    this.print(`🌍 Environment: ${this.isProduction ? 'Production' : 'Development'}`);
+    this.print(`🎯 Target: ${this.environment} (${this.siteUrl})`);
+    if (this.locales.length > 1) {
+      this.print(`🗣️  Locales: ${this.locales.join(', ')}`);
+    }
+    if (this.configFile) {
+      const plugins = this.plugins.length > 0 ? `, ${this.plugins.length} plugin(s): ${this.plugins.map(plugin => plugin.name).join(', ')}` : '';
+      this.print(`⚙️  Config: ${this.configFile}${plugins}`);
+    }
+  }
+
+  // Write a line to the console unless the build is quiet
+  print(line) {
+    if (!this.quiet) console.log(line);
   }
 
   // Utility function for logging
   log(message, level = 'info') {
+    const text = message.trim();
+    // Warnings and errors end up in the build result
+    if (this.run && (level === 'warning' || level === 'error')) {
+      this.run[level === 'warning' ? 'warnings' : 'errors'].push({ message: text, step: this.currentStep });
+    }
+    this.event('log', { level, message: text, step: this.currentStep });
+
     if (level === 'verbose' && !this.verbose) return;
     
     const icons = {
@@ -43,7 +291,125 @@ class BuildManager {
       verbose: '🔍'
     };
     
-    console.log(`${icons[level] || '📝'} ${message}`);
+    this.print(`${icons[level] || '📝'} ${message}`);
+  }
+
+  // Emit an event and add it to the log file
+  event(name, data) {
+    this.emit(name, data);
+    if (this.logFile) {
+      fs.appendFileSync(this.logFile, `${JSON.stringify({ time: new Date().toISOString(), event: name, ...data })}\n`);
+    }
+  }
+
+  // Start a JSON-lines log file for this build when one was asked for
+  openLogFile() {
+    if (!this.logFileOption) return;
+    this.logFile = typeof this.logFileOption === 'string'
+      ? this.logFileOption
+      : path.join(this.config.logsDir, `build-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+    fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+  }
+
+  // URL path a locale's pages live under: / for the default locale, /<locale>/ otherwise
+  localePrefix(locale) {
+    return locale === this.locales[0] ? '/' : `/${locale}/`;
+  }
+
+  // Where a locale's pages are written
+  localeDir(locale) {
+    return locale === this.locales[0] ? this.config.distDir : path.join(this.config.distDir, locale);
+  }
+
+  // Add the other locales' copies of dist paths or path patterns to a list of them
+  localizedPatterns(patterns) {
+    return [...patterns, ...this.locales.slice(1).flatMap(locale => patterns.map(pattern => `${locale}/${pattern}`))];
+  }
+
+  // hreflang links for a page, given its dist path in the default locale
+  alternatesFor(file) {
+    return localeAlternates(pagePath(file), this.locales)
+      .map(alternate => ({ hreflang: alternate.hreflang, href: `${this.siteUrl}${alternate.path}` }));
+  }
+
+  // Look up UI strings in a locale's catalog, falling back to the default locale
+  translator(locale) {
+    const { strings = {} } = this.translations[locale] || {};
+    return createTranslator(strings, UI_STRINGS);
+  }
+
+  // Breed records in a locale; untranslated fields stay in the default locale
+  localizedBreeds(locale) {
+    const { breeds = {} } = this.translations[locale] || {};
+    return this.breeds.map(breed => translateBreed(breed, breeds[breed.slug]).breed);
+  }
+
+  // Articles in a locale; untranslated fields and bodies stay in the default locale
+  localizedArticles(locale) {
+    if (locale === this.locales[0]) return this.articles;
+    const { articles = {} } = this.translations[locale] || {};
+    return this.articles.map(article => translateArticle(article, articles[article.slug]).article);
+  }
+
+  // Breadcrumb trail from a locale's home page down to a page
+  breadcrumbs(locale, page) {
+    return [{ name: this.translator(locale)('breadcrumb.home'), url: `${this.siteUrl}${this.localePrefix(locale)}` }, page];
+  }
+
+  // Open Graph and Twitter card tags for a page in a locale
+  socialTags(locale, page) {
+    return socialMeta({ ...page, locale, alternateLocales: this.locales.filter(other => other !== locale) });
+  }
+
+  // Turn a page rendered for the default locale into a locale's copy of it
+  localizePage(html, locale) {
+    const options = this.localizeOptions(locale);
+    return options ? localizeHtml(html, options) : html;
+  }
+
+  // What localizeHtml() needs for a locale, null for the default locale
+  localizeOptions(locale) {
+    if (locale === this.locales[0]) return null;
+    const { strings = {} } = this.translations[locale] || {};
+    return { locale, prefix: this.localePrefix(locale), strings };
+  }
+
+  // Render a breed or article page in a locale as a build task and write it
+  async renderPageTask(template, page, content, locale, destPath) {
+    const { strings = {} } = this.translations[locale] || {};
+    const html = await this.task('renderPage', { template, page, content, strings, localize: this.localizeOptions(locale) });
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.writeFileSync(destPath, html);
+  }
+
+  // Render a section's index page (breeds/index.html, articles/index.html) in
+  // every locale; itemsFor(locale) lists its pages as { name, url, summary, updated }
+  indexPageTasks(template, section, itemsFor) {
+    return this.locales.map(locale => {
+      const t = this.translator(locale);
+      const prefix = this.localePrefix(locale);
+      const file = `${section}/index.html`;
+      const url = `${this.siteUrl}${prefix}${section}/`;
+      const title = t(`${section}.title`);
+      const items = itemsFor(locale);
+      const page = {
+        templateFile: path.basename(PAGE_TEMPLATE),
+        title: `${title} | Catipedia`,
+        description: t(`${section}.intro`),
+        canonical: url,
+        lang: locale,
+        alternates: this.alternatesFor(file),
+        meta: this.socialTags(locale, { title, description: t(`${section}.intro`), url, type: 'website' })
+      };
+
+      const localeFile = `${prefix.slice(1)}${file}`;
+      this.pageSources[localeFile] = {
+        source: PAGE_TEMPLATE,
+        updated: items.map(item => item.updated).filter(Boolean).sort().pop()
+      };
+      return this.renderPageTask(template, page, { index: { section, items } }, locale, path.join(this.localeDir(locale), file))
+        .then(() => this.log(`Generated ${localeFile}`, 'verbose'));
+    });
   }
 
   // Clean build directory
@@ -56,41 +422,104 @@ class BuildManager {
     this.log('Cleaning build directory...');
     
     try {
-      if (fs.existsSync(BUILD_CONFIG.distDir)) {
-        fs.rmSync(BUILD_CONFIG.distDir, { recursive: true, force: true });
+      if (fs.existsSync(this.config.distDir)) {
+        fs.rmSync(this.config.distDir, { recursive: true, force: true });
         this.log('Build directory cleaned', 'verbose');
       }
       
       // Create fresh dist directory
-      fs.mkdirSync(BUILD_CONFIG.distDir, { recursive: true });
+      fs.mkdirSync(this.config.distDir, { recursive: true });
       this.log('Build directory cleaned successfully', 'success');
     } catch (error) {
       throw new Error(`Failed to clean build directory: ${error.message}`);
     }
   }
 
+  // Load breed records and validate them against their schema version
+  async validateBreedData() {
+    this.log('Validating breed data...');
+
+    const { breeds, sources, errors } = loadBreeds({
+      breedsDir: path.join(this.config.dataDir, 'breeds'),
+      schemaDir: path.join(this.config.dataDir, 'schema')
+    });
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        this.log(formatDataError(error), 'error');
+      }
+      throw new Error(`Breed data validation failed with ${errors.length} error(s)`);
+    }
+
+    this.breeds = breeds;
+    this.breedSources = sources;
+    this.log(`Validated ${breeds.length} breed record(s)`, 'success');
+  }
+
+  // Read the UI string catalog, breed translations (data/breeds/<locale>/) and
+  // article translations (content/articles/<locale>/) of every other locale
+  async loadTranslations() {
+    this.translations = {};
+
+    if (this.locales.length === 1) {
+      this.log('No other locales to build, skipping translations', 'verbose');
+      return;
+    }
+
+    this.log('Loading translations...');
+
+    const errors = [];
+    for (const locale of this.locales.slice(1)) {
+      const catalog = loadCatalog(path.join(this.config.localesDir, `${locale}.json`));
+      const breeds = loadBreedTranslations({
+        translationsDir: path.join(this.config.dataDir, 'breeds', locale),
+        breeds: this.breeds,
+        schemaDir: path.join(this.config.dataDir, 'schema')
+      });
+      const articles = loadArticles({
+        articlesDir: path.join(this.config.contentDir, 'articles', locale),
+        breedSlugs: this.breeds.map(breed => breed.slug),
+        translation: true
+      });
+
+      errors.push(...catalog.errors, ...breeds.errors, ...articles.errors);
+      this.translations[locale] = {
+        strings: catalog.strings,
+        breeds: breeds.translations,
+        breedSources: breeds.sources,
+        articles: Object.fromEntries(articles.articles.map(article => [article.slug, article]))
+      };
+    }
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        this.log(formatDataError(error), 'error');
+      }
+      throw new Error(`Translation validation failed with ${errors.length} error(s)`);
+    }
+
+    this.log(`Loaded translations for ${this.locales.length - 1} locale(s)`, 'success');
+  }
+
   // Copy static files
   async copyStaticFiles() {
     this.log('Copying static files...');
-    
-    const staticFiles = [
-      { src: './index.html', dest: 'index.html' },
-      { src: './article.html', dest: 'article.html' },
-      { src: './compare.html', dest: 'compare.html' },
-      { src: './favicon.svg', dest: 'favicon.svg' },
-      { src: './manifest.json', dest: 'manifest.json' },
-      { src: './robots.txt', dest: 'robots.txt' },
-      { src: './sitemap.xml', dest: 'sitemap.xml' }
-    ];
 
     try {
-      for (const file of staticFiles) {
+      for (const file of this.staticFiles) {
         if (fs.existsSync(file.src)) {
-          const destPath = path.join(BUILD_CONFIG.distDir, file.dest);
+          const destPath = path.join(this.config.distDir, file.dest);
           fs.copyFileSync(file.src, destPath);
+          if (file.dest.endsWith('.html')) {
+            this.pageSources[file.dest] = { source: file.src };
+          }
           this.log(`Copied ${file.src} -> ${file.dest}`, 'verbose');
         }
       }
+
+      if (this.locales.length > 1) {
+        this.copyLocalizedPages();
+      }
       
       this.log('Static files copied successfully', 'success');
     } catch (error) {
@@ -98,105 +527,741 @@ class BuildManager {
     }
   }
 
-  // Process CSS files
+  // Link the static pages to their translations and write a translated copy
+  // for every other locale
+  copyLocalizedPages() {
+    const pages = this.staticFiles.filter(file => file.dest.endsWith('.html') && fs.existsSync(file.src));
+
+    for (const file of pages) {
+      const source = fs.readFileSync(file.src, 'utf8');
+      const alternates = this.alternatesFor(file.dest);
+      fs.writeFileSync(path.join(this.config.distDir, file.dest), setAlternates(source, alternates));
+
+      // Copies sit one directory deeper, so their relative URLs are made root-relative
+      const rebased = rebasePageUrls(source, file.dest);
+      for (const locale of this.locales.slice(1)) {
+        const dest = `${locale}/${file.dest}`;
+        const destPath = path.join(this.config.distDir, dest);
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
+        fs.writeFileSync(destPath, setAlternates(this.localizePage(rebased, locale), alternates));
+        this.pageSources[dest] = { source: file.src };
+        this.log(`Translated ${file.src} -> ${dest}`, 'verbose');
+      }
+    }
+  }
+
+  // Render the page template once per breed record into dist/breeds/<slug>/index.html,
+  // and into dist/<locale>/breeds/<slug>/index.html for every other locale
+  async generateBreedPages() {
+    if (this.breeds.length === 0) {
+      this.log('No breed records found, skipping breed pages', 'verbose');
+      return;
+    }
+
+    this.log('Generating breed pages...');
+
+    try {
+      if (!fs.existsSync(PAGE_TEMPLATE)) {
+        throw new Error(`Template not found: ${PAGE_TEMPLATE}`);
+      }
+
+      const template = fs.readFileSync(PAGE_TEMPLATE, 'utf8');
+      const pages = [];
+
+      for (const locale of this.locales) {
+        const prefix = this.localePrefix(locale);
+        const { breedSources = {} } = this.translations[locale] || {};
+
+        for (const breed of this.localizedBreeds(locale)) {
+          const file = `breeds/${breed.slug}/index.html`;
+          const url = `${this.siteUrl}${prefix}breeds/${breed.slug}/`;
+          const [image] = breed.images || [];
+          const page = {
+            templateFile: path.basename(PAGE_TEMPLATE),
+            title: `${breed.name} | Catipedia`,
+            description: breed.summary,
+            canonical: url,
+            lang: locale,
+            alternates: this.alternatesFor(file),
+            meta: this.socialTags(locale, {
+              title: breed.name,
+              description: breed.summary,
+              url,
+              image: image && { url: `${this.siteUrl}/${image.src}`, alt: image.alt }
+            }),
+            structuredData: breedStructuredData(breed, {
+              url,
+              siteUrl: this.siteUrl,
+              locale,
+              breadcrumbs: this.breadcrumbs(locale, { name: breed.name, url })
+            })
+          };
+
+          const localeFile = `${prefix.slice(1)}${file}`;
+          this.pageSources[localeFile] = {
+            source: breedSources[breed.slug] || this.breedSources[breed.slug],
+            updated: breed.updated
+          };
+          pages.push(this.renderPageTask(template, page, { breed }, locale, path.join(this.localeDir(locale), file))
+            .then(() => this.log(`Generated ${localeFile}`, 'verbose')));
+        }
+      }
+
+      pages.push(...this.indexPageTasks(template, 'breeds', locale => this.localizedBreeds(locale)
+        .sort((a, b) => a.name.localeCompare(b.name, locale))
+        .map(breed => ({ name: breed.name, url: `/breeds/${breed.slug}/`, summary: breed.summary, updated: breed.updated }))));
+
+      await Promise.all(pages);
+
+      const locales = this.locales.length > 1 ? ` in ${this.locales.length} locales` : '';
+      this.log(`Generated ${this.breeds.length} breed page(s)${locales}`, 'success');
+    } catch (error) {
+      throw new Error(`Failed to generate breed pages: ${error.message}`);
+    }
+  }
+
+  // Render Markdown articles from content/articles into dist/articles/<slug>/index.html,
+  // and into dist/<locale>/articles/<slug>/index.html for every other locale
+  async generateArticlePages() {
+    const articlesDir = path.join(this.config.contentDir, 'articles');
+    // Newest first; the site navigation links the index, so it is written even without articles
+    const articleIndex = locale => [...this.localizedArticles(locale)]
+      .sort((a, b) => (b.updated || '').localeCompare(a.updated || '') || a.title.localeCompare(b.title, locale))
+      .map(article => ({ name: article.title, url: `/articles/${article.slug}/`, summary: article.summary, updated: article.updated }));
+
+    if (!fs.existsSync(articlesDir)) {
+      this.articles = [];
+      this.log('No content/articles directory found, skipping articles', 'verbose');
+      await Promise.all(this.indexPageTasks(fs.readFileSync(PAGE_TEMPLATE, 'utf8'), 'articles', articleIndex));
+      return;
+    }
+
+    this.log('Generating article pages...');
+
+    const { articles, errors } = loadArticles({
+      articlesDir,
+      breedSlugs: this.breeds.map(breed => breed.slug)
+    });
+
+    const slugs = new Set(articles.map(article => article.slug));
+    for (const { articles: translated = {} } of Object.values(this.translations)) {
+      for (const translation of Object.values(translated).filter(article => !slugs.has(article.slug))) {
+        errors.push({ file: translation.file, field: '(file)', message: `there is no article "${translation.slug}" to translate` });
+      }
+    }
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        this.log(formatDataError(error), 'error');
+      }
+      throw new Error(`Article validation failed with ${errors.length} error(s)`);
+    }
+
+    try {
+      if (!fs.existsSync(PAGE_TEMPLATE)) {
+        throw new Error(`Template not found: ${PAGE_TEMPLATE}`);
+      }
+
+      const template = fs.readFileSync(PAGE_TEMPLATE, 'utf8');
+      this.articles = articles;
+      const pages = [];
+
+      for (const locale of this.locales) {
+        const prefix = this.localePrefix(locale);
+        const { articles: translated = {} } = this.translations[locale] || {};
+        const breedsBySlug = Object.fromEntries(this.localizedBreeds(locale).map(breed => [breed.slug, breed]));
+        const articlesDestDir = path.join(this.localeDir(locale), 'articles');
+
+        // Drop pages of articles that were renamed or deleted since the last build
+        fs.rmSync(articlesDestDir, { recursive: true, force: true });
+
+        for (const article of this.localizedArticles(locale)) {
+          const file = `articles/${article.slug}/index.html`;
+          const url = `${this.siteUrl}${prefix}articles/${article.slug}/`;
+          const relatedBreeds = (article.relatedBreeds || [])
+            .filter(slug => breedsBySlug[slug])
+            .map(slug => ({ name: breedsBySlug[slug].name, url: `${this.siteUrl}${prefix}breeds/${slug}/` }));
+          const page = {
+            templateFile: path.basename(PAGE_TEMPLATE),
+            title: `${article.title} | Catipedia`,
+            description: article.summary,
+            canonical: url,
+            lang: locale,
+            alternates: this.alternatesFor(file),
+            meta: this.socialTags(locale, { title: article.title, description: article.summary, url }),
+            structuredData: articleStructuredData(article, {
+              url,
+              siteUrl: this.siteUrl,
+              locale,
+              breadcrumbs: this.breadcrumbs(locale, { name: article.title, url }),
+              relatedBreeds
+            })
+          };
+
+          const localeFile = `${prefix.slice(1)}${file}`;
+          this.pageSources[localeFile] = {
+            source: translated[article.slug] ? translated[article.slug].file : article.file,
+            updated: article.updated
+          };
+          const destPath = path.join(articlesDestDir, article.slug, 'index.html');
+          pages.push(this.renderPageTask(template, page, { article, breedsBySlug }, locale, destPath)
+            .then(() => this.log(`Generated ${localeFile}`, 'verbose')));
+        }
+      }
+
+      pages.push(...this.indexPageTasks(template, 'articles', articleIndex));
+
+      await Promise.all(pages);
+
+      const locales = this.locales.length > 1 ? ` in ${this.locales.length} locales` : '';
+      this.log(`Generated ${articles.length} article page(s)${locales}`, 'success');
+    } catch (error) {
+      throw new Error(`Failed to generate article pages: ${error.message}`);
+    }
+  }
+
+  // Write the sharded search index that js/lib/search.js loads on demand, one per locale
+  async generateSearchIndex() {
+    this.log('Generating search index...');
+
+    try {
+      for (const locale of this.locales) {
+        const searchDir = path.join(this.localeDir(locale), 'search');
+        const prefix = this.localePrefix(locale);
+        const { manifest, docs, shards } = await buildSearchIndex([
+          ...breedSearchDocuments(this.localizedBreeds(locale), prefix),
+          ...articleSearchDocuments(this.localizedArticles(locale), prefix)
+        ]);
+
+        fs.rmSync(searchDir, { recursive: true, force: true });
+        fs.mkdirSync(searchDir, { recursive: true });
+        fs.writeFileSync(path.join(searchDir, 'index.json'), JSON.stringify(manifest));
+        fs.writeFileSync(path.join(searchDir, 'docs.json'), JSON.stringify(docs));
+
+        for (const [name, terms] of Object.entries(shards)) {
+          fs.writeFileSync(path.join(searchDir, `${name}.json`), JSON.stringify(terms));
+        }
+
+        const label = this.locales.length > 1 ? ` for ${locale}` : '';
+        this.log(`Search index generated${label} (${manifest.documents} documents, ${manifest.terms} terms, ${manifest.shards.length} shards)`, 'success');
+      }
+    } catch (error) {
+      throw new Error(`Failed to generate search index: ${error.message}`);
+    }
+  }
+
+  // Write the compact comparison matrix that compare.html loads, one per locale
+  async generateComparisonData() {
+    this.log('Generating comparison data...');
+
+    try {
+      for (const locale of this.locales) {
+        const dataDir = path.join(this.localeDir(locale), 'data');
+        const matrix = buildComparisonMatrix(this.localizedBreeds(locale), {
+          t: this.translator(locale),
+          urlPrefix: this.localePrefix(locale),
+          locale
+        });
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(path.join(dataDir, 'compare.json'), JSON.stringify(matrix));
+      }
+
+      const locales = this.locales.length > 1 ? ` in ${this.locales.length} locales` : '';
+      this.log(`Comparison data generated for ${this.breeds.length} breed(s)${locales}`, 'success');
+    } catch (error) {
+      throw new Error(`Failed to generate comparison data: ${error.message}`);
+    }
+  }
+
+  // Write the breed bundle the Worker's /api endpoints serve, one per locale
+  async generateApiData() {
+    this.log('Generating API data...');
+
+    try {
+      for (const locale of this.locales) {
+        const dataDir = path.join(this.localeDir(locale), 'data');
+        const data = buildApiData(this.localizedBreeds(locale), { urlPrefix: this.localePrefix(locale), locale });
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(path.join(dataDir, 'breeds.json'), JSON.stringify(data));
+      }
+
+      this.log(`API data generated for ${this.breeds.length} breed(s)`, 'success');
+    } catch (error) {
+      throw new Error(`Failed to generate API data: ${error.message}`);
+    }
+  }
+
+  // Write dist/translation-coverage.json and list what each locale still shows
+  // in the default locale
+  async reportTranslationCoverage() {
+    if (this.locales.length === 1) {
+      this.log('No other locales, skipping translation coverage', 'verbose');
+      return;
+    }
+
+    this.log('Checking translation coverage...');
+
+    const report = { defaultLocale: this.locales[0], locales: {} };
+
+    try {
+      // UI strings are those of generated pages plus the data-i18n keys of static pages
+      const keys = new Set(Object.keys(UI_STRINGS));
+      for (const file of this.staticFiles.filter(candidate => candidate.dest.endsWith('.html') && fs.existsSync(candidate.src))) {
+        Object.keys(pageStrings(fs.readFileSync(file.src, 'utf8'))).forEach(key => keys.add(key));
+      }
+
+      for (const locale of this.locales.slice(1)) {
+        const { strings = {}, breeds = {}, articles = {} } = this.translations[locale] || {};
+        const coverage = {
+          strings: { total: keys.size, missing: [...keys].filter(key => strings[key] === undefined) },
+          breeds: { total: this.breeds.length, missing: {} },
+          articles: { total: this.articles.length, missing: {} }
+        };
+
+        for (const breed of this.breeds) {
+          const { missing } = translateBreed(breed, breeds[breed.slug]);
+          if (missing.length > 0) coverage.breeds.missing[breed.slug] = missing;
+        }
+        for (const article of this.articles) {
+          const { missing } = translateArticle(article, articles[article.slug]);
+          if (missing.length > 0) coverage.articles.missing[article.slug] = missing;
+        }
+
+        report.locales[locale] = coverage;
+
+        const complete = coverage.strings.missing.length === 0 &&
+          Object.keys(coverage.breeds.missing).length === 0 &&
+          Object.keys(coverage.articles.missing).length === 0;
+        this.log(formatCoverage(locale, coverage), complete ? 'success' : 'warning');
+
+        for (const key of Object.keys(strings).filter(name => !keys.has(name))) {
+          this.log(`${path.join(this.config.localesDir, `${locale}.json`)}: ${key}: unknown string, nothing uses it`, 'warning');
+        }
+        if (coverage.strings.missing.length > 0) {
+          this.log(`  ${locale} strings: ${coverage.strings.missing.join(', ')}`, 'verbose');
+        }
+        for (const kind of ['breeds', 'articles']) {
+          for (const [slug, fields] of Object.entries(coverage[kind].missing)) {
+            this.log(`  ${locale} ${kind}/${slug}: ${fields.join(', ')}`, 'verbose');
+          }
+        }
+      }
+
+      fs.writeFileSync(path.join(this.config.distDir, 'translation-coverage.json'), JSON.stringify(report, null, 2));
+    } catch (error) {
+      throw new Error(`Failed to check translation coverage: ${error.message}`);
+    }
+  }
+
+  // Process CSS files: bundle what each page loads, with @imports resolved.
+  // The sheets in css/ reach dist only through those bundles.
   async processCSS() {
     this.log('Processing CSS files...');
     
     try {
-      const cssSourceDir = BUILD_CONFIG.cssDir;
-      const cssDestDir = path.join(BUILD_CONFIG.distDir, 'css');
-      
-      if (!fs.existsSync(cssSourceDir)) {
+      if (!fs.existsSync(this.config.cssDir)) {
         this.log('No CSS directory found, skipping CSS processing', 'warning');
         return;
       }
 
-      // Create CSS destination directory
-      fs.mkdirSync(cssDestDir, { recursive: true });
+      // Bundles are rebuilt from css/ every time; drop those no page links any more
+      fs.rmSync(path.join(this.config.distDir, 'css'), { recursive: true, force: true });
+
+      await this.bundlePageCSS();
+      
+      this.log('CSS processing completed', 'success');
+    } catch (error) {
+      throw new Error(`Failed to process CSS: ${error.message}`);
+    }
+  }
+
+  // Replace the stylesheet links of every page with one bundle of the same
+  // sheets, pruned of selectors that nothing on those pages can match
+  async bundlePageCSS() {
+    const groups = new Map();
+    const critical = /<style data-critical>[\s\S]*?<\/style>\s*<link rel="preload"[^>]*>\s*<noscript>(<link[^>]*>)<\/noscript>/;
+
+    for (const file of this.listFiles(this.config.distDir)) {
+      if (!file.endsWith('.html') || file.startsWith('src/')) continue;
+
+      // Undo critical CSS inlining from a previous pass in watch mode
+      const html = fs.readFileSync(path.join(this.config.distDir, file), 'utf8').replace(critical, '$1');
+      const links = [];
+
+      forEachTag(html, (tagName, attributes, raw, index) => {
+        if (tagName !== 'link' || !/\bstylesheet\b/i.test(attributes.rel || '') || !isLocalUrl(attributes.href)) return;
+        if (attributes.media && attributes.media !== 'all') return;
+
+        const target = resolveUrl(attributes.href, file);
+        const sources = this.cssBundles[target] ||
+          (fs.existsSync(path.join(this.config.cssDir, path.relative('css', target))) ? [target] : null);
+        if (sources) links.push({ raw, index, sources });
+      });
+
+      if (links.length === 0) continue;
+
+      const sources = [...new Set(links.flatMap(link => link.sources))];
+      const bundle = `css/bundles/${sources.map(source => path.posix.basename(source, '.css')).join('-')}.css`;
+      if (!groups.has(bundle)) groups.set(bundle, { sources, pages: [] });
+      groups.get(bundle).pages.push({ file, html, links });
+    }
+
+    if (groups.size === 0) {
+      this.log('No pages link local stylesheets, skipping CSS bundles', 'verbose');
+      return;
+    }
+
+    const scripts = this.listFiles(this.config.jsDir)
+      .filter(file => file.endsWith('.js'))
+      .map(file => fs.readFileSync(path.join(this.config.jsDir, file), 'utf8'));
+
+    let removedSelectors = 0;
+    this.cssBundles = {};
+
+    await Promise.all([...groups].map(async ([bundle, { sources, pages }]) => {
+      // Bundles sit one directory deeper than the sheets they are made of
+      const css = sources
+        .map(source => rebaseUrls(
+          resolveImports(path.join(this.config.cssDir, path.relative('css', source))),
+          path.posix.dirname(source),
+          path.posix.dirname(bundle)
+        ))
+        .join('\n');
+      const usage = collectUsage({ html: pages.map(page => page.html), scripts });
+      const pruned = pruneCSS(css, usage, this.cssSafelist);
+      removedSelectors += pruned.removed;
+
+      // Bundles are concatenated and pruned, so source lines would not map back usefully
+      const output = this.minify.css ? (await this.minifyTask('css', pruned.css, { sourceMap: false })).code : `${pruned.css}\n`;
+      const bundlePath = path.join(this.config.distDir, bundle);
+      fs.mkdirSync(path.dirname(bundlePath), { recursive: true });
+      fs.writeFileSync(bundlePath, output);
+      this.cssBundles[bundle] = sources;
+
+      for (const page of pages) {
+        const href = `/${bundle}`;
+        let markup = `<link rel="stylesheet" href="${href}">`;
+
+        if (this.criticalCss && this.localizedPatterns(this.criticalCssPages).includes(page.file)) {
+          const inline = rebaseUrls(
+            criticalCSS(pruned.css, page.html, this.cssSafelist),
+            path.posix.dirname(bundle),
+            path.posix.dirname(page.file)
+          );
+          const inlineOutput = this.minify.css ? (await this.minifyTask('css', inline, { sourceMap: false })).code : inline;
+          markup = `<style data-critical>${inlineOutput}</style>\n` +
+            `<link rel="preload" href="${href}" as="style" onload="this.onload=null;this.rel='stylesheet'">\n` +
+            `<noscript>${markup}</noscript>`;
+        }
+
+        // Swap the first link for the bundle and drop the rest, working backwards
+        // so earlier offsets stay valid
+        let html = page.html;
+        [...page.links].reverse().forEach((link, reverseIndex) => {
+          const replacement = reverseIndex === page.links.length - 1 ? markup : '';
+          const end = link.index + link.raw.length;
+          const trailing = replacement ? 0 : (/^[ \t]*\n?/.exec(html.slice(end))[0].length);
+          html = html.slice(0, link.index) + replacement + html.slice(end + trailing);
+        });
+
+        fs.writeFileSync(path.join(this.config.distDir, page.file), html);
+        this.log(`Bundled ${sources.join(', ')} for ${page.file}`, 'verbose');
+      }
+    }));
+
+    this.log(`Built ${groups.size} CSS bundle(s), pruned ${removedSelectors} unused selector(s)`, 'success');
+  }
+
+  // Process JavaScript files: ES modules are bundled, classic scripts are copied
+  async processJS() {
+    this.log('Processing JavaScript files...');
+    
+    try {
+      const jsSourceDir = this.config.jsDir;
+      const jsDestDir = path.join(this.config.distDir, 'js');
+      
+      if (!fs.existsSync(jsSourceDir)) {
+        this.log('No JS directory found, skipping JS processing', 'warning');
+        return;
+      }
+
+      // Create JS destination directory
+      fs.mkdirSync(jsDestDir, { recursive: true });
       
-      const cssFiles = fs.readdirSync(cssSourceDir).filter(file => file.endsWith('.css'));
+      // js/lib/ holds modules that are only reached through imports
+      const jsFiles = fs.readdirSync(jsSourceDir).filter(file => file.endsWith('.js'));
+      const entries = [];
       
-      for (const cssFile of cssFiles) {
-        const srcPath = path.join(cssSourceDir, cssFile);
-        let cssContent = fs.readFileSync(srcPath, 'utf8');
+      await Promise.all(jsFiles.map(async (jsFile) => {
+        const srcPath = path.join(jsSourceDir, jsFile);
+        let jsContent = fs.readFileSync(srcPath, 'utf8');
+
+        if (isModuleSource(jsContent)) {
+          entries.push(jsFile);
+          return;
+        }
         
-        if (this.isProduction) {
-          // Minify CSS in production
-          cssContent = this.minifyCSS(cssContent);
-          this.log(`Minified ${cssFile}`, 'verbose');
+        const destPath = path.join(jsDestDir, jsFile);
+
+        if (this.minify.js) {
+          jsContent = await this.minifyFile(jsContent, srcPath, destPath);
+          this.log(`Minified ${jsFile}`, 'verbose');
         }
         
-        const destPath = path.join(cssDestDir, cssFile);
-        fs.writeFileSync(destPath, cssContent);
-        this.log(`Processed ${cssFile}`, 'verbose');
+        fs.writeFileSync(destPath, jsContent);
+        this.log(`Processed ${jsFile}`, 'verbose');
+      }));
+
+      if (entries.length > 0) {
+        await this.bundleJS(entries);
       }
       
-      this.log('CSS processing completed', 'success');
+      this.log('JavaScript processing completed', 'success');
     } catch (error) {
-      throw new Error(`Failed to process CSS: ${error.message}`);
+      throw new Error(`Failed to process JavaScript: ${error.message}`);
+    }
+  }
+
+  // Bundle the ES module entries in js/ and load the bundles from their pages:
+  // the shared chunk goes before an entry that needs it and a self-contained
+  // nomodule fallback after it
+  async bundleJS(entries) {
+    const jsDestDir = path.join(this.config.distDir, 'js');
+    const { bundles, fallbacks, shared, usesShared, sharedModules } = bundleModules({
+      rootDir: this.config.jsDir,
+      entries
+    });
+    const fallbackName = entry => `${path.basename(entry, '.js')}.nomodule.js`;
+
+    const write = async (name, code) => {
+      const destPath = path.join(jsDestDir, name);
+      // Bundles are rewritten modules, so the source map points at the bundle
+      // (embedded in the map) rather than at a file in js/
+      const output = this.minify.js
+        ? await this.minifyFile(code, path.join(this.config.jsDir, name), destPath, `bundled/${name}`)
+        : code;
+      fs.writeFileSync(destPath, output);
+    };
+
+    if (shared) {
+      this.log(`Shared chunk: ${sharedModules.join(', ')}`, 'verbose');
+    } else {
+      fs.rmSync(path.join(jsDestDir, SHARED_CHUNK), { force: true });
+    }
+
+    await Promise.all([
+      shared && write(SHARED_CHUNK, shared),
+      ...entries.flatMap(entry => [write(entry, bundles[entry]), write(fallbackName(entry), fallbacks[entry])])
+    ]);
+    for (const entry of entries) {
+      this.log(`Bundled ${entry}${usesShared.has(entry) ? ` with ${SHARED_CHUNK}` : ''}`, 'verbose');
+    }
+
+    for (const file of this.listFiles(this.config.distDir)) {
+      if (!file.endsWith('.html') || file.startsWith('src/')) continue;
+
+      const pagePath = path.join(this.config.distDir, file);
+      const html = fs.readFileSync(pagePath, 'utf8');
+      const loaded = new Set();
+      const tags = [];
+
+      forEachTag(html, (tagName, attributes, raw, index) => {
+        if (tagName !== 'script' || !isLocalUrl(attributes.src)) return;
+        const target = resolveUrl(attributes.src, file);
+        loaded.add(target);
+
+        const entry = path.posix.relative('js', target);
+        if (attributes.type === 'module' && bundles[entry]) tags.push({ entry, index, dir: path.posix.dirname(attributes.src) });
+      });
+
+      // Tags already present from an earlier pass in watch mode are kept as they are
+      const edits = [];
+      let sharedAdded = loaded.has(`js/${SHARED_CHUNK}`);
+      for (const { entry, index, dir } of tags) {
+        const indent = /^[ \t]*/.exec(html.slice(html.lastIndexOf('\n', index) + 1))[0];
+        if (usesShared.has(entry) && !sharedAdded) {
+          edits.push({ at: index, text: `<script type="module" src="${path.posix.join(dir, SHARED_CHUNK)}"></script>\n${indent}` });
+          sharedAdded = true;
+        }
+        if (!loaded.has(`js/${fallbackName(entry)}`)) {
+          const close = html.indexOf('</script>', index);
+          const end = close === -1 ? index : close + '</script>'.length;
+          edits.push({ at: end, text: `\n${indent}<script nomodule src="${path.posix.join(dir, fallbackName(entry))}" defer></script>` });
+        }
+      }
+
+      if (edits.length === 0) continue;
+
+      let output = html;
+      for (const { at, text } of edits.sort((a, b) => b.at - a.at)) {
+        output = output.slice(0, at) + text + output.slice(at);
+      }
+      fs.writeFileSync(pagePath, output);
+    }
+
+    this.log(`Built ${entries.length} JS bundle(s)${shared ? ` and a shared chunk of ${sharedModules.length} module(s)` : ''}`, 'success');
+  }
+
+  // Process source files if they exist
+  async processSrcFiles() {
+    this.log('Processing source files...');
+    
+    try {
+      if (!fs.existsSync(this.config.srcDir)) {
+        this.log('No src directory found, skipping src processing', 'verbose');
+        return;
+      }
+
+      // Copy src files to dist
+      const srcDestDir = path.join(this.config.distDir, 'src');
+      this.copyDirectory(this.config.srcDir, srcDestDir);
+      
+      this.log('Source files processing completed', 'success');
+    } catch (error) {
+      throw new Error(`Failed to process source files: ${error.message}`);
+    }
+  }
+
+  // Copy assets into dist, with dimensions and responsive variants for images,
+  // then point <img> tags in every page at them
+  async processImages() {
+    if (!fs.existsSync(this.config.assetsDir)) {
+      this.log('No assets directory found, skipping images', 'verbose');
+      return;
+    }
+
+    this.log('Processing images...');
+
+    try {
+      const assetsDestDir = path.join(this.config.distDir, 'assets');
+
+      for (const entry of fs.readdirSync(this.config.assetsDir, { withFileTypes: true })) {
+        if (entry.name === 'images') continue;
+        const srcPath = path.join(this.config.assetsDir, entry.name);
+        const destPath = path.join(assetsDestDir, entry.name);
+        fs.mkdirSync(assetsDestDir, { recursive: true });
+        if (entry.isDirectory()) {
+          this.copyDirectory(srcPath, destPath);
+        } else {
+          fs.copyFileSync(srcPath, destPath);
+        }
+      }
+
+      const { manifest, variantsGenerated } = await processImages({
+        srcDir: path.join(this.config.assetsDir, 'images'),
+        destDir: path.join(assetsDestDir, 'images'),
+        rootDir: this.config.distDir,
+        encode: variant => this.task('imageVariant', variant, { files: [variant.sourcePath] }),
+        log: (message, level) => this.log(message, level)
+      });
+
+      this.imageManifest = manifest;
+      fs.writeFileSync(path.join(this.config.distDir, 'images.json'), JSON.stringify(manifest, null, 2));
+
+      let rewrittenPages = 0;
+      for (const file of this.listFiles(this.config.distDir)) {
+        if (!file.endsWith('.html') || file.startsWith('src/')) continue;
+
+        const fullPath = path.join(this.config.distDir, file);
+        const html = fs.readFileSync(fullPath, 'utf8');
+        const rewritten = rewriteImages(html, file, manifest);
+        if (rewritten !== html) {
+          fs.writeFileSync(fullPath, rewritten);
+          rewrittenPages++;
+          this.log(`Rewrote image tags in ${file}`, 'verbose');
+        }
+      }
+
+      const count = Object.keys(manifest).length;
+      this.log(`Processed ${count} image(s)${variantsGenerated ? ' with responsive variants' : ''}, updated ${rewrittenPages} page(s)`, 'success');
+    } catch (error) {
+      throw new Error(`Failed to process images: ${error.message}`);
+    }
+  }
+
+  // Lint every page for accessibility and HTML problems; --strict makes findings fatal
+  async auditPages() {
+    this.log('Auditing pages for accessibility...');
+
+    let findings = [];
+    try {
+      for (const file of this.listFiles(this.config.distDir)) {
+        if (!file.endsWith('.html') || file.startsWith('src/')) continue;
+        const html = fs.readFileSync(path.join(this.config.distDir, file), 'utf8');
+        findings = findings.concat(auditPage(html, file));
+      }
+    } catch (error) {
+      throw new Error(`Failed to audit pages: ${error.message}`);
+    }
+
+    for (const finding of findings) {
+      this.log(formatFinding(finding), this.strict ? 'error' : 'warning');
     }
+
+    if (findings.length > 0 && this.strict) {
+      throw new Error(`Accessibility audit found ${findings.length} problem(s)`);
+    }
+
+    const pages = new Set(findings.map(finding => finding.file)).size;
+    this.log(
+      findings.length === 0 ? 'Accessibility audit passed' : `Accessibility audit found ${findings.length} problem(s) on ${pages} page(s)`,
+      findings.length === 0 ? 'success' : 'warning'
+    );
   }
 
-  // Process JavaScript files
-  async processJS() {
-    this.log('Processing JavaScript files...');
-    
+  // Generate sitemap.xml from every page in dist
+  async generateSitemap() {
+    this.log('Generating sitemap...');
+
     try {
-      const jsSourceDir = BUILD_CONFIG.jsDir;
-      const jsDestDir = path.join(BUILD_CONFIG.distDir, 'js');
-      
-      if (!fs.existsSync(jsSourceDir)) {
-        this.log('No JS directory found, skipping JS processing', 'warning');
-        return;
-      }
+      const gitDates = gitLastModified();
+      const pages = this.listFiles(this.config.distDir)
+        .filter(file => file.endsWith('.html') && !file.startsWith('src/'))
+        .filter(file => {
+          const html = fs.readFileSync(path.join(this.config.distDir, file), 'utf8');
+          return !/<meta\s+name=["']robots["'][^>]*noindex/i.test(html);
+        })
+        .map(file => {
+          // Prefer the content's own updated date, then the last commit touching its source
+          const { source, updated } = this.pageSources[file] || {};
+          const sourcePath = source && toPosix(path.relative('.', source));
+          return {
+            path: pagePath(file),
+            lastmod: updated || (sourcePath && gitDates[sourcePath]),
+            alternates: localeAlternates(pagePath(fileLocale(file, this.locales).file), this.locales)
+          };
+        });
 
-      // Create JS destination directory
-      fs.mkdirSync(jsDestDir, { recursive: true });
-      
-      const jsFiles = fs.readdirSync(jsSourceDir).filter(file => file.endsWith('.js'));
-      
-      for (const jsFile of jsFiles) {
-        const srcPath = path.join(jsSourceDir, jsFile);
-        let jsContent = fs.readFileSync(srcPath, 'utf8');
-        
-        if (this.isProduction) {
-          // Basic JS minification (remove comments and extra whitespace)
-          jsContent = this.minifyJS(jsContent);
-          this.log(`Minified ${jsFile}`, 'verbose');
-        }
-        
-        const destPath = path.join(jsDestDir, jsFile);
-        fs.writeFileSync(destPath, jsContent);
-        this.log(`Processed ${jsFile}`, 'verbose');
-      }
-      
-      this.log('JavaScript processing completed', 'success');
+      const sitemap = buildSitemap(this.siteUrl, pages);
+      fs.writeFileSync(path.join(this.config.distDir, 'sitemap.xml'), sitemap);
+
+      this.log(`Sitemap generated with ${pages.length} page(s)`, 'success');
     } catch (error) {
-      throw new Error(`Failed to process JavaScript: ${error.message}`);
+      throw new Error(`Failed to generate sitemap: ${error.message}`);
     }
   }
 
-  // Process source files if they exist
-  async processSrcFiles() {
-    this.log('Processing source files...');
-    
+  // Generate robots.txt; only production may be indexed
+  async generateRobots() {
+    this.log('Generating robots.txt...');
+
     try {
-      if (!fs.existsSync(BUILD_CONFIG.srcDir)) {
-        this.log('No src directory found, skipping src processing', 'verbose');
-        return;
-      }
+      const allowIndexing = this.environment === 'production';
+      const robots = buildRobots({
+        allowIndexing,
+        sitemapUrl: `${this.siteUrl}/sitemap.xml`
+      });
+      fs.writeFileSync(path.join(this.config.distDir, 'robots.txt'), robots);
 
-      // Copy src files to dist
-      const srcDestDir = path.join(BUILD_CONFIG.distDir, 'src');
-      this.copyDirectory(BUILD_CONFIG.srcDir, srcDestDir);
-      
-      this.log('Source files processing completed', 'success');
+      this.log(`robots.txt generated (${allowIndexing ? 'indexing allowed' : 'all crawlers blocked'})`, 'success');
     } catch (error) {
-      throw new Error(`Failed to process source files: ${error.message}`);
+      throw new Error(`Failed to generate robots.txt: ${error.message}`);
     }
   }
 
-  // Generate file hashes for cache busting
+  // Generate file hashes for cache busting and fingerprint asset file names
   async generateHashes() {
     if (!this.isProduction) {
       this.log('Skipping hash generation in development', 'verbose');
@@ -207,57 +1272,331 @@ class BuildManager {
     
     try {
       const hashMap = {};
-      const hashFiles = (dir) => {
-        if (!fs.existsSync(dir)) return;
-        
-        const files = fs.readdirSync(dir, { withFileTypes: true });
-        
-        for (const file of files) {
-          const fullPath = path.join(dir, file.name);
-          
-          if (file.isDirectory()) {
-            hashFiles(fullPath);
-          } else if (file.isFile() && (file.name.endsWith('.css') || file.name.endsWith('.js'))) {
-            const content = fs.readFileSync(fullPath);
-            const hash = crypto.createHash('md5').update(content).digest('hex').substring(0, 8);
-            const relativePath = path.relative(BUILD_CONFIG.distDir, fullPath);
-            hashMap[relativePath] = hash;
-            this.log(`Generated hash for ${relativePath}: ${hash}`, 'verbose');
-          }
-        }
+      const renamed = {};
+      const candidates = this.listFiles(this.config.distDir).filter(file => (
+        !file.startsWith('src/') &&
+        FINGERPRINT_EXTENSIONS.includes(path.extname(file).toLowerCase()) &&
+        !FINGERPRINTED_PATTERN.test(file)
+      ));
+
+      const fingerprint = (relativePath) => {
+        const fullPath = path.join(this.config.distDir, relativePath);
+        const content = fs.readFileSync(fullPath);
+        const hash = crypto.createHash('md5').update(content).digest('hex').substring(0, 8);
+        const hashedPath = relativePath.replace(/(\.[^./]+)$/, `.${hash}$1`);
+
+        const hashedFullPath = path.join(this.config.distDir, hashedPath);
+        fs.renameSync(fullPath, hashedFullPath);
+        this.renameSourceMap(fullPath, hashedFullPath);
+        hashMap[relativePath] = hash;
+        renamed[relativePath] = hashedPath;
+        this.log(`Generated hash for ${relativePath}: ${hash}`, 'verbose');
       };
-      
-      hashFiles(BUILD_CONFIG.distDir);
+
+      // Hash leaf assets first so stylesheets can point at their final names
+      // before their own hashes are taken
+      const isCode = file => file.endsWith('.css') || file.endsWith('.js');
+      candidates.filter(file => !isCode(file)).forEach(fingerprint);
+
+      for (const cssFile of candidates.filter(file => file.endsWith('.css'))) {
+        const cssPath = path.join(this.config.distDir, cssFile);
+        const css = fs.readFileSync(cssPath, 'utf8');
+        fs.writeFileSync(cssPath, this.rewriteCSSUrls(css, cssFile, renamed));
+        fingerprint(cssFile);
+      }
+
+      candidates.filter(file => file.endsWith('.js')).forEach(fingerprint);
+
+      this.rewriteReferences(renamed);
       
       // Write hash map
-      const hashMapPath = path.join(BUILD_CONFIG.distDir, 'hashes.json');
+      const hashMapPath = path.join(this.config.distDir, 'hashes.json');
       fs.writeFileSync(hashMapPath, JSON.stringify(hashMap, null, 2));
+
+      // Fingerprinted files never change content, so let the CDN cache them forever
+      const headers = Object.values(renamed)
+        .map(file => `/${file}\n  Cache-Control: public, max-age=31536000, immutable`)
+        .join('\n\n');
+      fs.writeFileSync(path.join(this.config.distDir, '_headers'), `${headers}\n`);
       
-      this.log('File hashes generated', 'success');
+      this.log(`File hashes generated (${Object.keys(renamed).length} files fingerprinted)`, 'success');
     } catch (error) {
       throw new Error(`Failed to generate hashes: ${error.message}`);
     }
   }
 
-  // Basic CSS minification
-  minifyCSS(css) {
-    return css
-      .replace(/\/\*[\s\S]*?\*\//g, '') // Remove comments
-      .replace(/\s+/g, ' ') // Collapse whitespace
-      .replace(/;\s*}/g, '}') // Remove unnecessary semicolons
-      .replace(/\s*{\s*/g, '{') // Clean up braces
-      .replace(/;\s*/g, ';') // Clean up semicolons
-      .trim();
+  // Generate sw.js from the fingerprinted file list; development gets a worker
+  // that unregisters itself so it never serves stale files
+  async generateServiceWorker() {
+    const swPath = path.join(this.config.distDir, 'sw.js');
+
+    if (!this.isProduction) {
+      fs.writeFileSync(swPath, buildUnregisterWorker());
+      this.log('Wrote a self-unregistering service worker for development', 'verbose');
+      return;
+    }
+
+    this.log('Generating service worker...');
+
+    try {
+      const hashesPath = path.join(this.config.distDir, 'hashes.json');
+      const hashes = fs.existsSync(hashesPath) ? JSON.parse(fs.readFileSync(hashesPath, 'utf8')) : {};
+      // Every locale gets the same caching; shell patterns that match nothing
+      // under a locale's directory, such as css/**, add nothing
+      const options = {
+        ...this.serviceWorker,
+        shell: this.localizedPatterns(this.serviceWorker.shell),
+        pages: {
+          ...this.serviceWorker.pages,
+          prefixes: this.localizedPatterns(this.serviceWorker.pages.prefixes.map(prefix => prefix.slice(1))).map(prefix => `/${prefix}`)
+        }
+      };
+      const { shell, version } = precacheManifest({
+        distDir: this.config.distDir,
+        files: this.listFiles(this.config.distDir),
+        hashes,
+        options
+      });
+
+      const source = buildServiceWorker({ ...options, shell, version });
+      fs.writeFileSync(swPath, this.minify.js ? this.minifyJS(source, { sourceMap: false }).code : source);
+
+      // The worker's own URL is fixed, so browsers must always revalidate it
+      fs.appendFileSync(path.join(this.config.distDir, '_headers'), '\n/sw.js\n  Cache-Control: no-cache\n');
+
+      this.log(`Service worker generated (build ${version}, ${shell.length} file(s) precached)`, 'success');
+    } catch (error) {
+      throw new Error(`Failed to generate service worker: ${error.message}`);
+    }
+  }
+
+  // Write dist/build-report.json, enforce budgets and show what grew since last time
+  async generateBuildReport() {
+    this.log('Generating build report...');
+
+    let budgetResults;
+    let previousPath;
+    let report;
+
+    try {
+      report = createReport({
+        distDir: this.config.distDir,
+        files: this.listFiles(this.config.distDir),
+        environment: this.environment,
+        production: this.isProduction
+      });
+      // A locale's copy of a page has the same budget as the page
+      const budgets = Object.fromEntries(Object.entries(this.budgets).flatMap(([pattern, limits]) => (
+        this.localizedPatterns([pattern]).map(localized => [localized, limits])
+      )));
+      budgetResults = checkBudgets(report, budgets);
+      report.budgets = budgetResults;
+
+      fs.writeFileSync(path.join(this.config.distDir, 'build-report.json'), JSON.stringify(report, null, 2));
+
+      // dist/ is wiped on every build, so the previous report is kept in temp/,
+      // one per mode since development output is not minified
+      fs.mkdirSync(this.config.tempDir, { recursive: true });
+      previousPath = path.join(this.config.tempDir, `build-report.${this.isProduction ? 'production' : 'development'}.json`);
+
+      if (fs.existsSync(previousPath)) {
+        this.logReportDiff(JSON.parse(fs.readFileSync(previousPath, 'utf8')), report);
+      } else {
+        this.log('No previous build report to compare with', 'verbose');
+      }
+
+      const { totals } = report;
+      this.log(`Build report written: ${totals.files} files, ${formatBytes(totals.raw)} raw, ${formatBytes(totals.gzip)} gzip, ${formatBytes(totals.brotli)} brotli`, 'success');
+    } catch (error) {
+      throw new Error(`Failed to generate build report: ${error.message}`);
+    }
+
+    const overBudget = budgetResults.filter(result => !result.ok);
+    for (const result of overBudget) {
+      this.log(
+        `${result.page}: ${result.group} ${result.metric} is ${formatBytes(result.actual)}, budget is ${formatBytes(result.limit)}`,
+        this.isProduction ? 'error' : 'warning'
+      );
+    }
+
+    if (overBudget.length > 0 && this.isProduction) {
+      throw new Error(`${overBudget.length} performance budget(s) exceeded`);
+    }
+
+    // Only a build that passed its budgets becomes the baseline for the next diff
+    fs.writeFileSync(previousPath, JSON.stringify(report));
+  }
+
+  // Print the files and pages whose gzip size grew since the previous report
+  logReportDiff(previous, report) {
+    const changes = diffReports(previous, report);
+    if (changes.length === 0) {
+      this.log('Nothing grew since the previous build', 'verbose');
+      return;
+    }
+
+    this.log(`Grown since the previous build (${changes.length}, gzip):`, 'warning');
+    for (const change of changes.slice(0, REPORT_DIFF_LIMIT)) {
+      const detail = change.before === null
+        ? `new, ${formatBytes(change.after)}`
+        : `+${formatBytes(change.delta)} (${formatBytes(change.before)} -> ${formatBytes(change.after)})`;
+      this.log(`  ${change.kind} ${change.name}: ${detail}`);
+    }
+    if (changes.length > REPORT_DIFF_LIMIT) {
+      this.log(`  ...and ${changes.length - REPORT_DIFF_LIMIT} more, see build-report.json`);
+    }
+  }
+
+  // Move a file's source map along with it and update the reference
+  renameSourceMap(oldPath, newPath) {
+    const oldMapPath = `${oldPath}.map`;
+    if (!fs.existsSync(oldMapPath)) return;
+
+    const newMapPath = `${newPath}.map`;
+    const oldName = path.basename(oldMapPath);
+    const newName = path.basename(newMapPath);
+
+    const map = JSON.parse(fs.readFileSync(oldMapPath, 'utf8'));
+    map.file = path.basename(newPath);
+    fs.writeFileSync(newMapPath, JSON.stringify(map));
+    fs.rmSync(oldMapPath);
+
+    const content = fs.readFileSync(newPath, 'utf8');
+    fs.writeFileSync(newPath, content.replace(`sourceMappingURL=${oldName}`, `sourceMappingURL=${newName}`));
+  }
+
+  // Map a local URL onto its fingerprinted equivalent, or undefined if it has none
+  fingerprintedUrl(url, fromFile, renamed) {
+    if (!isLocalUrl(url)) return undefined;
+
+    const target = renamed[resolveUrl(url, fromFile)];
+    if (!target) return undefined;
+
+    const { pathname, suffix } = splitUrl(url.trim());
+    return pathname.slice(0, pathname.lastIndexOf('/') + 1) + path.posix.basename(target) + suffix;
+  }
+
+  // Point url() references in a stylesheet at fingerprinted assets
+  rewriteCSSUrls(css, cssFile, renamed) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+      const next = this.fingerprintedUrl(url, cssFile, renamed);
+      return next === undefined ? match : `url(${quote}${next}${quote})`;
+    });
+  }
+
+  // Point absolute URLs of the site, as in social tags and JSON-LD, at fingerprinted assets
+  rewriteSiteUrls(text, renamed) {
+    const origin = `${this.siteUrl}/`;
+    if (!text.includes(origin)) return text;
+
+    const pattern = new RegExp(`${origin.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}([^"'\\s<>?#]+)`, 'g');
+    return text.replace(pattern, (match, file) => (renamed[file] ? origin + renamed[file] : match));
+  }
+
+  // Point HTML pages, the web manifest and the API data at fingerprinted assets
+  rewriteReferences(renamed) {
+    for (const file of this.listFiles(this.config.distDir)) {
+      const fullPath = path.join(this.config.distDir, file);
+
+      if (file.endsWith('.html')) {
+        const html = fs.readFileSync(fullPath, 'utf8');
+        const rewritten = this.rewriteSiteUrls(rewriteUrls(html, url => this.fingerprintedUrl(url, file, renamed)), renamed)
+          .replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, css, close) => (
+            open + this.rewriteCSSUrls(css, file, renamed) + close
+          ));
+        if (rewritten !== html) {
+          fs.writeFileSync(fullPath, rewritten);
+          this.log(`Rewrote asset references in ${file}`, 'verbose');
+        }
+      } else if (path.basename(file) === 'manifest.json') {
+        let manifest;
+        try {
+          manifest = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        } catch (error) {
+          this.log(`Skipping ${file}: not valid JSON (${error.message})`, 'warning');
+          continue;
+        }
+
+        for (const icon of manifest.icons || []) {
+          const next = this.fingerprintedUrl(icon.src || '', file, renamed);
+          if (next !== undefined) icon.src = next;
+        }
+        fs.writeFileSync(fullPath, JSON.stringify(manifest, null, 2));
+      } else if (/(?:^|\/)data\/breeds\.json$/.test(file)) {
+        const data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        for (const image of data.breeds.flatMap(breed => breed.images)) {
+          const next = this.fingerprintedUrl(image.src, file, renamed);
+          if (next !== undefined) image.src = next;
+        }
+        fs.writeFileSync(fullPath, JSON.stringify(data));
+      }
+    }
+  }
+
+  // List every file below a directory as POSIX paths relative to it
+  listFiles(dir, base = dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this.listFiles(fullPath, base));
+      } else if (entry.isFile()) {
+        files.push(toPosix(path.relative(base, fullPath)));
+      }
+    }
+    return files.sort();
+  }
+
+  // Minify CSS, returns { code, map }
+  minifyCSS(css, options = {}) {
+    return minifyCSS(css, { sourceMap: this.sourceMaps, ...options });
+  }
+
+  // Minify JavaScript, returns { code, map }
+  minifyJS(js, options = {}) {
+    return minifyJS(js, { sourceMap: this.sourceMaps, ...options });
   }
 
-  // Basic JS minification
-  minifyJS(js) {
-    return js
-      .replace(/\/\*[\s\S]*?\*\//g, '') // Remove multi-line comments
-      .replace(/\/\/.*$/gm, '') // Remove single-line comments
-      .replace(/\s+/g, ' ') // Collapse whitespace
-      .replace(/;\s*}/g, '}') // Clean up semicolons before braces
-      .trim();
+  // Run a task from lib/build-tasks.js on a worker thread, or reuse its output
+  // from the cache when neither its input nor the files it reads have changed
+  async task(name, input, { files = [] } = {}) {
+    const key = this.cache.key(name, [JSON.stringify(input), ...files.map(file => fs.readFileSync(file))]);
+    const cached = this.cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const output = await this.workers.run(name, input);
+    this.cache.set(key, output);
+    return output;
+  }
+
+  // Minify CSS or JavaScript as a cached build task, resolves to { code, map }
+  minifyTask(kind, content, options = {}) {
+    return this.task('minify', { kind, content, options: { sourceMap: this.sourceMaps, ...options } });
+  }
+
+  // Minify a file's content and write its source map next to the output
+  async minifyFile(content, srcPath, destPath, sourceName) {
+    const fileName = path.basename(destPath);
+    const options = {
+      file: fileName,
+      sourceName: sourceName || toPosix(path.relative(path.dirname(destPath), srcPath))
+    };
+
+    try {
+      const isCSS = destPath.endsWith('.css');
+      const { code, map } = await this.minifyTask(isCSS ? 'css' : 'js', content, options);
+
+      if (!map) return code;
+
+      fs.writeFileSync(`${destPath}.map`, JSON.stringify(map));
+      return isCSS
+        ? `${code}\n/*# sourceMappingURL=${fileName}.map */`
+        : `${code}\n//# sourceMappingURL=${fileName}.map`;
+    } catch (error) {
+      throw new Error(`${srcPath}: ${error.message}`);
+    }
   }
 
   // Copy directory recursively
@@ -289,7 +1628,7 @@ class BuildManager {
       const missingFiles = [];
       
       for (const file of requiredFiles) {
-        const filePath = path.join(BUILD_CONFIG.distDir, file);
+        const filePath = path.join(this.config.distDir, file);
         if (!fs.existsSync(filePath)) {
           missingFiles.push(file);
         }
@@ -300,10 +1639,49 @@ class BuildManager {
       }
       
       // Check if dist directory has content
-      const distContents = fs.readdirSync(BUILD_CONFIG.distDir);
+      const distContents = fs.readdirSync(this.config.distDir);
       if (distContents.length === 0) {
         throw new Error('Build directory is empty');
       }
+
+      // Broken links, missing assets and anchors, and pages nothing links to
+      const { errors, warnings } = checkLinks({
+        distDir: this.config.distDir,
+        files: this.listFiles(this.config.distDir),
+        entryPages: this.localizedPatterns(ENTRY_PAGES)
+      });
+
+      for (const warning of warnings) {
+        this.log(formatLinkIssue(warning), 'warning');
+      }
+      for (const error of errors) {
+        this.log(formatLinkIssue(error), 'error');
+      }
+
+      if (errors.length > 0) {
+        throw new Error(`${errors.length} broken link(s) or missing asset(s)`);
+      }
+
+      // JSON-LD must parse everywhere; generated pages must also describe
+      // themselves and carry social tags
+      const structuredDataPages = Object.entries(STRUCTURED_DATA_PAGES)
+        .flatMap(([pattern, types]) => this.localizedPatterns([pattern]).map(localized => [localized, types]));
+      const structuredDataErrors = [];
+
+      for (const file of this.listFiles(this.config.distDir)) {
+        if (!file.endsWith('.html') || file.startsWith('src/')) continue;
+        const html = fs.readFileSync(path.join(this.config.distDir, file), 'utf8');
+        const [, required] = structuredDataPages.find(([pattern]) => matchesPattern(pattern, file)) || [];
+        structuredDataErrors.push(...checkStructuredData(html, file, { required }));
+      }
+
+      for (const error of structuredDataErrors) {
+        this.log(formatLinkIssue(error), 'error');
+      }
+
+      if (structuredDataErrors.length > 0) {
+        throw new Error(`${structuredDataErrors.length} structured data problem(s)`);
+      }
       
       this.log('Build validation passed', 'success');
     } catch (error) {
@@ -311,31 +1689,290 @@ class BuildManager {
     }
   }
 
-  // Main build process
+  // Run every build step in order
+  async runSteps() {
+    for (const step of this.pipeline.steps) {
+      await this.runStep(step);
+    }
+  }
+
+  // Run one step, built in or added by a plugin, with the plugin hooks around it
+  async runStep(name) {
+    const startTime = Date.now();
+    const custom = this.pipeline.custom.get(name);
+    this.currentStep = name;
+    this.event('step:start', { name });
+
+    const finish = (success) => {
+      const record = { name, duration: Date.now() - startTime, success };
+      if (custom) record.plugin = custom.plugin;
+      if (this.run) this.run.steps.push(record);
+      this.event('step:end', record);
+      this.currentStep = null;
+    };
+
+    try {
+      for (const { plugin, hook } of this.pipeline.before.get(name) || []) {
+        await this.runPlugin(plugin, `before ${name}`, hook);
+      }
+
+      if (custom) {
+        this.log(`Running ${name} (${custom.plugin})...`, 'verbose');
+        await this.runPlugin(custom.plugin, `in ${name}`, custom.run);
+      } else {
+        await this[name]();
+      }
+
+      for (const { plugin, hook } of this.pipeline.after.get(name) || []) {
+        await this.runPlugin(plugin, `after ${name}`, hook);
+      }
+    } catch (error) {
+      finish(false);
+      throw error;
+    }
+
+    finish(true);
+  }
+
+  // Call plugin code with the build manager, naming the plugin if it throws
+  async runPlugin(plugin, when, fn) {
+    try {
+      await fn(this);
+    } catch (error) {
+      throw new Error(`Plugin ${plugin} failed ${when}: ${error.message}`);
+    }
+  }
+
+  // Work out which steps a changed source file affects
+  stepsForChange(changedPath) {
+    const relative = path.relative('.', changedPath);
+    const inDir = (dir) => {
+      const rel = path.relative(dir, changedPath);
+      return rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+    };
+
+    if (inDir(this.config.dataDir)) {
+      return [
+        'validateBreedData', 'loadTranslations', 'generateBreedPages', 'generateArticlePages', 'generateSearchIndex',
+        'generateComparisonData', 'generateApiData', 'reportTranslationCoverage', 'processImages', 'processCSS', 'processJS', 'auditPages', 'generateSitemap'
+      ];
+    }
+    if (inDir(this.config.contentDir)) {
+      return [
+        'loadTranslations', 'generateArticlePages', 'generateSearchIndex', 'reportTranslationCoverage',
+        'processImages', 'processCSS', 'processJS', 'auditPages', 'generateSitemap'
+      ];
+    }
+    // Catalogs change the text of every page in their locale
+    if (inDir(this.config.localesDir)) {
+      return [
+        'loadTranslations', 'copyStaticFiles', 'generateBreedPages', 'generateArticlePages', 'generateSearchIndex',
+        'generateComparisonData', 'generateApiData', 'reportTranslationCoverage', 'processImages', 'processCSS', 'processJS', 'auditPages', 'generateSitemap'
+      ];
+    }
+    if (inDir(this.config.assetsDir)) return ['processImages'];
+    if (inDir(this.config.cssDir)) return ['processCSS'];
+    if (inDir(this.config.jsDir)) return ['processJS', 'processCSS'];
+    if (inDir(this.config.srcDir)) return ['processSrcFiles'];
+    if (relative === path.normalize(PAGE_TEMPLATE)) {
+      return ['generateBreedPages', 'generateArticlePages', 'processImages', 'processCSS', 'processJS', 'auditPages', 'generateSitemap'];
+    }
+    if (this.staticFiles.some(file => path.normalize(file.src) === relative)) {
+      return ['copyStaticFiles', 'reportTranslationCoverage', 'processImages', 'processCSS', 'processJS', 'auditPages', 'generateSitemap'];
+    }
+
+    return [];
+  }
+
+  // Plugin steps that watch a changed path
+  pluginStepsForChange(changedPath) {
+    const relative = path.relative('.', changedPath);
+    return [...this.pipeline.custom]
+      .filter(([, step]) => step.watch.some(watched => {
+        const rel = path.relative(watched, changedPath);
+        return path.normalize(watched) === relative || (rel && !rel.startsWith('..') && !path.isAbsolute(rel));
+      }))
+      .map(([name]) => name);
+  }
+
+  // Rebuild only the steps touched by a batch of changes
+  async rebuild(changedPaths) {
+    const steps = new Set();
+
+    for (const changedPath of changedPaths) {
+      const changedSteps = [...this.stepsForChange(changedPath), ...this.pluginStepsForChange(changedPath)];
+      if (changedSteps.length > 0) {
+        changedSteps.forEach(step => steps.add(step));
+        this.log(`Changed: ${path.relative('.', changedPath)}`, 'verbose');
+      }
+    }
+
+    if (steps.size === 0) return false;
+
+    // Plugin steps rerun with the step they are placed next to
+    for (const [name, step] of this.pipeline.custom) {
+      if (steps.has(step.anchor)) steps.add(name);
+    }
+
+    const startTime = Date.now();
+
+    // Fingerprinted output renames files that every page references, so a
+    // partial rebuild would leave pages pointing at stale names
+    const ordered = this.isProduction ? this.pipeline.steps : this.pipeline.steps.filter(name => steps.has(name));
+
+    try {
+      for (const step of ordered) {
+        await this.runStep(step);
+      }
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      this.log(`Rebuilt ${this.isProduction ? 'everything' : ordered.join(', ')} in ${duration}s`, 'success');
+      this.event('rebuild', { steps: ordered, duration: Date.now() - startTime, success: true });
+      return true;
+    } catch (error) {
+      this.log(`Rebuild failed: ${error.message}`, 'error');
+      this.event('rebuild', { steps: ordered, duration: Date.now() - startTime, success: false });
+      return false;
+    }
+  }
+
+  // Build once, then keep rebuilding on change (and serve dist/ if requested).
+  // Resolves to { watcher, server, close }; close() stops watching and serving.
+  async watch() {
+    this.openLogFile();
+
+    try {
+      this.log('\n🚀 Starting initial build...');
+      await this.runSteps();
+      this.log('Initial build completed', 'success');
+    } catch (error) {
+      // Keep watching so the next save can fix the build
+      this.log(`Initial build failed: ${error.message}`, 'error');
+    }
+
+    let server = null;
+    if (this.serve) {
+      server = new DevServer({
+        rootDir: this.config.distDir,
+        port: this.port,
+        log: (message, level) => this.log(message, level)
+      });
+      const url = await server.start();
+      this.log(`🌐 Serving ${this.config.distDir} at ${url}`);
+    }
+
+    const watcher = new FileWatcher({
+      onChange: async (changedPaths) => {
+        const rebuilt = await this.rebuild(changedPaths);
+        if (rebuilt && server) {
+          server.reload();
+        }
+      },
+      onError: error => this.log(`Rebuild failed: ${error.message}`, 'error')
+    });
+
+    watcher.watchDirectory(this.config.dataDir);
+    watcher.watchDirectory(this.config.contentDir);
+    watcher.watchDirectory(this.config.localesDir);
+    watcher.watchDirectory(this.config.assetsDir);
+    watcher.watchDirectory(this.config.cssDir);
+    watcher.watchDirectory(this.config.jsDir);
+    watcher.watchDirectory(this.config.srcDir);
+
+    // Plugin steps can watch directories and files of their own
+    const files = [PAGE_TEMPLATE, ...this.staticFiles.map(file => file.src)];
+    for (const step of this.pipeline.custom.values()) {
+      for (const watched of step.watch) {
+        if (fs.existsSync(watched) && fs.statSync(watched).isDirectory()) watcher.watchDirectory(watched);
+        else files.push(watched);
+      }
+    }
+    const filesByDir = new Map();
+    for (const file of files) {
+      const dir = path.dirname(file);
+      filesByDir.set(dir, [...(filesByDir.get(dir) || []), path.basename(file)]);
+    }
+    for (const [dir, names] of filesByDir) {
+      if (fs.existsSync(dir)) watcher.watchFiles(dir, names);
+    }
+
+    this.log('👀 Watching for changes (Ctrl+C to stop)...');
+
+    const close = async () => {
+      watcher.close();
+      await watcher.idle();
+      await this.workers.close();
+      if (server) await server.stop();
+    };
+
+    return { watcher, server, close };
+  }
+
+  /**
+   * Main build process. Never throws for a failed build: the result says
+   * whether it succeeded.
+   * @returns {Promise<{ success: boolean, environment: string, production: boolean, siteUrl: string,
+   *   startedAt: string, duration: number, steps: Array<{ name: string, duration: number, success: boolean, plugin?: string }>,
+   *   files: Array<{ path: string, size: number }>, warnings: Array<{ message: string, step: string|null }>,
+   *   errors: Array<{ message: string, step: string|null }>, cache: { hits: number, misses: number }|null, logFile: string|null }>}
+   *   durations are in ms; files are the dist-relative paths written
+   */
   async build() {
     const startTime = Date.now();
-    
+    this.run = { steps: [], warnings: [], errors: [] };
+    this.openLogFile();
+    this.event('build:start', { environment: this.environment, production: this.isProduction, steps: this.pipeline.steps });
+
+    let success = false;
     try {
       this.log('\n🚀 Starting build process...');
       
-      await this.cleanBuild();
-      await this.copyStaticFiles();
-      await this.processCSS();
-      await this.processJS();
-      await this.processSrcFiles();
-      await this.generateHashes();
-      await this.validateBuild();
+      await this.runSteps();
+      success = true;
       
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       
       this.log(`\n🎉 Build completed successfully in ${duration}s`, 'success');
-      this.log(`📁 Output directory: ${BUILD_CONFIG.distDir}`);
+      this.logCacheStats();
+      this.log(`📁 Output directory: ${this.config.distDir}`);
       this.log(`🌍 Environment: ${this.isProduction ? 'Production' : 'Development'}`);
       
     } catch (error) {
-      this.log(`\n💥 Build failed: ${error.message}`, 'error');
-      process.exit(1);
+      // Recorded against the step that failed, without the console decoration
+      const failed = this.run.steps.find(step => !step.success);
+      this.run.errors.push({ message: error.message, step: failed ? failed.name : null });
+      this.event('log', { level: 'error', message: `Build failed: ${error.message}`, step: null });
+      this.print(`❌ \n💥 Build failed: ${error.message}`);
+    } finally {
+      await this.workers.close();
     }
+
+    const result = {
+      success,
+      environment: this.environment,
+      production: this.isProduction,
+      siteUrl: this.siteUrl,
+      startedAt: new Date(startTime).toISOString(),
+      duration: Date.now() - startTime,
+      ...this.run,
+      files: fs.existsSync(this.config.distDir)
+        ? this.listFiles(this.config.distDir).map(file => ({ path: file, size: fs.statSync(path.join(this.config.distDir, file)).size }))
+        : [],
+      cache: this.cache.enabled ? { ...this.cache.stats } : null,
+      logFile: this.logFile
+    };
+    this.run = null;
+    this.event('build:end', result);
+    return result;
+  }
+
+  // Report how much work the cache saved and drop entries no build has used in a while
+  logCacheStats() {
+    if (!this.cache.enabled) return;
+    const { hits, misses } = this.cache.stats;
+    const pruned = this.cache.prune();
+    const threads = this.jobs > 0 ? `, ${this.jobs} worker thread(s)` : '';
+    this.log(`🗃️  Cache: ${hits} hit(s), ${misses} miss(es)${pruned > 0 ? `, pruned ${pruned} stale entries` : ''}${threads}`);
   }
 }
 
@@ -346,14 +1983,78 @@ if (require.main === module) {
   const options = {
     production: args.includes('--production') || args.includes('-p'),
     verbose: args.includes('--verbose') || args.includes('-v'),
-    clean: !args.includes('--no-clean')
+    clean: !args.includes('--no-clean'),
+    watch: args.includes('--watch') || args.includes('-w'),
+    serve: args.includes('--serve') || args.includes('-s'),
+    strict: args.includes('--strict'),
+    criticalCss: args.includes('--critical-css')
   };
+
+  // Left unset without the flag so catipedia.config.js can decide
+  if (args.includes('--no-source-maps')) {
+    options.sourceMaps = false;
+  }
+  if (args.includes('--no-cache')) {
+    options.cache = false;
+  }
+
+  // --log writes a JSON-lines log to logs/, --log <file> to that file
+  const logIndex = args.indexOf('--log');
+  if (logIndex !== -1) {
+    const file = args[logIndex + 1];
+    options.logFile = file && !file.startsWith('-') ? file : true;
+  }
+
+  // --jobs 0 runs every task on the main thread
+  const jobsIndex = args.indexOf('--jobs');
+  if (jobsIndex !== -1) {
+    options.jobs = parseInt(args[jobsIndex + 1], 10);
+  }
+
+  const configIndex = args.indexOf('--config');
+  if (configIndex !== -1) {
+    options.configFile = args[configIndex + 1];
+  }
+
+  const envIndex = args.indexOf('--env');
+  if (envIndex !== -1) {
+    options.environment = args[envIndex + 1];
+  }
+
+  const portIndex = args.indexOf('--port');
+  if (portIndex !== -1) {
+    options.port = parseInt(args[portIndex + 1], 10);
+  }
+
+  // --locale de,fr builds the default locale and only these others
+  const localeIndex = args.indexOf('--locale');
+  if (localeIndex !== -1) {
+    options.localeFilter = (args[localeIndex + 1] || '').split(',').filter(Boolean);
+  }
   
-  const buildManager = new BuildManager(options);
-  buildManager.build().catch(error => {
+  const run = async () => {
+    const buildManager = new BuildManager(options);
+
+    if (!buildManager.watchMode) {
+      const result = await buildManager.build();
+      if (result.logFile) buildManager.print(`🧾 Log: ${result.logFile}`);
+      process.exitCode = result.success ? 0 : 1;
+      return;
+    }
+
+    const { close } = await buildManager.watch();
+    const shutdown = async () => {
+      await close();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  };
+
+  run().catch(error => {
     console.error('Build failed:', error.message);
     process.exit(1);
   });
 }
 
-module.exports = { BuildManager, BUILD_CONFIG };
+module.exports = { BuildManager, BUILD_CONFIG, STATIC_FILES, PERFORMANCE_BUDGETS };
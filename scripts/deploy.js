@@ -84,7 +84,10 @@ class DeploymentManager {
       
       // Run build command
       console.log('🏗️  Building project...');
-      execSync('npm run build', { stdio: 'inherit' });
+      execSync('npm run build', {
+        stdio: 'inherit',
+        env: { ...process.env, CATIPEDIA_ENV: this.environment }
+      });
       
       // Verify build directory exists
       if (!fs.existsSync(this.config.buildDir)) {
@@ -0,0 +1,126 @@
+/**
+ * Catipedia Accessibility Lint
+ * Audits built pages for common accessibility and HTML correctness problems:
+ * missing lang, images without alt, skipped heading levels, duplicate ids,
+ * unlabelled form controls and a missing title or meta description.
+ */
+
+const { forEachTag, lineIndex } = require('./html');
+
+// Controls that need a label; hidden inputs and buttons carry their own text
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'reset', 'button', 'image'];
+
+const A11Y_RULES = {
+  'html-lang': 'the <html> element needs a lang attribute',
+  'img-alt': 'images need an alt attribute (alt="" for decorative images)',
+  'heading-order': 'heading levels must not be skipped',
+  'duplicate-id': 'ids must be unique within a page',
+  label: 'form controls need a label',
+  title: 'pages need a non-empty <title>',
+  'meta-description': 'pages need a meta description'
+};
+
+// Blank out comments, scripts and styles, keeping offsets and line numbers intact
+function maskNonMarkup(html) {
+  const blank = match => match.replace(/[^\n]/g, ' ');
+  return html
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi, (match, open, tag, body, close) => open + blank(body) + close);
+}
+
+/**
+ * Audit one page.
+ * @param {string} html
+ * @param {string} file reported with each finding
+ * @returns {Array<{ file: string, line?: number, rule: string, message: string }>}
+ */
+function auditPage(html, file) {
+  const findings = [];
+  const source = maskNonMarkup(html);
+  const lineAt = lineIndex(source);
+
+  const report = (rule, message, index) => {
+    findings.push({ file, line: index === undefined ? undefined : lineAt(index), rule, message });
+  };
+
+  const labelSpans = [];
+  const labelledIds = new Set();
+  const labelPattern = /<label\b([^>]*)>[\s\S]*?<\/label>/gi;
+  let labelMatch;
+  while ((labelMatch = labelPattern.exec(source)) !== null) {
+    labelSpans.push([labelMatch.index, labelMatch.index + labelMatch[0].length]);
+    const forMatch = /\bfor\s*=\s*["']?([^"'\s>]+)/i.exec(labelMatch[1]);
+    if (forMatch) labelledIds.add(forMatch[1]);
+  }
+
+  const seenIds = new Map();
+  const controls = [];
+  let sawHtml = false;
+  let previousHeading = 0;
+
+  forEachTag(source, (tagName, attributes, raw, index) => {
+    if (attributes.id !== undefined) {
+      if (seenIds.has(attributes.id)) {
+        report('duplicate-id', `duplicate id "${attributes.id}" (first used on line ${seenIds.get(attributes.id)})`, index);
+      } else {
+        seenIds.set(attributes.id, lineAt(index));
+      }
+    }
+
+    if (tagName === 'html') {
+      sawHtml = true;
+      if (!attributes.lang || !attributes.lang.trim()) report('html-lang', A11Y_RULES['html-lang'], index);
+    }
+
+    if (tagName === 'img' && !('alt' in attributes) && attributes.role !== 'presentation') {
+      report('img-alt', `<img src="${attributes.src || ''}"> has no alt attribute`, index);
+    }
+
+    const heading = /^h([1-6])$/.exec(tagName);
+    if (heading) {
+      const level = Number(heading[1]);
+      if (previousHeading > 0 && level > previousHeading + 1) {
+        report('heading-order', `<h${level}> follows <h${previousHeading}>, skipping a level`, index);
+      } else if (previousHeading === 0 && level > 2) {
+        report('heading-order', `the first heading is <h${level}>`, index);
+      }
+      previousHeading = level;
+    }
+
+    const isControl = tagName === 'select' || tagName === 'textarea' ||
+      (tagName === 'input' && !UNLABELLED_INPUT_TYPES.includes((attributes.type || 'text').toLowerCase()));
+    if (isControl) controls.push({ tagName, attributes, index });
+  });
+
+  for (const { tagName, attributes, index } of controls) {
+    const labelled = (attributes['aria-label'] || '').trim() || attributes['aria-labelledby'] || attributes.title ||
+      (attributes.id && labelledIds.has(attributes.id)) ||
+      labelSpans.some(([start, end]) => index > start && index < end);
+    if (!labelled) {
+      const name = attributes.name ? ` name="${attributes.name}"` : '';
+      report('label', `<${tagName}${name}> has no label`, index);
+    }
+  }
+
+  if (!sawHtml) report('html-lang', 'the page has no <html> element to carry a lang attribute');
+
+  const head = /<head\b[^>]*>([\s\S]*?)<\/head>/i.exec(source);
+  const headHtml = head ? head[1] : source.split(/<body\b/i)[0];
+  const title = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(headHtml);
+  if (!title || !title[1].trim()) report('title', A11Y_RULES.title);
+
+  const description = /<meta\b[^>]*\bname\s*=\s*["']description["'][^>]*>/i.exec(headHtml);
+  if (!description || !/\bcontent\s*=\s*["']\s*[^"'\s]/i.test(description[0])) {
+    report('meta-description', A11Y_RULES['meta-description']);
+  }
+
+  return findings.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+// Render a finding as "file:line: [rule] message"
+function formatFinding(finding) {
+  const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+  return `${location}: [${finding.rule}] ${finding.message}`;
+}
+
+module.exports = { auditPage, formatFinding, A11Y_RULES };
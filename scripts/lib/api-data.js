@@ -0,0 +1,69 @@
+/**
+ * Catipedia API Data
+ * Builds data/breeds.json, the bundle of breed records that the Worker in
+ * src/index.js answers /api requests from. The bundle also carries the values
+ * the API accepts for each filter, so the Worker validates requests against
+ * the same data it serves.
+ */
+
+const crypto = require('crypto');
+const { COMPARE_TRAITS } = require('./compare-matrix');
+
+const API_DATA_VERSION = 1;
+
+// In the order of the breed schema's enums, which is also the sort order
+const SIZES = ['small', 'medium', 'large'];
+const COAT_LENGTHS = ['hairless', 'short', 'medium', 'long'];
+
+function range(value) {
+  return value ? { min: value.min, max: value.max } : null;
+}
+
+function apiBreed(breed, urlPrefix) {
+  return {
+    slug: breed.slug,
+    name: breed.name,
+    alternateNames: breed.alternateNames || [],
+    url: `${urlPrefix}breeds/${breed.slug}/`,
+    origin: breed.origin,
+    size: breed.size,
+    weightKg: range(breed.weightKg),
+    lifespan: range(breed.lifespan),
+    coat: {
+      length: breed.coat.length,
+      texture: breed.coat.texture || null,
+      colors: breed.coat.colors || []
+    },
+    traits: Object.fromEntries(COMPARE_TRAITS.map(([group, trait]) => [trait, breed[group][trait]])),
+    health: breed.health || [],
+    images: (breed.images || []).map(image => ({ ...image, src: `/${image.src}` })),
+    summary: breed.summary,
+    description: breed.description.trim(),
+    updated: breed.updated || null
+  };
+}
+
+/**
+ * Build the API bundle of one locale.
+ * @param {object[]} breeds validated breed records, already translated for the locale
+ * @param {{ urlPrefix?: string, locale: string }} options urlPrefix is the root of the locale's pages
+ * @returns {{ format: number, version: string, locale: string, filters: object, breeds: object[] }}
+ *   version changes whenever the data does; image src values are root-relative
+ */
+function buildApiData(breeds, { urlPrefix = '/', locale }) {
+  const data = {
+    locale,
+    filters: {
+      size: SIZES,
+      coat: COAT_LENGTHS,
+      traits: COMPARE_TRAITS.map(([, trait]) => trait)
+    },
+    breeds: [...breeds]
+      .sort((a, b) => a.name.localeCompare(b.name, locale))
+      .map(breed => apiBreed(breed, urlPrefix))
+  };
+  const version = crypto.createHash('md5').update(JSON.stringify(data)).digest('hex').substring(0, 12);
+  return { format: API_DATA_VERSION, version, ...data };
+}
+
+module.exports = { buildApiData, API_DATA_VERSION, SIZES, COAT_LENGTHS };
@@ -0,0 +1,151 @@
+/**
+ * Catipedia Articles
+ * Loads Markdown articles from content/articles, validates their frontmatter
+ * and renders their bodies. Problems are reported as { file, line, field, message }
+ * like breed data errors, so they print through formatDataError.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+const { renderMarkdown, parseFrontmatter, FrontmatterError } = require('./markdown');
+
+const ARTICLE_FILE_EXTENSIONS = ['.md', '.markdown'];
+
+// Frontmatter fields, validated with the same schema subset as breed records
+const ARTICLE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'summary', 'author'],
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 120 },
+    summary: { type: 'string', minLength: 1, maxLength: 200 },
+    author: { type: 'string', minLength: 1 },
+    tags: { type: 'array', items: { type: 'string', format: 'slug' }, uniqueItems: true },
+    relatedBreeds: { type: 'array', items: { type: 'string', format: 'slug' }, uniqueItems: true },
+    updated: { type: 'string', format: 'date' }
+  }
+};
+
+// Translations in content/articles/<locale>/ carry their own text and when it
+// was last updated; everything else comes from the default locale's article
+const TRANSLATION_SCHEMA = {
+  ...ARTICLE_SCHEMA,
+  required: [],
+  properties: {
+    title: ARTICLE_SCHEMA.properties.title,
+    summary: ARTICLE_SCHEMA.properties.summary,
+    updated: ARTICLE_SCHEMA.properties.updated
+  }
+};
+
+// Line of a top-level frontmatter key, so field errors point somewhere useful
+function fieldLine(source, field) {
+  const key = field.split(/[.[]/)[0];
+  const lines = source.split('\n');
+  const end = lines.indexOf('---', 1);
+
+  for (let i = 1; i < (end === -1 ? lines.length : end); i++) {
+    if (new RegExp(`^${key}\\s*:`).test(lines[i])) return i + 1;
+  }
+  return null;
+}
+
+/**
+ * Load, validate and render every article.
+ * @param {{ articlesDir: string, breedSlugs?: string[], translation?: boolean }} options
+ *   breedSlugs are the valid relatedBreeds values; translations (content/articles/<locale>/)
+ *   may only set title, summary and updated, and may leave any of them and the body out
+ * @returns {{ articles: object[], errors: Array<{ file: string, line?: number, field: string, message: string }> }}
+ *   each article has slug, file, html, headings plus its frontmatter fields; translations
+ *   also have hasBody
+ */
+function loadArticles({ articlesDir, breedSlugs = [], translation = false }) {
+  const articles = [];
+  const errors = [];
+
+  if (!fs.existsSync(articlesDir)) return { articles, errors };
+
+  const files = fs.readdirSync(articlesDir)
+    .filter(file => ARTICLE_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(articlesDir, file);
+    const source = fs.readFileSync(filePath, 'utf8').replace(/\r\n?/g, '\n');
+    const slug = path.basename(file, path.extname(file));
+    const fileErrors = [];
+
+    if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+      fileErrors.push({ field: '(file)', message: 'file names must be lowercase slugs such as "grooming-basics.md"' });
+    }
+
+    let frontmatter;
+    try {
+      frontmatter = parseFrontmatter(source);
+    } catch (error) {
+      if (!(error instanceof FrontmatterError)) throw error;
+      errors.push({ file: filePath, line: error.line, field: 'frontmatter', message: error.reason });
+      continue;
+    }
+
+    const { data, body } = frontmatter;
+
+    for (const error of validate(translation ? TRANSLATION_SCHEMA : ARTICLE_SCHEMA, data)) {
+      fileErrors.push({ line: fieldLine(source, error.field), ...error });
+    }
+
+    (Array.isArray(data.relatedBreeds) ? data.relatedBreeds : []).forEach((breedSlug, index) => {
+      if (typeof breedSlug === 'string' && !breedSlugs.includes(breedSlug)) {
+        fileErrors.push({
+          line: fieldLine(source, 'relatedBreeds'),
+          field: `relatedBreeds[${index}]`,
+          message: `unknown breed "${breedSlug}"`
+        });
+      }
+    });
+
+    const { html, headings, missingFootnotes, unsafeUrls } = renderMarkdown(body);
+    for (const id of missingFootnotes) {
+      fileErrors.push({ field: 'body', message: `footnote [^${id}] is referenced but never defined` });
+    }
+    for (const url of unsafeUrls) {
+      fileErrors.push({ field: 'body', message: `link to "${url}" is not allowed: use an http(s), mailto or relative URL` });
+    }
+
+    errors.push(...fileErrors.map(error => ({ file: filePath, ...error })));
+    if (fileErrors.length > 0) continue;
+
+    const article = { ...data, slug, file: filePath, html, headings };
+    if (translation) article.hasBody = body.trim() !== '';
+    articles.push(article);
+  }
+
+  return { articles, errors };
+}
+
+/**
+ * Lay a translation over an article.
+ * @param {object} article a loaded article
+ * @param {object} [translation] the same article loaded with translation: true
+ * @returns {{ article: object, missing: string[] }} missing lists title, summary
+ *   and body where the translation leaves them to the default locale
+ */
+function translateArticle(article, translation) {
+  if (!translation) return { article, missing: ['title', 'summary', 'body'] };
+
+  const merged = { ...article };
+  for (const field of ['title', 'summary', 'updated']) {
+    if (translation[field] !== undefined) merged[field] = translation[field];
+  }
+  if (translation.hasBody) {
+    merged.html = translation.html;
+    merged.headings = translation.headings;
+  }
+
+  const missing = ['title', 'summary'].filter(field => translation[field] === undefined);
+  if (!translation.hasBody) missing.push('body');
+  return { article: merged, missing };
+}
+
+module.exports = { loadArticles, translateArticle, ARTICLE_SCHEMA, ARTICLE_FILE_EXTENSIONS };
@@ -0,0 +1,243 @@
+/**
+ * Catipedia Breed Data
+ * Loads per-breed JSON/YAML records from data/breeds and validates them against
+ * the versioned schema in data/schema (breed.v<schemaVersion>.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYAML } = require('./yaml');
+const { validate } = require('./schema');
+
+const BREED_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Fields a translation in data/breeds/<locale>/ may override. Scores, sizes
+// and images are the same in every language.
+const TRANSLATABLE_BREED_FIELDS = [
+  'name', 'alternateNames', 'origin', 'summary', 'description', 'coat.texture', 'coat.colors', 'health'
+];
+
+// Read a record file, reporting parse failures with their line number
+function parseRecordFile(filePath) {
+  const source = fs.readFileSync(filePath, 'utf8');
+
+  if (filePath.endsWith('.json')) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      const position = /position (\d+)/.exec(error.message);
+      const line = position ? source.slice(0, Number(position[1])).split('\n').length : null;
+      const parseError = new Error(error.message);
+      parseError.line = line;
+      throw parseError;
+    }
+  }
+
+  return parseYAML(source);
+}
+
+function loadSchemas(schemaDir) {
+  const schemas = {};
+  if (!fs.existsSync(schemaDir)) return schemas;
+
+  for (const file of fs.readdirSync(schemaDir)) {
+    const match = /^breed\.v(\d+)\.json$/.exec(file);
+    if (match) {
+      schemas[Number(match[1])] = JSON.parse(fs.readFileSync(path.join(schemaDir, file), 'utf8'));
+    }
+  }
+
+  return schemas;
+}
+
+// Checks that span several fields or reach outside the record
+function crossFieldErrors(record, file, rootDir) {
+  const errors = [];
+  const expectedSlug = path.basename(file, path.extname(file));
+
+  if (typeof record.slug === 'string' && record.slug !== expectedSlug) {
+    errors.push({ field: 'slug', message: `"${record.slug}" does not match the file name "${expectedSlug}"` });
+  }
+
+  for (const rangeField of ['lifespan', 'weightKg']) {
+    const range = record[rangeField];
+    if (range && typeof range.min === 'number' && typeof range.max === 'number' && range.min > range.max) {
+      errors.push({ field: `${rangeField}.min`, message: `must not be greater than ${rangeField}.max (${range.max})` });
+    }
+  }
+
+  (record.images || []).forEach((image, index) => {
+    if (image && typeof image.src === 'string' && !fs.existsSync(path.join(rootDir, image.src))) {
+      errors.push({ field: `images[${index}].src`, message: `file not found: ${image.src}` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate one parsed breed record.
+ * @returns {Array<{ field: string, message: string }>}
+ */
+function validateBreed(record, file, schemas, rootDir = '.') {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: '(root)', message: 'must be an object' }];
+  }
+
+  const supported = Object.keys(schemas).join(', ') || 'none';
+  if (!Number.isInteger(record.schemaVersion)) {
+    return [{ field: 'schemaVersion', message: `is required and must be an integer (supported: ${supported})` }];
+  }
+
+  const schema = schemas[record.schemaVersion];
+  if (!schema) {
+    return [{ field: 'schemaVersion', message: `unsupported version ${record.schemaVersion} (supported: ${supported})` }];
+  }
+
+  return [...validate(schema, record), ...crossFieldErrors(record, file, rootDir)];
+}
+
+/**
+ * Load and validate every breed record.
+ * @param {{ breedsDir: string, schemaDir: string, rootDir?: string }} options
+ * @returns {{ breeds: object[], sources: Object<string, string>, errors: Array<{ file: string, line?: number, field: string, message: string }> }}
+ *   sources maps each breed slug to the file it was read from
+ */
+function loadBreeds({ breedsDir, schemaDir, rootDir = '.' }) {
+  const breeds = [];
+  const errors = [];
+  const seenSlugs = new Map();
+
+  if (!fs.existsSync(breedsDir)) return { breeds, sources: {}, errors };
+
+  const schemas = loadSchemas(schemaDir);
+  const files = fs.readdirSync(breedsDir)
+    .filter(file => BREED_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(breedsDir, file);
+    let record;
+
+    try {
+      record = parseRecordFile(filePath);
+    } catch (error) {
+      errors.push({ file: filePath, line: error.line, field: '(file)', message: error.reason || error.message });
+      continue;
+    }
+
+    const recordErrors = validateBreed(record, file, schemas, rootDir);
+    errors.push(...recordErrors.map(error => ({ file: filePath, ...error })));
+    if (recordErrors.length > 0) continue;
+
+    if (seenSlugs.has(record.slug)) {
+      errors.push({ file: filePath, field: 'slug', message: `duplicate of ${seenSlugs.get(record.slug)}` });
+      continue;
+    }
+
+    seenSlugs.set(record.slug, filePath);
+    breeds.push(record);
+  }
+
+  return { breeds, sources: Object.fromEntries(seenSlugs), errors };
+}
+
+// Translatable fields of a record, as dotted paths
+function translatableFields(record) {
+  return TRANSLATABLE_BREED_FIELDS.filter(field => {
+    const [key, sub] = field.split('.');
+    return sub ? record[key] && record[key][sub] !== undefined : record[key] !== undefined;
+  });
+}
+
+/**
+ * Lay a translation over a breed record.
+ * @returns {{ breed: object, missing: string[] }} missing lists the fields that
+ *   the record has but the translation does not, which stay in the default locale
+ */
+function translateBreed(breed, translation = {}) {
+  const merged = { ...breed, ...translation, coat: { ...breed.coat, ...translation.coat } };
+  const translated = new Set(translatableFields(translation));
+  return { breed: merged, missing: translatableFields(breed).filter(field => !translated.has(field)) };
+}
+
+/**
+ * Load the translations of one locale from data/breeds/<locale>/. Each file is
+ * named after the breed it translates and holds only translatable fields.
+ * @param {{ translationsDir: string, breeds: object[], schemaDir: string, rootDir?: string }} options
+ * @returns {{ translations: Object<string, object>, sources: Object<string, string>, errors: Array<{ file: string, line?: number, field: string, message: string }> }}
+ *   translations and sources are keyed by breed slug
+ */
+function loadBreedTranslations({ translationsDir, breeds, schemaDir, rootDir = '.' }) {
+  const translations = {};
+  const sources = {};
+  const errors = [];
+
+  if (!fs.existsSync(translationsDir)) return { translations, sources, errors };
+
+  const schemas = loadSchemas(schemaDir);
+  const breedsBySlug = Object.fromEntries(breeds.map(breed => [breed.slug, breed]));
+  const files = fs.readdirSync(translationsDir)
+    .filter(file => BREED_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(translationsDir, file);
+    const slug = path.basename(file, path.extname(file));
+    let record;
+
+    try {
+      record = parseRecordFile(filePath);
+    } catch (error) {
+      errors.push({ file: filePath, line: error.line, field: '(file)', message: error.reason || error.message });
+      continue;
+    }
+
+    if (!breedsBySlug[slug]) {
+      errors.push({ file: filePath, field: '(file)', message: `there is no breed "${slug}" to translate` });
+      continue;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push({ file: filePath, field: '(root)', message: 'must be an object' });
+      continue;
+    }
+
+    const fileErrors = [];
+    for (const [key, value] of Object.entries(record)) {
+      const fields = key === 'coat' && value && typeof value === 'object' ? Object.keys(value).map(sub => `coat.${sub}`) : [key];
+      for (const field of fields.filter(name => !TRANSLATABLE_BREED_FIELDS.includes(name))) {
+        fileErrors.push({ field, message: `is not translatable (allowed: ${TRANSLATABLE_BREED_FIELDS.join(', ')})` });
+      }
+    }
+
+    // The merged record has to be as valid as the original
+    if (fileErrors.length === 0) {
+      const { breed } = translateBreed(breedsBySlug[slug], record);
+      fileErrors.push(...validateBreed(breed, file, schemas, rootDir));
+    }
+
+    errors.push(...fileErrors.map(error => ({ file: filePath, ...error })));
+    if (fileErrors.length > 0) continue;
+
+    translations[slug] = record;
+    sources[slug] = filePath;
+  }
+
+  return { translations, sources, errors };
+}
+
+// Render a validation error as "file:line: field: message"
+function formatDataError(error) {
+  const location = error.line ? `${error.file}:${error.line}` : error.file;
+  return `${location}: ${error.field}: ${error.message}`;
+}
+
+module.exports = {
+  loadBreeds,
+  loadBreedTranslations,
+  translateBreed,
+  validateBreed,
+  formatDataError,
+  BREED_FILE_EXTENSIONS,
+  TRANSLATABLE_BREED_FIELDS
+};
@@ -0,0 +1,151 @@
+/**
+ * Catipedia Build Cache
+ * A content-addressed store in temp/cache for the output of build tasks.
+ * Entries are keyed by a hash of the task's inputs, the options it ran with
+ * and the version of the build tooling, so a changed input, option or build
+ * script simply misses and nothing ever needs invalidating by hand.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Bump when the layout of cache entries changes
+const CACHE_FORMAT = 1;
+
+// Entries not read or written for this long are removed by prune()
+const MAX_AGE_DAYS = 30;
+
+/**
+ * Version of the tools that produce cached output: the build scripts
+ * themselves, the Node.js runtime and sharp when it is installed.
+ * @param {string} scriptsDir directory of the build modules
+ */
+function toolVersion(scriptsDir) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${CACHE_FORMAT}\n${process.version}\n`);
+
+  try {
+    hash.update(`sharp ${require('sharp/package.json').version}\n`);
+  } catch (error) {
+    hash.update('no sharp\n');
+  }
+
+  for (const file of fs.readdirSync(scriptsDir).filter(name => name.endsWith('.js')).sort()) {
+    hash.update(`${file}\n`);
+    hash.update(fs.readFileSync(path.join(scriptsDir, file)));
+  }
+
+  return hash.digest('hex').substring(0, 16);
+}
+
+class BuildCache {
+  /**
+   * @param {{ dir: string, version: string, enabled?: boolean }} options
+   *   version from toolVersion(); a disabled cache misses every lookup and stores nothing
+   */
+  constructor({ dir, version, enabled = true }) {
+    this.dir = dir;
+    this.version = version;
+    this.enabled = enabled;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Key for a task's output.
+   * @param {string} task
+   * @param {Array<string|Buffer>} inputs everything the output depends on
+   */
+  key(task, inputs) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${this.version}\n${task}\n`);
+    for (const input of inputs) {
+      hash.update(String(input.length));
+      hash.update('\n');
+      hash.update(input);
+    }
+    return hash.digest('hex');
+  }
+
+  // Buffers are stored raw, everything else as JSON
+  entryPath(key, binary) {
+    return path.join(this.dir, key.substring(0, 2), `${key}${binary ? '.bin' : '.json'}`);
+  }
+
+  /**
+   * Look an entry up.
+   * @param {string} key
+   * @returns {*} the stored value, or undefined on a miss
+   */
+  get(key) {
+    if (!this.enabled) return undefined;
+
+    for (const binary of [false, true]) {
+      const file = this.entryPath(key, binary);
+      let content;
+      try {
+        content = fs.readFileSync(file);
+      } catch (error) {
+        continue;
+      }
+
+      try {
+        const value = binary ? content : JSON.parse(content.toString('utf8'));
+        // Reading counts as use, so prune() keeps entries the build still needs
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+        this.stats.hits++;
+        return value;
+      } catch (error) {
+        // A half-written entry from an interrupted build is just a miss
+        fs.rmSync(file, { force: true });
+      }
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store an entry. Writes go to a temporary file first so an interrupted
+   * build never leaves a truncated entry behind.
+   * @param {string} key
+   * @param {*} value a Buffer or anything JSON can hold
+   */
+  set(key, value) {
+    if (!this.enabled) return;
+
+    const binary = Buffer.isBuffer(value) || value instanceof Uint8Array;
+    const file = this.entryPath(key, binary);
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporary, binary ? value : JSON.stringify(value));
+    fs.renameSync(temporary, file);
+  }
+
+  /**
+   * Remove entries that no build has used for maxAgeDays.
+   * @returns {number} entries removed
+   */
+  prune(maxAgeDays = MAX_AGE_DAYS) {
+    if (!this.enabled || !fs.existsSync(this.dir)) return 0;
+
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+    for (const shard of fs.readdirSync(this.dir)) {
+      const shardDir = path.join(this.dir, shard);
+      if (!fs.statSync(shardDir).isDirectory()) continue;
+
+      for (const entry of fs.readdirSync(shardDir)) {
+        const file = path.join(shardDir, entry);
+        if (fs.statSync(file).mtimeMs < cutoff) {
+          fs.rmSync(file, { force: true });
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = { BuildCache, toolVersion, CACHE_FORMAT, MAX_AGE_DAYS };
@@ -0,0 +1,188 @@
+/**
+ * Catipedia Build Report
+ * Measures raw, gzip and brotli sizes of the built files and of each page
+ * together with the CSS and JS it loads, checks them against performance
+ * budgets and compares them with the previous build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { forEachTag, isLocalUrl, resolveUrl } = require('./html');
+
+const REPORT_VERSION = 1;
+
+// Files that are never downloaded by visitors
+const EXCLUDED_FILES = [/\.map$/, /^build-report\.json$/, /^translation-coverage\.json$/, /^_headers$/, /^src\//];
+
+// Strips the content hash generateHashes() adds, so reports compare across builds
+const FINGERPRINT = /\.[0-9a-f]{8}(\.[^./]+)$/;
+
+const METRICS = ['raw', 'gzip', 'brotli'];
+const PAGE_GROUPS = ['html', 'css', 'js', 'total'];
+
+function measure(buffer) {
+  return {
+    raw: buffer.length,
+    gzip: zlib.gzipSync(buffer, { level: 9 }).length,
+    brotli: zlib.brotliCompressSync(buffer).length
+  };
+}
+
+function emptySizes() {
+  return { raw: 0, gzip: 0, brotli: 0 };
+}
+
+function addSizes(target, sizes) {
+  for (const metric of METRICS) target[metric] += sizes[metric];
+}
+
+function logicalPath(file) {
+  return file.replace(FINGERPRINT, '$1');
+}
+
+// Stylesheets and scripts a page loads, as dist-relative paths
+function pageAssets(html, file) {
+  const assets = { css: [], js: [] };
+
+  forEachTag(html, (tagName, attributes) => {
+    if (tagName === 'link' && /\bstylesheet\b/i.test(attributes.rel || '') && isLocalUrl(attributes.href)) {
+      assets.css.push(resolveUrl(attributes.href, file));
+    } else if (tagName === 'script' && isLocalUrl(attributes.src) && !('nomodule' in attributes)) {
+      // nomodule fallbacks are only fetched by browsers without module support
+      assets.js.push(resolveUrl(attributes.src, file));
+    }
+  });
+
+  return assets;
+}
+
+/**
+ * Measure every file in dist and every page with the assets it loads.
+ * @param {{ distDir: string, files: string[], environment?: string, production?: boolean }} options
+ *   files are dist-relative POSIX paths
+ * @returns {object} the report; file and page keys have content hashes removed
+ */
+function createReport({ distDir, files, environment, production }) {
+  const report = {
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    environment,
+    production: Boolean(production),
+    totals: { files: 0, ...emptySizes() },
+    files: {},
+    pages: {}
+  };
+
+  const sizesByFile = {};
+  const measured = files.filter(file => !EXCLUDED_FILES.some(pattern => pattern.test(file)));
+
+  for (const file of measured) {
+    const sizes = measure(fs.readFileSync(path.join(distDir, file)));
+    sizesByFile[file] = sizes;
+    report.files[logicalPath(file)] = file === logicalPath(file) ? sizes : { file, ...sizes };
+    report.totals.files++;
+    addSizes(report.totals, sizes);
+  }
+
+  for (const file of measured.filter(candidate => candidate.endsWith('.html'))) {
+    const html = fs.readFileSync(path.join(distDir, file), 'utf8');
+    const assets = pageAssets(html, file);
+    const page = { html: sizesByFile[file], css: emptySizes(), js: emptySizes(), total: emptySizes(), assets: [] };
+
+    addSizes(page.total, page.html);
+    for (const type of ['css', 'js']) {
+      for (const asset of new Set(assets[type])) {
+        if (!sizesByFile[asset]) continue;
+        addSizes(page[type], sizesByFile[asset]);
+        addSizes(page.total, sizesByFile[asset]);
+        page.assets.push(logicalPath(asset));
+      }
+    }
+
+    report.pages[file] = page;
+  }
+
+  return report;
+}
+
+// Glob match for page paths: * stays within a directory, ** crosses directories
+function matchesPattern(pattern, file) {
+  const source = pattern
+    .split('**')
+    .map(part => part.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(file);
+}
+
+/**
+ * Check page sizes against budgets.
+ * @param {object} report from createReport
+ * @param {Object<string, Object<string, Object<string, number>>>} budgets
+ *   page pattern -> group (html|css|js|total) -> metric (raw|gzip|brotli) -> max bytes,
+ *   e.g. { 'compare.html': { js: { gzip: 50 * 1024 } } }
+ * @returns {Array<{ page: string, pattern: string, group: string, metric: string, limit: number, actual: number, ok: boolean }>}
+ */
+function checkBudgets(report, budgets = {}) {
+  const results = [];
+
+  for (const [pattern, groups] of Object.entries(budgets)) {
+    for (const [page, sizes] of Object.entries(report.pages)) {
+      if (!matchesPattern(pattern, page)) continue;
+
+      for (const [group, limits] of Object.entries(groups)) {
+        if (!PAGE_GROUPS.includes(group)) {
+          throw new Error(`Unknown budget group "${group}" for ${pattern} (expected ${PAGE_GROUPS.join(', ')})`);
+        }
+        for (const [metric, limit] of Object.entries(limits)) {
+          if (!METRICS.includes(metric)) {
+            throw new Error(`Unknown budget metric "${metric}" for ${pattern} (expected ${METRICS.join(', ')})`);
+          }
+          const actual = sizes[group][metric];
+          results.push({ page, pattern, group, metric, limit, actual, ok: actual <= limit });
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * List files and pages whose gzip size grew since the previous report.
+ * @returns {Array<{ kind: 'file'|'page', name: string, before: number|null, after: number, delta: number }>}
+ *   largest growth first; before is null for new entries
+ */
+function diffReports(previous, current) {
+  const changes = [];
+
+  const compare = (kind, before, after, pick) => {
+    for (const [name, sizes] of Object.entries(after)) {
+      const old = before[name] ? pick(before[name]) : null;
+      const now = pick(sizes);
+      if (old === null || now > old) {
+        changes.push({ kind, name, before: old, after: now, delta: now - (old || 0) });
+      }
+    }
+  };
+
+  compare('file', previous.files || {}, current.files, sizes => sizes.gzip);
+  compare('page', previous.pages || {}, current.pages, sizes => sizes.total.gzip);
+
+  return changes.sort((a, b) => b.delta - a.delta || a.name.localeCompare(b.name));
+}
+
+function formatBytes(bytes) {
+  if (Math.abs(bytes) < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+module.exports = {
+  createReport,
+  checkBudgets,
+  diffReports,
+  formatBytes,
+  matchesPattern,
+  pageAssets,
+  REPORT_VERSION
+};
@@ -0,0 +1,52 @@
+/**
+ * Catipedia Build Tasks
+ * The pieces of build work that can run on a worker thread. Each task takes
+ * one plain input object and returns (or resolves to) plain data or a Buffer,
+ * so inputs and outputs survive being copied between threads and the output
+ * can be cached under a hash of the input.
+ */
+
+const { minifyCSS, minifyJS } = require('./minify');
+const { createTranslator, localizeHtml } = require('./i18n');
+const { renderPage, renderBreedContent, renderArticleContent, renderIndexContent, UI_STRINGS } = require('./pages');
+const { encodeVariant } = require('./images');
+
+const TASKS = {
+  /**
+   * Minify CSS or JavaScript.
+   * @param {{ kind: 'css'|'js', content: string, options: object }} input options for minifyCSS/minifyJS
+   * @returns {{ code: string, map: object|null }}
+   */
+  minify({ kind, content, options }) {
+    const { code, map } = kind === 'css' ? minifyCSS(content, options) : minifyJS(content, options);
+    return { code, map: map || null };
+  },
+
+  /**
+   * Render a breed, article or index page and translate it for its locale.
+   * @param {{ template: string, page: object, content: { breed?: object, article?: object, breedsBySlug?: object, index?: object },
+   *   strings: Object<string, string>, localize: { locale: string, prefix: string, strings: object }|null }} input
+   *   page holds the renderPage() options other than content; strings are the locale's UI strings
+   * @returns {string}
+   */
+  renderPage({ template, page, content, strings, localize }) {
+    const t = createTranslator(strings, UI_STRINGS);
+    let body;
+    if (content.breed) body = renderBreedContent(content.breed, t);
+    else if (content.index) body = renderIndexContent(content.index, t);
+    else body = renderArticleContent(content.article, content.breedsBySlug, t);
+    const html = renderPage(template, { ...page, content: body });
+    return localize ? localizeHtml(html, localize) : html;
+  },
+
+  /**
+   * Resize and re-encode an image.
+   * @param {{ sourcePath: string, width: number, format: string }} input
+   * @returns {Promise<Buffer>}
+   */
+  imageVariant(input) {
+    return encodeVariant(input);
+  }
+};
+
+module.exports = { TASKS };
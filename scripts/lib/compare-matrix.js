@@ -0,0 +1,64 @@
+/**
+ * Catipedia Comparison Matrix
+ * Condenses breed records into the compact JSON that compare.html loads, so the
+ * page never has to download full breed records.
+ */
+
+const { UI_STRINGS } = require('./pages');
+const { createTranslator } = require('./i18n');
+
+const MATRIX_VERSION = 1;
+
+// Trait scores plotted on the radar chart, in axis order
+const COMPARE_TRAITS = [
+  ['temperament', 'affection'],
+  ['temperament', 'energy'],
+  ['temperament', 'playfulness'],
+  ['temperament', 'intelligence'],
+  ['temperament', 'vocality'],
+  ['temperament', 'independence'],
+  ['temperament', 'kidFriendly'],
+  ['temperament', 'petFriendly'],
+  ['temperament', 'strangerFriendly'],
+  ['care', 'grooming'],
+  ['care', 'shedding'],
+  ['care', 'allergens']
+];
+
+// Attribute rows, labelled through the compare.<attribute> UI strings
+const COMPARE_ATTRIBUTES = ['origin', 'size', 'coat', 'lifespan', 'weight'];
+
+function range(value) {
+  return value ? [value.min, value.max] : null;
+}
+
+/**
+ * Build the comparison matrix.
+ * @param {object[]} breeds validated breed records, already translated for the locale
+ * @param {{ t?: Function, urlPrefix?: string, locale?: string }} options translator for
+ *   the labels, root of the locale's pages and the locale to sort names in
+ * @returns {{ version: number, traits: string[], labels: object, attributes: object, breeds: object[] }}
+ */
+function buildComparisonMatrix(breeds, { t = createTranslator({}, UI_STRINGS), urlPrefix = '/', locale } = {}) {
+  return {
+    version: MATRIX_VERSION,
+    traits: COMPARE_TRAITS.map(([, trait]) => trait),
+    labels: Object.fromEntries(COMPARE_TRAITS.map(([, trait]) => [trait, t(`trait.${trait}`)])),
+    attributes: Object.fromEntries(COMPARE_ATTRIBUTES.map(attribute => [attribute, t(`compare.${attribute}`)])),
+    breeds: [...breeds]
+      .sort((a, b) => a.name.localeCompare(b.name, locale))
+      .map(breed => ({
+        slug: breed.slug,
+        name: breed.name,
+        url: `${urlPrefix}breeds/${breed.slug}/`,
+        origin: breed.origin,
+        size: breed.size,
+        coat: breed.coat.length,
+        lifespan: range(breed.lifespan),
+        weight: range(breed.weightKg),
+        scores: COMPARE_TRAITS.map(([group, trait]) => breed[group][trait])
+      }))
+  };
+}
+
+module.exports = { buildComparisonMatrix, COMPARE_TRAITS, MATRIX_VERSION };
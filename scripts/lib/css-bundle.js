@@ -0,0 +1,407 @@
+/**
+ * Catipedia CSS Bundling
+ * Resolves @import, parses stylesheets into rules, and prunes selectors that
+ * match nothing in the built pages or in class names used by scripts. Also
+ * extracts the critical (above the fold) subset of a stylesheet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { forEachTag } = require('./html');
+
+// At-rules whose blocks hold ordinary rules that can be pruned
+const GROUPING_AT_RULES = ['media', 'supports', 'layer', 'container', 'document'];
+
+// Marks the end of the above-the-fold part of a page for critical CSS
+const FOLD_MARKER = '<!-- fold -->';
+
+// Without a marker, this many start tags after <body> count as above the fold
+const CRITICAL_TAG_LIMIT = 40;
+
+class CSSError extends Error {
+  constructor(message, file, line) {
+    super(file ? `${file}${line ? `:${line}` : ''}: ${message}` : message);
+    this.name = 'CSSError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+// Index just past a quoted string starting at start
+function skipString(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  while (i < source.length && source[i] !== quote) {
+    if (source[i] === '\\') i++;
+    i++;
+  }
+  return i + 1;
+}
+
+// Read up to (not including) the first character in stops at nesting depth 0
+function readUntil(source, start, stops) {
+  let depth = 0;
+  let i = start;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '"' || char === "'") {
+      i = skipString(source, i);
+      continue;
+    }
+    if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+      continue;
+    }
+    if (char === '(' || char === '[') depth++;
+    else if (char === ')' || char === ']') depth--;
+    else if (depth === 0 && stops.includes(char)) break;
+    i++;
+  }
+
+  return i;
+}
+
+// Read the inside of a {...} block; start is just after the opening brace
+function readBlock(source, start, file) {
+  let depth = 1;
+  let i = start;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '"' || char === "'") {
+      i = skipString(source, i);
+      continue;
+    }
+    if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+      continue;
+    }
+    if (char === '{') depth++;
+    if (char === '}' && --depth === 0) return { body: source.slice(start, i), end: i + 1 };
+    i++;
+  }
+
+  throw new CSSError('Unclosed block', file, source.slice(0, start).split('\n').length);
+}
+
+function parseNodes(source, state, nested, file) {
+  const nodes = [];
+
+  while (state.index < source.length) {
+    const rest = source.slice(state.index);
+    const whitespace = /^\s+/.exec(rest);
+    if (whitespace) {
+      state.index += whitespace[0].length;
+      continue;
+    }
+
+    if (source[state.index] === '}') {
+      if (!nested) throw new CSSError('Unexpected "}"', file, source.slice(0, state.index).split('\n').length);
+      state.index++;
+      return nodes;
+    }
+
+    if (rest.startsWith('/*')) {
+      const end = source.indexOf('*/', state.index + 2);
+      const text = source.slice(state.index, end === -1 ? source.length : end + 2);
+      // Licence comments survive bundling, like they survive minification
+      if (/^\/\*!|@license|@preserve/.test(text)) nodes.push({ type: 'comment', text });
+      state.index += text.length;
+      continue;
+    }
+
+    if (source[state.index] === '@') {
+      const name = /^@([\w-]+)/.exec(rest)[1].toLowerCase();
+      const preludeEnd = readUntil(source, state.index + name.length + 1, ['{', ';', '}']);
+      const prelude = source.slice(state.index + name.length + 1, preludeEnd).trim();
+
+      if (source[preludeEnd] !== '{') {
+        nodes.push({ type: 'at', name, prelude, body: null });
+        state.index = source[preludeEnd] === ';' ? preludeEnd + 1 : preludeEnd;
+        continue;
+      }
+
+      if (GROUPING_AT_RULES.includes(name)) {
+        state.index = preludeEnd + 1;
+        nodes.push({ type: 'at', name, prelude, children: parseNodes(source, state, true, file) });
+      } else {
+        const { body, end } = readBlock(source, preludeEnd + 1, file);
+        nodes.push({ type: 'at', name, prelude, body });
+        state.index = end;
+      }
+      continue;
+    }
+
+    const selectorEnd = readUntil(source, state.index, ['{', '}']);
+    if (source[selectorEnd] !== '{') {
+      throw new CSSError(`Expected "{" after "${source.slice(state.index, selectorEnd).trim().slice(0, 40)}"`, file,
+        source.slice(0, state.index).split('\n').length);
+    }
+    const { body, end } = readBlock(source, selectorEnd + 1, file);
+    nodes.push({ type: 'rule', selector: source.slice(state.index, selectorEnd).trim(), body });
+    state.index = end;
+  }
+
+  if (nested) throw new CSSError('Unclosed block', file);
+  return nodes;
+}
+
+/**
+ * Parse a stylesheet into rule, at-rule and preserved comment nodes.
+ * Declarations are kept as raw text.
+ * @param {string} source
+ * @param {string} [file] used in error messages
+ */
+function parseCSS(source, file) {
+  return parseNodes(source, { index: 0 }, false, file);
+}
+
+function stringifyCSS(nodes, indent = '') {
+  return nodes.map(node => {
+    if (node.type === 'comment') return `${indent}${node.text}`;
+    if (node.type === 'rule') return `${indent}${node.selector} {${node.body}}`;
+
+    const head = `${indent}@${node.name}${node.prelude ? ` ${node.prelude}` : ''}`;
+    if (node.children) return `${head} {\n${stringifyCSS(node.children, `${indent}  `)}\n${indent}}`;
+    if (node.body !== null) return `${head} {${node.body}}`;
+    return `${head};`;
+  }).join('\n');
+}
+
+function importTarget(prelude) {
+  const match = /^(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)\s*(.*)$/.exec(prelude);
+  return match ? { url: match[2] || match[4], media: match[5].trim() } : null;
+}
+
+// Rewrite relative url()s written for fromDir so they work from toDir
+function rebaseUrls(css, fromDir, toDir) {
+  if (path.resolve(fromDir) === path.resolve(toDir)) return css;
+
+  return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+    if (/^([a-z]+:|\/|#)/i.test(url.trim())) return match;
+    const rebased = path.relative(toDir, path.join(fromDir, url.trim())).split(path.sep).join('/');
+    return `url(${quote}${rebased}${quote})`;
+  });
+}
+
+/**
+ * Read a stylesheet and inline its local @imports, recursively. Imports with
+ * media queries are wrapped in @media; remote imports are hoisted to the top.
+ * Relative url()s in imported files are rebased onto the importing file.
+ * @param {string} file path of the stylesheet
+ * @returns {string}
+ */
+function resolveImports(file, chain = []) {
+  if (chain.includes(file)) {
+    throw new CSSError(`Circular @import: ${[...chain, file].join(' -> ')}`, chain[chain.length - 1]);
+  }
+
+  const source = fs.readFileSync(file, 'utf8');
+  const remote = [];
+  const body = [];
+
+  for (const node of parseCSS(source, file)) {
+    const target = node.type === 'at' && node.name === 'import' ? importTarget(node.prelude) : null;
+
+    if (!target) {
+      body.push(stringifyCSS([node]));
+    } else if (/^([a-z]+:)?\/\//i.test(target.url)) {
+      remote.push(stringifyCSS([node]));
+    } else {
+      const importedFile = path.join(path.dirname(file), target.url);
+      if (!fs.existsSync(importedFile)) {
+        throw new CSSError(`@import not found: ${target.url}`, file);
+      }
+      const imported = rebaseUrls(resolveImports(importedFile, [...chain, file]), path.dirname(importedFile), path.dirname(file));
+      body.push(target.media ? `@media ${target.media} {\n${imported}\n}` : imported);
+    }
+  }
+
+  return [...remote, ...body].join('\n');
+}
+
+/**
+ * Collect the tag names, classes and ids pages and scripts can produce.
+ * Scripts contribute every word in their string literals, which covers
+ * class names and element names they add at runtime.
+ * @param {{ html?: string[], scripts?: string[] }} sources
+ * @returns {{ tags: Set<string>, classes: Set<string>, ids: Set<string> }}
+ */
+function collectUsage({ html = [], scripts = [] }) {
+  const usage = { tags: new Set(['html', 'body']), classes: new Set(), ids: new Set() };
+
+  for (const page of html) {
+    forEachTag(page, (tagName, attributes) => {
+      usage.tags.add(tagName);
+      for (const name of (attributes.class || '').split(/\s+/)) {
+        if (name) usage.classes.add(name);
+      }
+      if (attributes.id) usage.ids.add(attributes.id);
+    });
+  }
+
+  for (const script of scripts) {
+    const literals = script.match(/(['"`])(?:\\.|(?!\1)[^\\])*?\1/g) || [];
+    for (const literal of literals) {
+      for (const word of literal.match(/[A-Za-z_-][\w-]*/g) || []) {
+        usage.classes.add(word);
+        usage.ids.add(word);
+        usage.tags.add(word.toLowerCase());
+      }
+    }
+  }
+
+  return usage;
+}
+
+// Drop pseudo-classes, pseudo-elements (with their arguments) and attribute selectors
+function stripNonElementParts(selector) {
+  let output = '';
+  let i = 0;
+
+  while (i < selector.length) {
+    const char = selector[i];
+    if (char === '\\') {
+      output += selector.slice(i, i + 2);
+      i += 2;
+    } else if (char === '[') {
+      i = readUntil(selector, i + 1, [']']) + 1;
+    } else if (char === ':') {
+      i++;
+      while (selector[i] === ':') i++;
+      while (i < selector.length && /[\w-]/.test(selector[i])) i++;
+      if (selector[i] === '(') i = readUntil(selector, i + 1, [')']) + 1;
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+function unescape(name) {
+  return name.replace(/\\(.)/g, '$1');
+}
+
+function isSafelisted(name, safelist) {
+  return safelist.some(entry => (entry instanceof RegExp ? entry.test(name) : entry === name));
+}
+
+/**
+ * Whether a single selector (no commas) can match something. Conservative:
+ * pseudo-classes and attribute selectors are ignored, so only classes, ids
+ * and tag names that appear nowhere cause a selector to be dropped.
+ */
+function selectorUsed(selector, usage, safelist = []) {
+  const stripped = stripNonElementParts(selector);
+  const known = (set, name) => set.has(name) || isSafelisted(name, safelist);
+
+  for (const match of stripped.matchAll(/\.((?:[\w-]|\\.)+)/g)) {
+    if (!known(usage.classes, unescape(match[1]))) return false;
+  }
+  for (const match of stripped.matchAll(/#((?:[\w-]|\\.)+)/g)) {
+    if (!known(usage.ids, unescape(match[1]))) return false;
+  }
+  for (const compound of stripped.split(/[\s>+~]+/)) {
+    const tag = /^(?:[\w-]*\|)?([a-zA-Z][\w-]*)/.exec(compound);
+    if (tag && !usage.tags.has(tag[1].toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+function splitSelectors(selectorList) {
+  const selectors = [];
+  let start = 0;
+  let i = 0;
+  while (i < selectorList.length) {
+    i = readUntil(selectorList, i, [',']);
+    selectors.push(selectorList.slice(start, i).trim());
+    start = ++i;
+  }
+  return selectors.filter(Boolean);
+}
+
+function pruneNodes(nodes, usage, safelist, stats) {
+  const kept = [];
+
+  for (const node of nodes) {
+    if (node.type === 'rule') {
+      const selectors = splitSelectors(node.selector);
+      const used = selectors.filter(selector => selectorUsed(selector, usage, safelist));
+      stats.removed += selectors.length - used.length;
+      if (used.length > 0) kept.push({ ...node, selector: used.join(',\n') });
+    } else if (node.children) {
+      const children = pruneNodes(node.children, usage, safelist, stats);
+      if (children.length > 0) kept.push({ ...node, children });
+    } else {
+      kept.push(node);
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Remove selectors that match nothing in usage.
+ * @param {string} css
+ * @param {{ tags: Set<string>, classes: Set<string>, ids: Set<string> }} usage from collectUsage
+ * @param {Array<string|RegExp>} [safelist] class and id names to always keep
+ * @returns {{ css: string, removed: number }} removed counts dropped selectors
+ */
+function pruneCSS(css, usage, safelist = []) {
+  const stats = { removed: 0 };
+  const nodes = pruneNodes(parseCSS(css), usage, safelist, stats);
+  return { css: stringifyCSS(nodes), removed: stats.removed };
+}
+
+/**
+ * The part of a page visible before scrolling: everything before a
+ * "<!-- fold -->" comment, or the head and the first CRITICAL_TAG_LIMIT tags of the body.
+ */
+function aboveTheFold(html) {
+  const marker = html.indexOf(FOLD_MARKER);
+  if (marker !== -1) return html.slice(0, marker);
+
+  const body = /<body\b[^>]*>/i.exec(html);
+  if (!body) return html;
+
+  let end = html.length;
+  let count = 0;
+  forEachTag(html.slice(body.index), (tagName, attributes, raw, index) => {
+    if (++count === CRITICAL_TAG_LIMIT) end = body.index + index;
+  });
+  return html.slice(0, end);
+}
+
+/**
+ * The subset of css needed to render the above-the-fold part of a page.
+ * @param {string} css
+ * @param {string} html
+ * @param {Array<string|RegExp>} [safelist]
+ * @returns {string}
+ */
+function criticalCSS(css, html, safelist = []) {
+  // Web fonts arrive with the full stylesheet; the fallback font renders meanwhile
+  const nodes = parseCSS(css).filter(node => node.type !== 'at' || node.name !== 'font-face');
+  const usage = collectUsage({ html: [aboveTheFold(html)] });
+  return stringifyCSS(pruneNodes(nodes, usage, safelist, { removed: 0 }));
+}
+
+module.exports = {
+  parseCSS,
+  stringifyCSS,
+  resolveImports,
+  collectUsage,
+  selectorUsed,
+  pruneCSS,
+  criticalCSS,
+  aboveTheFold,
+  rebaseUrls,
+  CSSError,
+  FOLD_MARKER
+};
@@ -0,0 +1,273 @@
+/**
+ * Catipedia Dev Server
+ * Serves the build output locally, watches sources and live-reloads open pages
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.webmanifest': 'application/manifest+json'
+};
+
+const RELOAD_ENDPOINT = '/__livereload';
+
+// Injected into every HTML response so open pages reload after a rebuild
+const RELOAD_SNIPPET = `<script>
+(function () {
+  var source = new EventSource('${RELOAD_ENDPOINT}');
+  source.onmessage = function (event) {
+    if (event.data === 'reload') window.location.reload();
+  };
+})();
+</script>`;
+
+class DevServer {
+  constructor(options = {}) {
+    this.rootDir = path.resolve(options.rootDir || './dist');
+    this.port = options.port || 3000;
+    this.host = options.host || 'localhost';
+    this.log = options.log || (() => {});
+    this.clients = new Set();
+    this.server = null;
+  }
+
+  // Start listening, resolves with the local URL
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve(`http://${this.host}:${this.port}`);
+      });
+    });
+  }
+
+  // Close open live-reload connections and stop the server
+  stop() {
+    for (const client of this.clients) {
+      client.end();
+    }
+    this.clients.clear();
+
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+
+  // Tell every connected page to reload
+  reload() {
+    for (const client of this.clients) {
+      client.write('data: reload\n\n');
+    }
+    this.log(`Reloaded ${this.clients.size} page(s)`, 'verbose');
+  }
+
+  handleRequest(req, res) {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+      // A malformed escape such as /%E0%A4%A
+      this.sendText(res, 400, `Bad request: ${req.url}`);
+      return;
+    }
+
+    if (urlPath === RELOAD_ENDPOINT) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write('\n');
+      this.clients.add(res);
+      req.on('close', () => this.clients.delete(res));
+      return;
+    }
+
+    const filePath = this.resolvePath(urlPath);
+    let body;
+    try {
+      body = filePath && fs.readFileSync(filePath);
+    } catch (error) {
+      // A rebuild can delete the file between resolving and reading it
+      body = null;
+    }
+
+    if (!body) {
+      this.sendText(res, 404, `Not found: ${urlPath}`);
+      this.log(`404 ${urlPath}`, 'verbose');
+      return;
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.html') {
+      body = this.injectReloadSnippet(body.toString('utf8'));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+      'Cache-Control': 'no-store'
+    });
+    res.end(body);
+  }
+
+  sendText(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+  }
+
+  // Map a URL path onto a file in rootDir, refusing anything outside it
+  resolvePath(urlPath) {
+    const candidate = path.join(this.rootDir, path.normalize(urlPath));
+    if (candidate !== this.rootDir && !candidate.startsWith(this.rootDir + path.sep)) {
+      return null;
+    }
+
+    const candidates = [
+      candidate,
+      path.join(candidate, 'index.html'),
+      `${candidate}.html`
+    ];
+
+    for (const filePath of candidates) {
+      if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        return filePath;
+      }
+    }
+
+    return null;
+  }
+
+  injectReloadSnippet(html) {
+    if (html.includes('</body>')) {
+      return html.replace('</body>', `${RELOAD_SNIPPET}\n</body>`);
+    }
+    return html + RELOAD_SNIPPET;
+  }
+}
+
+class FileWatcher {
+  constructor(options = {}) {
+    this.debounce = options.debounce || 100;
+    this.onChange = options.onChange || (() => {});
+    this.onError = options.onError || (() => {});
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.running = null;
+    this.closed = false;
+  }
+
+  // Watch a directory and everything below it
+  watchDirectory(dir) {
+    if (!fs.existsSync(dir) || this.watchers.has(dir)) return;
+
+    this.addWatcher(dir, (eventType, fileName) => {
+      if (!fileName) return;
+      const changedPath = path.join(dir, fileName.toString());
+
+      // Pick up directories created after the watch started
+      if (eventType === 'rename' && fs.existsSync(changedPath) && fs.statSync(changedPath).isDirectory()) {
+        this.watchDirectory(changedPath);
+      }
+
+      this.queue(changedPath);
+    });
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        this.watchDirectory(path.join(dir, entry.name));
+      }
+    }
+  }
+
+  // Watch individual files in a directory without recursing into it
+  watchFiles(dir, fileNames) {
+    const names = new Set(fileNames);
+
+    this.addWatcher(dir, (eventType, fileName) => {
+      if (fileName && names.has(fileName.toString())) {
+        this.queue(path.join(dir, fileName.toString()));
+      }
+    });
+  }
+
+  addWatcher(dir, listener) {
+    const watcher = fs.watch(dir, listener);
+    // A watched directory that gets deleted should not crash the dev server
+    watcher.on('error', () => this.unwatch(dir));
+    this.watchers.set(dir, watcher);
+  }
+
+  unwatch(dir) {
+    const watcher = this.watchers.get(dir);
+    if (watcher) {
+      watcher.close();
+      this.watchers.delete(dir);
+    }
+  }
+
+  // Editors often emit several events per save, so batch them
+  queue(changedPath) {
+    this.pending.add(path.normalize(changedPath));
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.debounce);
+  }
+
+  // Hand pending changes to onChange one batch at a time: changes that arrive
+  // while a batch is handled wait and go out together once it is done
+  flush() {
+    if (this.running || this.closed || this.pending.size === 0) return;
+
+    const changes = [...this.pending];
+    this.pending.clear();
+    this.running = Promise.resolve()
+      .then(() => this.onChange(changes))
+      .catch(error => this.onError(error))
+      .then(() => {
+        this.running = null;
+        if (!this.timer) this.flush();
+      });
+  }
+
+  // Resolves once the batch being handled, if any, is done
+  idle() {
+    return this.running || Promise.resolve();
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+}
+
+module.exports = { DevServer, FileWatcher, MIME_TYPES };
@@ -0,0 +1,177 @@
+/**
+ * Catipedia HTML helpers
+ * Small, dependency-free utilities for inspecting and rewriting built pages
+ */
+
+const path = require('path');
+
+// Tags and attributes that point at other files
+const URL_ATTRIBUTES = {
+  a: ['href'],
+  link: ['href'],
+  script: ['src'],
+  img: ['src', 'srcset'],
+  source: ['src', 'srcset'],
+  meta: ['content'],
+  video: ['src', 'poster'],
+  audio: ['src']
+};
+
+const TAG_PATTERN = /<([a-zA-Z][a-zA-Z0-9-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+// Convert a platform path into a URL path
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// True for URLs that resolve to a file inside the site
+function isLocalUrl(url) {
+  if (!url) return false;
+  const trimmed = url.trim();
+  return !(
+    trimmed.startsWith('#') ||
+    trimmed.startsWith('//') ||
+    /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(trimmed)
+  );
+}
+
+// Split a URL into its path and its ?query/#hash suffix
+function splitUrl(url) {
+  const index = url.search(/[?#]/);
+  if (index === -1) return { pathname: url, suffix: '' };
+  return { pathname: url.slice(0, index), suffix: url.slice(index) };
+}
+
+// Resolve a local URL against the page that references it, relative to the site root
+function resolveUrl(url, fromFile) {
+  const { pathname } = splitUrl(url.trim());
+  if (!pathname) return null;
+
+  const resolved = pathname.startsWith('/')
+    ? path.posix.normalize(pathname)
+    : path.posix.join('/', path.posix.dirname(toPosix(fromFile)), pathname);
+
+  return decodeURIComponent(resolved.replace(/^\/+/, ''));
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toLowerCase()] = value;
+  }
+
+  return attributes;
+}
+
+// Call visitor(tagName, attributes, raw, index) for every start tag in the document
+function forEachTag(html, visitor) {
+  let match;
+  const pattern = new RegExp(TAG_PATTERN.source, 'g');
+
+  while ((match = pattern.exec(html)) !== null) {
+    visitor(match[1].toLowerCase(), parseAttributes(match[2]), match[0], match.index);
+  }
+}
+
+// Rewrite every URL-valued attribute; replacer returns the new URL or undefined to keep it
+function rewriteUrls(html, replacer) {
+  return html.replace(new RegExp(TAG_PATTERN.source, 'g'), (tag, tagName, attributeSource) => {
+    const names = URL_ATTRIBUTES[tagName.toLowerCase()];
+    if (!names) return tag;
+
+    const rewritten = attributeSource.replace(
+      /(\s)([^\s=/>]+)(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g,
+      (attribute, space, name, equals, doubleQuoted, singleQuoted, bare) => {
+        const lowerName = name.toLowerCase();
+        if (!names.includes(lowerName)) return attribute;
+
+        const value = doubleQuoted ?? singleQuoted ?? bare;
+        const quote = singleQuoted !== undefined ? "'" : '"';
+        const next = lowerName === 'srcset'
+          ? rewriteSrcset(value, url => replacer(url, tagName.toLowerCase(), lowerName))
+          : replacer(value, tagName.toLowerCase(), lowerName);
+
+        if (next === undefined || next === value) return attribute;
+        return `${space}${name}${equals}${quote}${next}${quote}`;
+      }
+    );
+
+    return `<${tagName}${rewritten}>`;
+  });
+}
+
+function rewriteSrcset(srcset, replacer) {
+  return srcset
+    .split(',')
+    .map(candidate => {
+      const [url, ...descriptor] = candidate.trim().split(/\s+/);
+      const next = replacer(url);
+      return [next === undefined ? url : next, ...descriptor].join(' ');
+    })
+    .join(', ');
+}
+
+// Return a function mapping character offsets to 1-based line numbers, for
+// reporting many positions in the same document
+function lineIndex(source) {
+  const offsets = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source.charCodeAt(i) === 10) offsets.push(i + 1);
+  }
+
+  return (index) => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (offsets[mid] <= index) low = mid; else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+// Return the 1-based line number of a character offset
+function lineAt(source, index) {
+  let line = 1;
+  for (let i = 0; i < index && i < source.length; i++) {
+    if (source.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const ESCAPED = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// Undo escapeHtml, e.g. to get the plain text of rendered Markdown
+function unescapeHtml(value) {
+  return String(value).replace(/&(?:amp|lt|gt|quot|#39);/g, entity => ESCAPED[entity]);
+}
+
+module.exports = {
+  URL_ATTRIBUTES,
+  TAG_PATTERN,
+  toPosix,
+  isLocalUrl,
+  splitUrl,
+  resolveUrl,
+  parseAttributes,
+  forEachTag,
+  rewriteUrls,
+  lineAt,
+  lineIndex,
+  escapeHtml,
+  unescapeHtml
+};
@@ -0,0 +1,240 @@
+/**
+ * Catipedia Localization
+ * Reads the UI string catalogs in locales/<locale>.json, translates static
+ * pages through data-i18n attributes, points page links at a locale's tree and
+ * reports what each locale has not translated yet.
+ *
+ * The default locale's strings live in the code that renders them (UI_STRINGS
+ * in pages.js) and in the static pages themselves, so it needs no catalog.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TAG_PATTERN, escapeHtml, isLocalUrl, splitUrl } = require('./html');
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_PATTERN = /^[a-z]{2,3}(?:-[A-Z]{2})?$/;
+
+// Attributes holding page URLs that a locale's copy of a page points at its own tree
+const PAGE_LINK_ATTRIBUTES = {
+  a: ['href'],
+  form: ['action']
+};
+
+// Attributes holding URLs of data the build writes once per locale
+const LOCALE_DATA_ATTRIBUTES = ['data-search', 'data-compare', 'data-recommend'];
+
+// Element text and attributes translated through data-i18n="key" and data-i18n-<attribute>="key"
+const I18N_TEXT_PATTERN = /(<([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*\bdata-i18n\s*=\s*["']([^"']+)["'][^>]*>)([\s\S]*?)(<\/\2>)/g;
+const I18N_ATTRIBUTE_PATTERN = /\bdata-i18n-([a-z-]+)\s*=\s*["']([^"']+)["']/g;
+
+/**
+ * Locales that have a catalog in localesDir, sorted.
+ * @param {string} localesDir
+ */
+function discoverLocales(localesDir) {
+  if (!fs.existsSync(localesDir)) return [];
+  return fs.readdirSync(localesDir)
+    .filter(file => path.extname(file) === '.json' && LOCALE_PATTERN.test(path.basename(file, '.json')))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// Nested catalogs read better for translators; keys are used dotted
+function flatten(value, prefix, strings, errors) {
+  for (const [key, entry] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      flatten(entry, name, strings, errors);
+    } else if (typeof entry === 'string') {
+      strings[name] = entry;
+    } else {
+      errors.push({ field: name, message: 'must be a string' });
+    }
+  }
+}
+
+/**
+ * Read a UI string catalog.
+ * @param {string} file
+ * @returns {{ strings: Object<string, string>, errors: Array<{ file: string, line?: number, field: string, message: string }> }}
+ */
+function loadCatalog(file) {
+  const strings = {};
+  const errors = [];
+  if (!fs.existsSync(file)) return { strings, errors };
+
+  const source = fs.readFileSync(file, 'utf8');
+  let catalog;
+  try {
+    catalog = JSON.parse(source);
+  } catch (error) {
+    const position = /position (\d+)/.exec(error.message);
+    const line = position ? source.slice(0, Number(position[1])).split('\n').length : undefined;
+    return { strings, errors: [{ file, line, field: '(file)', message: error.message }] };
+  }
+
+  if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+    return { strings, errors: [{ file, field: '(root)', message: 'must be an object of strings' }] };
+  }
+
+  const fieldErrors = [];
+  flatten(catalog, '', strings, fieldErrors);
+  errors.push(...fieldErrors.map(error => ({ file, ...error })));
+  return { strings, errors };
+}
+
+/**
+ * Translator for one locale: t(key, params) looks the key up in strings, then
+ * in defaults, and fills in {name} placeholders from params.
+ * @param {Object<string, string>} strings
+ * @param {Object<string, string>} defaults
+ */
+function createTranslator(strings, defaults = {}) {
+  return (key, params = {}) => {
+    const template = strings[key] ?? defaults[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  };
+}
+
+/**
+ * The data-i18n keys of a page with the text the page already has for them,
+ * which is the default locale's string.
+ * @param {string} html
+ * @returns {Object<string, string>}
+ */
+function pageStrings(html) {
+  const strings = {};
+  for (const match of html.matchAll(I18N_TEXT_PATTERN)) {
+    strings[match[3]] = match[4].trim();
+  }
+  for (const tag of html.match(new RegExp(TAG_PATTERN.source, 'g')) || []) {
+    for (const [, attribute, key] of tag.matchAll(I18N_ATTRIBUTE_PATTERN)) {
+      const value = new RegExp(`\\s${attribute}\\s*=\\s*"([^"]*)"`).exec(tag);
+      strings[key] = value ? value[1] : '';
+    }
+  }
+  return strings;
+}
+
+function setAttribute(tag, name, value) {
+  const pattern = new RegExp(`(\\s${name}\\s*=\\s*)(?:"[^"]*"|'[^']*'|[^\\s>]+)`, 'i');
+  const escaped = escapeHtml(value);
+  return pattern.test(tag)
+    ? tag.replace(pattern, (match, prefix) => `${prefix}"${escaped}"`)
+    : tag.replace(/\s*\/?>$/, end => ` ${name}="${escaped}"${end}`);
+}
+
+/**
+ * Move a root-relative URL into a locale's tree. Unless every file counts,
+ * only pages move: CSS, scripts and images are shared by every locale.
+ * @param {string} url
+ * @param {string} prefix such as "/de/"
+ * @param {{ files?: boolean }} [options]
+ */
+function localizeUrl(url, prefix, { files = false } = {}) {
+  if (!isLocalUrl(url) || !url.startsWith('/')) return url;
+  const { pathname } = splitUrl(url);
+  const extension = path.posix.extname(pathname);
+  if (!files && extension && extension !== '.html') return url;
+  if (pathname === prefix.replace(/\/$/, '') || pathname.startsWith(prefix)) return url;
+  return prefix.replace(/\/$/, '') + url;
+}
+
+/**
+ * Turn a default-locale page into a locale's copy: set <html lang>, translate
+ * data-i18n text and attributes that the catalog has, and point root-relative
+ * page links and per-locale data at the locale's tree. data-i18n elements
+ * should hold text only, since a translation replaces their content.
+ * @param {string} html a page whose local URLs are already root-relative
+ * @param {{ locale: string, prefix: string, strings: Object<string, string> }} options prefix such as "/de/"
+ */
+function localizeHtml(html, { locale, prefix, strings }) {
+  let output = setLang(html, locale);
+
+  output = output.replace(I18N_TEXT_PATTERN, (match, open, tagName, key, text, close) => (
+    strings[key] !== undefined ? `${open}${escapeHtml(strings[key])}${close}` : match
+  ));
+
+  return output.replace(new RegExp(TAG_PATTERN.source, 'g'), (tag, tagName) => {
+    let result = tag;
+
+    for (const [, attribute, key] of tag.matchAll(I18N_ATTRIBUTE_PATTERN)) {
+      if (strings[key] !== undefined) result = setAttribute(result, attribute, strings[key]);
+    }
+
+    const links = (PAGE_LINK_ATTRIBUTES[tagName.toLowerCase()] || []).map(attribute => [attribute, false])
+      .concat(LOCALE_DATA_ATTRIBUTES.map(attribute => [attribute, true]));
+    for (const [attribute, files] of links) {
+      const value = new RegExp(`\\s${attribute}\\s*=\\s*"([^"]*)"`, 'i').exec(result);
+      const localized = value && localizeUrl(value[1], prefix, { files });
+      if (localized && localized !== value[1]) result = setAttribute(result, attribute, localized);
+    }
+
+    return result;
+  });
+}
+
+// Set the lang attribute of <html>
+function setLang(html, locale) {
+  return html.replace(/<html\b[^>]*>/i, tag => setAttribute(tag, 'lang', locale));
+}
+
+/**
+ * Site paths of one page in every locale, for hreflang alternates.
+ * @param {string} sitePath the page's path in the default locale, e.g. /breeds/persian/
+ * @param {string[]} locales default locale first
+ * @returns {Array<{ hreflang: string, path: string }>} includes x-default
+ */
+function localeAlternates(sitePath, locales) {
+  if (locales.length < 2) return [];
+  const [defaultLocale] = locales;
+  return [
+    ...locales.map(locale => ({
+      hreflang: locale,
+      path: locale === defaultLocale ? sitePath : `/${locale}${sitePath}`
+    })),
+    { hreflang: 'x-default', path: sitePath }
+  ];
+}
+
+/**
+ * Split a dist path into its locale and the path of the same page in the default locale.
+ * @param {string} file dist-relative POSIX path
+ * @param {string[]} locales default locale first
+ */
+function fileLocale(file, locales) {
+  const [first, ...rest] = file.split('/');
+  if (rest.length > 0 && locales.indexOf(first) > 0) {
+    return { locale: first, file: rest.join('/') };
+  }
+  return { locale: locales[0], file };
+}
+
+/**
+ * Summarize how much of the site a locale translates.
+ * @param {string} locale
+ * @param {{ strings: { total: number, missing: string[] }, breeds: { total: number, missing: Object<string, string[]> },
+ *   articles: { total: number, missing: Object<string, string[]> } }} coverage
+ *   missing lists untranslated UI string keys, and the untranslated fields of each breed and article
+ */
+function formatCoverage(locale, coverage) {
+  const done = ({ total, missing }) => `${total - Object.keys(missing).length}/${total}`;
+  return `${locale}: ${done(coverage.strings)} UI strings, ${done(coverage.breeds)} breeds and ` +
+    `${done(coverage.articles)} articles fully translated`;
+}
+
+module.exports = {
+  discoverLocales,
+  loadCatalog,
+  createTranslator,
+  pageStrings,
+  localizeHtml,
+  localizeUrl,
+  setLang,
+  localeAlternates,
+  fileLocale,
+  formatCoverage,
+  DEFAULT_LOCALE,
+  LOCALE_PATTERN
+};
@@ -0,0 +1,313 @@
+/**
+ * Catipedia Images
+ * Reads intrinsic image dimensions, generates responsive variants (smaller
+ * widths and AVIF/WebP copies) and rewrites <img> tags to use them.
+ *
+ * Dimensions are read from file headers without any dependencies. Resizing and
+ * re-encoding need the "sharp" package (npm install sharp); the build fails
+ * when there are raster images to process and sharp is not installed. SVG and
+ * GIF images are served as they are and need no encoder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, isLocalUrl, parseAttributes, resolveUrl, splitUrl } = require('./html');
+
+// Widths generated for every raster image that is wider than them
+const IMAGE_WIDTHS = [320, 640, 960, 1280];
+
+// Modern formats offered ahead of the original, best first
+const IMAGE_FORMATS = ['avif', 'webp'];
+
+// Matches the article layout: full width on small screens, 600px column otherwise
+const DEFAULT_SIZES = '(max-width: 700px) 100vw, 600px';
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  svg: 'image/svg+xml'
+};
+
+const ENCODE_OPTIONS = {
+  avif: { quality: 50 },
+  webp: { quality: 75 },
+  jpeg: { quality: 80, mozjpeg: true },
+  png: { compressionLevel: 9 }
+};
+
+const IMG_PATTERN = /<img\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+
+function formatOf(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  return extension === 'jpg' ? 'jpeg' : extension;
+}
+
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // SOF0–SOF15 carry the frame size; C4, C8 and CC are other segments
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function svgSize(buffer) {
+  const match = /<svg\b[^>]*>/i.exec(buffer.toString('utf8'));
+  if (!match) return null;
+
+  const attributes = parseAttributes(match[0].slice(4, -1));
+  const length = value => (/^\s*[\d.]+\s*(px)?\s*$/.test(value || '') ? Math.round(parseFloat(value)) : null);
+  const viewBox = (attributes.viewbox || '').trim().split(/[\s,]+/).map(Number);
+
+  const width = length(attributes.width) ?? (viewBox.length === 4 ? Math.round(viewBox[2]) : null);
+  const height = length(attributes.height) ?? (viewBox.length === 4 ? Math.round(viewBox[3]) : null);
+  return width && height ? { width, height } : null;
+}
+
+/**
+ * Read the intrinsic size of a PNG, JPEG, GIF, WebP, AVIF or SVG image.
+ * @param {Buffer} buffer file contents
+ * @returns {{ width: number, height: number } | null} null when the format is not recognised
+ */
+function imageSize(buffer) {
+  if (buffer.length < 30) return svgSize(buffer);
+
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpegSize(buffer);
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return webpSize(buffer);
+  }
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    // AVIF/HEIF: the image spatial extents ("ispe") box holds the size
+    const ispe = buffer.indexOf('ispe');
+    return ispe === -1 ? null : { width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+  }
+  return svgSize(buffer);
+}
+
+// sharp is only needed once there are raster images, so it is loaded lazily
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resize and re-encode an image with sharp.
+ * @param {{ sourcePath: string, width: number, format: string }} variant format as returned by formatOf()
+ * @returns {Promise<Buffer>}
+ */
+function encodeVariant({ sourcePath, width, format }) {
+  const sharp = loadSharp();
+  if (!sharp) return Promise.reject(new Error('sharp is not installed'));
+  return sharp(sourcePath)
+    .rotate()
+    .resize({ width })
+    .toFormat(format, ENCODE_OPTIONS[format])
+    .toBuffer();
+}
+
+/**
+ * Write resized and re-encoded copies of one image next to its copy in dist.
+ * Existing variants newer than the source are reused; the others are encoded
+ * side by side.
+ * @param {Function} encode encodeVariant() or a stand-in for it
+ * @returns {Promise<Object<string, Array<{ src: string, width: number }>>>} variants by MIME type, smallest first
+ */
+async function generateVariants(encode, { sourcePath, destPath, relativePath, size }) {
+  const format = formatOf(sourcePath);
+  const widths = IMAGE_WIDTHS.filter(width => width < size.width).concat(size.width);
+  const formats = [...IMAGE_FORMATS.filter(candidate => candidate !== format), format];
+  const sourceTime = fs.statSync(sourcePath).mtimeMs;
+  const variants = {};
+  const pending = [];
+
+  for (const target of formats) {
+    variants[MIME_TYPES[target]] = [];
+
+    for (const width of widths) {
+      // The full-width original-format variant is the original itself
+      if (target === format && width === size.width) {
+        variants[MIME_TYPES[target]].push({ src: relativePath, width });
+        continue;
+      }
+
+      const suffix = `-${width}.${target === 'jpeg' ? path.extname(sourcePath).slice(1) : target}`;
+      const variantPath = destPath.replace(/\.[^./]+$/, suffix);
+      const variantRelative = relativePath.replace(/\.[^./]+$/, suffix);
+
+      if (!fs.existsSync(variantPath) || fs.statSync(variantPath).mtimeMs < sourceTime) {
+        pending.push(encode({ sourcePath, width, format: target }).then(data => fs.writeFileSync(variantPath, data)));
+      }
+
+      variants[MIME_TYPES[target]].push({ src: variantRelative, width });
+    }
+  }
+
+  await Promise.all(pending);
+  return variants;
+}
+
+/**
+ * Copy an image directory into dist, generating variants for raster images.
+ * Every image's variants are generated side by side.
+ * @throws {Error} when there are raster images and sharp is not installed
+ * @param {{ srcDir: string, destDir: string, rootDir?: string, encode?: Function, log?: Function }} options
+ *   rootDir is what manifest paths are relative to (the dist root); encode
+ *   replaces encodeVariant(), e.g. to run it on a worker thread or cache it
+ * @returns {Promise<{ manifest: object, variantsGenerated: boolean }>}
+ *   manifest maps each image path to { width, height, type, variants }
+ */
+async function processImages({ srcDir, destDir, rootDir, encode = encodeVariant, log = () => {} }) {
+  const manifest = {};
+  const sharp = loadSharp();
+  const pending = [];
+  const unencoded = [];
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const sourcePath = path.join(dir, entry.name);
+      const destPath = path.join(destDir, path.relative(srcDir, sourcePath));
+
+      if (entry.isDirectory()) {
+        walk(sourcePath);
+        continue;
+      }
+
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.copyFileSync(sourcePath, destPath);
+
+      const format = formatOf(entry.name);
+      if (!MIME_TYPES[format]) continue;
+
+      const relativePath = path.relative(rootDir, destPath).split(path.sep).join('/');
+      const size = imageSize(fs.readFileSync(sourcePath));
+      if (!size) {
+        log(`Could not read the dimensions of ${relativePath}`, 'warning');
+        continue;
+      }
+
+      const image = { width: size.width, height: size.height, type: MIME_TYPES[format], variants: {} };
+      manifest[relativePath] = image;
+
+      // Vector and animated images are served as they are
+      const resizable = !['svg', 'gif'].includes(format);
+      if (resizable && !sharp) {
+        unencoded.push(relativePath);
+        continue;
+      }
+
+      pending.push((resizable ? generateVariants(encode, { sourcePath, destPath, relativePath, size }) : Promise.resolve({}))
+        .then(variants => {
+          image.variants = variants;
+          log(`Processed ${relativePath} (${size.width}×${size.height})`, 'verbose');
+        }));
+    }
+  };
+
+  if (fs.existsSync(srcDir)) walk(srcDir);
+
+  if (unencoded.length > 0) {
+    throw new Error(
+      `sharp is not installed, so no responsive variants can be generated for ${unencoded.length} image(s) ` +
+      `(${unencoded.slice(0, 3).join(', ')}${unencoded.length > 3 ? ', ...' : ''}); install it with "npm install sharp"`
+    );
+  }
+
+  await Promise.all(pending);
+
+  return { manifest, variantsGenerated: Boolean(sharp) };
+}
+
+function attribute(name, value) {
+  return ` ${name}="${escapeHtml(String(value))}"`;
+}
+
+/**
+ * Add dimensions, lazy loading and responsive sources to <img> tags that
+ * point at images in the manifest. Safe to run more than once on a page.
+ * @param {string} html
+ * @param {string} fromFile the page's path relative to the dist root
+ * @param {object} manifest from processImages
+ * @param {{ sizes?: string }} [options]
+ * @returns {string}
+ */
+function rewriteImages(html, fromFile, manifest, options = {}) {
+  const sizes = options.sizes || DEFAULT_SIZES;
+
+  return html.replace(IMG_PATTERN, (tag, attributeSource, offset) => {
+    const attributes = parseAttributes(attributeSource);
+    if (!isLocalUrl(attributes.src)) return tag;
+
+    const image = manifest[resolveUrl(attributes.src, fromFile)];
+    if (!image) return tag;
+
+    // Variant URLs keep the directory part of the original src
+    const { pathname } = splitUrl(attributes.src.trim());
+    const directory = pathname.slice(0, pathname.lastIndexOf('/') + 1);
+    const srcset = (candidates) => candidates
+      .map(candidate => `${directory}${path.posix.basename(candidate.src)} ${candidate.width}w`)
+      .join(', ');
+
+    let added = '';
+    if (!('width' in attributes) && !('height' in attributes)) {
+      added += attribute('width', image.width) + attribute('height', image.height);
+    }
+    if (!('loading' in attributes)) added += attribute('loading', 'lazy');
+    if (!('decoding' in attributes)) added += attribute('decoding', 'async');
+
+    const ownVariants = image.variants[image.type] || [];
+    const responsive = !('srcset' in attributes) && ownVariants.length > 1;
+    if (responsive) {
+      added += attribute('srcset', srcset(ownVariants));
+      if (!('sizes' in attributes)) added += attribute('sizes', sizes);
+    }
+
+    const selfClosing = /\/\s*$/.test(attributeSource);
+    const img = `<img${attributeSource.replace(/\s*\/?\s*$/, '')}${added}${selfClosing ? ' />' : '>'}`;
+
+    // Offer modern formats through <picture>, unless the author already did
+    const before = html.slice(0, offset);
+    const inPicture = before.lastIndexOf('<picture') > before.lastIndexOf('</picture');
+    const sources = Object.entries(image.variants)
+      .filter(([type]) => type !== image.type)
+      .map(([type, candidates]) => `<source type="${type}"${attribute('srcset', srcset(candidates))}${attribute('sizes', attributes.sizes || sizes)}>`);
+
+    if (!responsive || inPicture || sources.length === 0) return img;
+    return `<picture>${sources.join('')}${img}</picture>`;
+  });
+}
+
+module.exports = { imageSize, processImages, encodeVariant, rewriteImages, IMAGE_WIDTHS, IMAGE_FORMATS, DEFAULT_SIZES };
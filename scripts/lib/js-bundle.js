@@ -0,0 +1,604 @@
+/**
+ * Catipedia JS Bundling
+ * Bundles the ES modules in js/ for the browser. Every page script is an entry;
+ * modules that more than one entry imports go into a shared chunk, and
+ * top-level declarations that no live code uses are dropped (js/lib modules
+ * are treated as free of side effects).
+ *
+ * Output is a plain script: modules are wrapped in functions and registered
+ * with a small loader on window.__catipedia, so the same code also works as
+ * the nomodule fallback for browsers without module support.
+ *
+ * Supported syntax: static import (default, named, namespace, bare), export of
+ * declarations, export lists, export ... from, and export default. Import
+ * specifiers must be relative and include the .js or .mjs extension, as in browsers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenizeJS } = require('./minify');
+
+const SHARED_CHUNK = 'shared.js';
+
+// Defines window.__catipedia once, whichever bundle loads first
+const LOADER = `var __catipedia = window.__catipedia || (window.__catipedia = (function () {
+  var definitions = {};
+  var cache = {};
+  function require(id) {
+    if (!cache[id]) {
+      if (!definitions[id]) throw new Error('Module not loaded: ' + id);
+      cache[id] = {};
+      definitions[id](cache[id], require);
+    }
+    return cache[id];
+  }
+  return { define: function (id, factory) { definitions[id] = factory; }, require: require };
+})());`;
+
+const DECLARATION_KEYWORDS = ['function', 'class', 'const', 'let', 'var'];
+
+class BundleError extends Error {
+  constructor(message, file, line) {
+    super(file ? `${file}${line ? `:${line}` : ''}: ${message}` : message);
+    this.name = 'BundleError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+// Tokens with character offsets and brace depth; whitespace and comments are kept aside
+function scan(source, file) {
+  let tokens;
+  try {
+    tokens = tokenizeJS(source);
+  } catch (error) {
+    throw new BundleError(error.message, file, error.line);
+  }
+
+  let offset = 0;
+  let depth = 0;
+  const significant = [];
+
+  for (const token of tokens) {
+    token.start = offset;
+    offset += token.value.length;
+    token.end = offset;
+    if (token.type === 'whitespace' || token.type === 'comment') continue;
+
+    if (token.type === 'punct' && '{(['.includes(token.value)) {
+      token.depth = depth++;
+    } else if (token.type === 'punct' && '})]'.includes(token.value)) {
+      token.depth = --depth;
+    } else if (token.type === 'template') {
+      if (token.value.startsWith('}')) depth--;
+      token.depth = depth;
+      if (token.value.endsWith('${')) depth++;
+    } else {
+      token.depth = depth;
+    }
+    significant.push(token);
+  }
+
+  return { tokens, significant };
+}
+
+function unquote(token) {
+  return token.value.slice(1, -1);
+}
+
+// Word tokens in significant[from..to] used as identifiers (not property names after a dot)
+function referencesIn(significant, from, to) {
+  const refs = new Set();
+  for (let i = from; i <= to; i++) {
+    const token = significant[i];
+    const previous = significant[i - 1];
+    if (token.type === 'word' && !(previous && (previous.value === '.' || previous.value === '?.'))) {
+      refs.add(token.value);
+    }
+  }
+  return refs;
+}
+
+// Index of the next depth-0 token at or after from that satisfies test
+function findTopLevel(significant, from, test) {
+  for (let i = from; i < significant.length; i++) {
+    if (significant[i].depth === 0 && test(significant[i])) return i;
+  }
+  return -1;
+}
+
+// Index of the token that ends a statement starting at from
+function statementEnd(significant, from, file) {
+  const startLine = significant[from].line;
+  for (let i = from + 1; i < significant.length; i++) {
+    const token = significant[i];
+    if (token.depth !== 0) continue;
+    if (token.value === ';') return i;
+    if (token.line > startLine && ['import', 'export', ...DECLARATION_KEYWORDS].includes(token.value) &&
+        !['.', '=', '(', ','].includes(significant[i - 1].value)) {
+      throw new BundleError('Missing semicolon at the end of a top-level statement', file, significant[i - 1].line);
+    }
+  }
+  return significant.length - 1;
+}
+
+// Start offset of the comments directly above a token, so they go with it
+function leadingCommentStart(tokens, start) {
+  let index = tokens.findIndex(token => token.start === start);
+  let commentStart = start;
+  while (index > 1) {
+    const whitespace = tokens[index - 1];
+    const comment = tokens[index - 2];
+    if (whitespace.type !== 'whitespace' || comment.type !== 'comment' || /\n[^\S\n]*\n/.test(whitespace.value)) break;
+    commentStart = comment.start;
+    index -= 2;
+  }
+  return commentStart;
+}
+
+function parseImport(significant, i, file) {
+  let j = i + 1;
+  const specifiers = [];
+  const expect = (value) => {
+    if (!significant[j] || significant[j].value !== value) {
+      throw new BundleError(`Unsupported import syntax, expected "${value}"`, file, significant[i].line);
+    }
+    j++;
+  };
+
+  if (significant[j].type !== 'string') {
+    if (significant[j].type === 'word') {
+      specifiers.push({ imported: 'default', local: significant[j].value });
+      j++;
+      if (significant[j].value === ',') j++;
+    }
+    if (significant[j].value === '*') {
+      j++;
+      expect('as');
+      specifiers.push({ imported: '*', local: significant[j].value });
+      j++;
+    } else if (significant[j].value === '{') {
+      j++;
+      while (significant[j].value !== '}') {
+        const imported = significant[j].value;
+        j++;
+        let local = imported;
+        if (significant[j].value === 'as') {
+          local = significant[j + 1].value;
+          j += 2;
+        }
+        specifiers.push({ imported, local });
+        if (significant[j].value === ',') j++;
+      }
+      j++;
+    }
+    expect('from');
+  }
+
+  if (!significant[j] || significant[j].type !== 'string') {
+    throw new BundleError('Unsupported import syntax, expected a module specifier', file, significant[i].line);
+  }
+  const source = unquote(significant[j]);
+  const end = significant[j + 1] && significant[j + 1].value === ';' ? j + 1 : j;
+  return { source, specifiers, start: significant[i].start, end: significant[end].end, endIndex: end };
+}
+
+function parseExportList(significant, i) {
+  const names = [];
+  let j = i + 2;
+  while (significant[j].value !== '}') {
+    const local = significant[j].value;
+    j++;
+    let exported = local;
+    if (significant[j].value === 'as') {
+      exported = significant[j + 1].value;
+      j += 2;
+    }
+    names.push({ local, exported });
+    if (significant[j].value === ',') j++;
+  }
+  return { names, closeIndex: j };
+}
+
+// Parse a declaration starting at significant[i]; returns its names, extent and whether it can be dropped
+function parseDeclaration(significant, i, file) {
+  let keywordIndex = i;
+  if (significant[i].value === 'async') keywordIndex++;
+  const keyword = significant[keywordIndex].value;
+
+  if (keyword === 'function' || keyword === 'class') {
+    let nameIndex = keywordIndex + 1;
+    if (significant[nameIndex].value === '*') nameIndex++;
+    const name = significant[nameIndex].type === 'word' ? significant[nameIndex].value : null;
+
+    let bodyOpen;
+    if (keyword === 'function') {
+      const paramsClose = findTopLevel(significant, findTopLevel(significant, nameIndex, token => token.value === '(') + 1, token => token.value === ')');
+      bodyOpen = findTopLevel(significant, paramsClose, token => token.value === '{');
+    } else {
+      bodyOpen = findTopLevel(significant, nameIndex, token => token.value === '{');
+    }
+    const bodyClose = findTopLevel(significant, bodyOpen + 1, token => token.value === '}');
+    if (bodyOpen === -1 || bodyClose === -1) {
+      throw new BundleError(`Could not find the end of ${keyword} ${name || ''}`.trim(), file, significant[i].line);
+    }
+
+    return { names: name ? [name] : [], startIndex: i, endIndex: bodyClose, removable: Boolean(name) };
+  }
+
+  // const/let/var: collect the declared names; destructuring keeps the statement
+  const endIndex = statementEnd(significant, keywordIndex, file);
+  const names = [];
+  let removable = true;
+  let expectName = true;
+  for (let j = keywordIndex + 1; j < endIndex; j++) {
+    const token = significant[j];
+    if (expectName) {
+      if (token.type === 'word') names.push(token.value); else removable = false;
+      expectName = false;
+    } else if (token.depth === 0 && token.value === ',') {
+      expectName = true;
+    }
+  }
+
+  return { names, startIndex: i, endIndex, removable };
+}
+
+/**
+ * Work out a module's imports, exports and top-level declarations.
+ * @param {string} source
+ * @param {string} file used in error messages
+ */
+function analyzeModule(source, file) {
+  const { tokens, significant } = scan(source, file);
+  const imports = [];
+  const reexports = [];
+  const exports = new Map();
+  const declarations = [];
+  const edits = [];
+  const excluded = [];
+
+  const isStatementStart = (index) => {
+    const previous = significant[index - 1];
+    return !previous || (previous.depth === 0 && [';', '}', 'export', 'default'].includes(previous.value));
+  };
+
+  for (let i = 0; i < significant.length; i++) {
+    const token = significant[i];
+    if (token.depth !== 0 || token.type !== 'word') continue;
+    const next = significant[i + 1];
+
+    if (token.value === 'import' && next && next.value !== '(' && next.value !== '.') {
+      const parsed = parseImport(significant, i, file);
+      imports.push(parsed);
+      excluded.push([i, parsed.endIndex]);
+      i = parsed.endIndex;
+      continue;
+    }
+
+    if (token.value === 'export') {
+      if (next.value === '*') {
+        throw new BundleError('export * is not supported, list the names instead', file, token.line);
+      }
+
+      if (next.value === '{') {
+        const { names, closeIndex } = parseExportList(significant, i);
+        let endIndex = closeIndex;
+        if (significant[closeIndex + 1] && significant[closeIndex + 1].value === 'from') {
+          endIndex = closeIndex + 2;
+          reexports.push({ source: unquote(significant[endIndex]), names, start: token.start });
+        } else {
+          names.forEach(({ local, exported }) => exports.set(exported, local));
+        }
+        if (significant[endIndex + 1] && significant[endIndex + 1].value === ';') endIndex++;
+        if (reexports.length && reexports[reexports.length - 1].start === token.start) {
+          reexports[reexports.length - 1].end = significant[endIndex].end;
+        }
+        edits.push({ start: token.start, end: significant[endIndex].end, text: '', kind: 'export-list' });
+        excluded.push([i, endIndex]);
+        i = endIndex;
+        continue;
+      }
+
+      if (next.value === 'default') {
+        const after = significant[i + 2];
+        const declarationIndex = after.value === 'async' ? i + 3 : i + 2;
+        const isDeclaration = ['function', 'class'].includes(significant[declarationIndex].value);
+        if (isDeclaration) {
+          let nameIndex = declarationIndex + 1;
+          if (significant[nameIndex].value === '*') nameIndex++;
+          if (significant[nameIndex].type !== 'word') {
+            throw new BundleError('Give default-exported functions and classes a name', file, token.line);
+          }
+          exports.set('default', significant[nameIndex].value);
+          edits.push({ start: token.start, end: after.start, text: '' });
+        } else {
+          exports.set('default', '__default');
+          edits.push({ start: token.start, end: after.start, text: 'var __default = ' });
+        }
+        excluded.push([i, i + 1]);
+        continue;
+      }
+
+      const declarationIndex = next.value === 'async' ? i + 2 : i + 1;
+      if (!DECLARATION_KEYWORDS.includes(significant[declarationIndex].value)) {
+        throw new BundleError(`Unsupported export syntax "export ${next.value}"`, file, token.line);
+      }
+      edits.push({ start: token.start, end: next.start, text: '' });
+      excluded.push([i, i]);
+      continue;
+    }
+
+    const isDeclaration = DECLARATION_KEYWORDS.includes(token.value) ||
+      (token.value === 'async' && next && next.value === 'function');
+    if (isDeclaration && isStatementStart(i)) {
+      const declaration = parseDeclaration(significant, i, file);
+      const exported = significant[i - 1] && significant[i - 1].value === 'export';
+      declaration.start = token.start;
+      declaration.removeStart = leadingCommentStart(tokens, exported ? significant[i - 1].start : token.start);
+      declaration.end = significant[declaration.endIndex].end;
+      declaration.refs = referencesIn(significant, i, declaration.endIndex);
+      declaration.names.forEach(name => declaration.refs.delete(name));
+      if (exported) declaration.names.forEach(name => exports.set(name, name));
+      declarations.push(declaration);
+      excluded.push([i, declaration.endIndex]);
+      i = declaration.endIndex;
+    }
+  }
+
+  // References from everything that is not an import, export list or declaration
+  const otherRefs = new Set();
+  let cursor = 0;
+  for (const [from, to] of excluded.sort((a, b) => a[0] - b[0])) {
+    referencesIn(significant, cursor, from - 1).forEach(ref => otherRefs.add(ref));
+    cursor = to + 1;
+  }
+  referencesIn(significant, cursor, significant.length - 1).forEach(ref => otherRefs.add(ref));
+  if (exports.get('default') === '__default') {
+    // The default expression is top-level code and is always kept
+    otherRefs.add('__default');
+  }
+
+  return { imports, reexports, exports, declarations, edits, otherRefs, tokens };
+}
+
+function resolveSpecifier(specifier, fromId, fromFile) {
+  if (!/^\.\.?\//.test(specifier)) {
+    throw new BundleError(`Only relative imports are supported: "${specifier}"`, fromFile);
+  }
+  if (!/\.m?js$/.test(specifier)) {
+    throw new BundleError(`Import specifiers need the .js or .mjs extension: "${specifier}"`, fromFile);
+  }
+  const id = path.posix.normalize(path.posix.join(path.posix.dirname(fromId), specifier));
+  if (id.startsWith('..')) {
+    throw new BundleError(`Import leaves the js directory: "${specifier}"`, fromFile);
+  }
+  return id;
+}
+
+/**
+ * True if a source file uses import or export at the top level.
+ * @param {string} source
+ */
+function isModuleSource(source) {
+  let significant;
+  try {
+    ({ significant } = scan(source));
+  } catch (error) {
+    return false;
+  }
+  return significant.some((token, index) => {
+    const next = significant[index + 1];
+    return token.depth === 0 && token.type === 'word' &&
+      ((token.value === 'import' && next && next.value !== '(' && next.value !== '.') || token.value === 'export');
+  });
+}
+
+function loadGraph(rootDir, entries) {
+  const modules = new Map();
+
+  const load = (id, chain) => {
+    if (chain.includes(id)) {
+      throw new BundleError(`Circular import: ${[...chain, id].join(' -> ')}`, path.join(rootDir, chain[chain.length - 1]));
+    }
+    if (modules.has(id)) return;
+
+    const file = path.join(rootDir, id);
+    if (!fs.existsSync(file)) {
+      throw new BundleError(`Module not found: ${id}`, chain.length ? path.join(rootDir, chain[chain.length - 1]) : undefined);
+    }
+
+    const module = { id, file, source: fs.readFileSync(file, 'utf8') };
+    Object.assign(module, analyzeModule(module.source, file));
+    module.dependencies = [];
+    for (const item of [...module.imports, ...module.reexports]) {
+      item.id = resolveSpecifier(item.source, id, file);
+      module.dependencies.push(item.id);
+    }
+    modules.set(id, module);
+
+    for (const dependency of module.dependencies) load(dependency, [...chain, id]);
+  };
+
+  entries.forEach(entry => load(entry, []));
+
+  // Check that every imported name is actually exported
+  for (const module of modules.values()) {
+    for (const item of module.imports) {
+      const target = modules.get(item.id);
+      for (const { imported } of item.specifiers) {
+        if (imported !== '*' && !target.exports.has(imported) && !target.reexports.some(re => re.names.some(name => name.exported === imported))) {
+          throw new BundleError(`"${imported}" is not exported by ${item.id}`, module.file);
+        }
+      }
+    }
+  }
+
+  return modules;
+}
+
+// Mark live declarations and used exports across the graph until nothing changes
+function shake(modules, entries) {
+  const usedExports = new Map([...modules.keys()].map(id => [id, new Set()]));
+  const useAll = new Set();
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+
+    for (const module of modules.values()) {
+      const used = useAll.has(module.id)
+        ? [...module.exports.keys(), ...module.reexports.flatMap(item => item.names.map(name => name.exported))]
+        : [...usedExports.get(module.id)];
+      const live = new Set(module.otherRefs);
+      used.forEach(name => module.exports.has(name) && live.add(module.exports.get(name)));
+
+      const liveDeclarations = new Set();
+      let grew = true;
+      while (grew) {
+        grew = false;
+        for (const declaration of module.declarations) {
+          if (liveDeclarations.has(declaration)) continue;
+          if (!declaration.removable || declaration.names.some(name => live.has(name))) {
+            liveDeclarations.add(declaration);
+            declaration.refs.forEach(ref => live.add(ref));
+            grew = true;
+          }
+        }
+      }
+
+      module.live = live;
+      module.liveDeclarations = liveDeclarations;
+      module.usedExportNames = new Set(used);
+
+      const markUsed = (id, name) => {
+        if (name === '*') {
+          if (!useAll.has(id)) {
+            useAll.add(id);
+            changed = true;
+          }
+        } else if (!usedExports.get(id).has(name)) {
+          usedExports.get(id).add(name);
+          changed = true;
+        }
+      };
+
+      for (const item of module.imports) {
+        item.specifiers.filter(spec => live.has(spec.local)).forEach(spec => markUsed(item.id, spec.imported));
+      }
+      for (const item of module.reexports) {
+        item.names.filter(name => used.includes(name.exported)).forEach(name => markUsed(item.id, name.local));
+      }
+    }
+  }
+
+  // Entries run for their side effects; nothing imports from them
+  entries.forEach(entry => modules.get(entry).usedExportNames.clear());
+}
+
+function moduleVariable(id, index) {
+  return `__${path.posix.basename(id, path.posix.extname(id)).replace(/[^\w$]/g, '_')}${index}`;
+}
+
+// Turn a module into a loader definition with its dead code removed
+function emitModule(module) {
+  const edits = [...module.edits];
+
+  module.imports.forEach((item, index) => {
+    const variable = moduleVariable(item.id, index);
+    const bindings = item.specifiers
+      .filter(spec => module.live.has(spec.local))
+      .map(spec => (spec.imported === '*'
+        ? `${spec.local} = ${variable}`
+        : `${spec.local} = ${variable}.${spec.imported}`));
+    edits.push({
+      start: item.start,
+      end: item.end,
+      text: `var ${[`${variable} = require(${JSON.stringify(item.id)})`, ...bindings].join(', ')};`
+    });
+  });
+
+  const reexportAssignments = [];
+  module.reexports.forEach((item, index) => {
+    const variable = moduleVariable(item.id, `re${index}`);
+    const edit = edits.find(candidate => candidate.start === item.start);
+    edit.text = `var ${variable} = require(${JSON.stringify(item.id)});`;
+    item.names
+      .filter(name => module.usedExportNames.has(name.exported))
+      .forEach(name => reexportAssignments.push(`exports.${name.exported} = ${variable}.${name.local};`));
+  });
+
+  for (const declaration of module.declarations) {
+    if (module.liveDeclarations.has(declaration)) continue;
+    let end = declaration.end;
+    const trailing = /^[^\S\n]*\n?/.exec(module.source.slice(end));
+    end += trailing[0].length;
+    // The export keyword edit for this declaration falls inside the removed range
+    for (let i = edits.length - 1; i >= 0; i--) {
+      if (edits[i].start >= declaration.removeStart && edits[i].end <= end) edits.splice(i, 1);
+    }
+    edits.push({ start: declaration.removeStart, end, text: '' });
+  }
+
+  let code = module.source;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    code = code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+  }
+
+  const exportAssignments = [...module.usedExportNames]
+    .filter(name => module.exports.has(name))
+    .map(name => `exports.${name} = ${module.exports.get(name)};`);
+
+  const body = [code.replace(/\n{3,}/g, '\n\n').trim(), ...exportAssignments, ...reexportAssignments].join('\n');
+  return `// ${module.id}\n__catipedia.define(${JSON.stringify(module.id)}, function (exports, require) {\n'use strict';\n${body}\n});`;
+}
+
+// Dependencies before dependents, starting from one module
+function dependencyOrder(modules, id, seen = new Set(), order = []) {
+  if (seen.has(id)) return order;
+  seen.add(id);
+  modules.get(id).dependencies.forEach(dependency => dependencyOrder(modules, dependency, seen, order));
+  order.push(id);
+  return order;
+}
+
+/**
+ * Bundle entry modules.
+ * @param {{ rootDir: string, entries: string[] }} options entries are paths relative to rootDir
+ * @returns {{ bundles: Object<string, string>, fallbacks: Object<string, string>, shared: string|null, usesShared: Set<string>, sharedModules: string[] }}
+ *   bundles are loaded as type="module" after the shared chunk; fallbacks are self-contained for nomodule
+ */
+function bundleModules({ rootDir, entries }) {
+  const modules = loadGraph(rootDir, entries);
+  shake(modules, entries);
+
+  const reachable = new Map(entries.map(entry => [entry, dependencyOrder(modules, entry)]));
+  const counts = new Map();
+  for (const ids of reachable.values()) {
+    ids.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+  }
+
+  const sharedModules = [...counts.keys()].filter(id => counts.get(id) > 1 && !entries.includes(id)).sort();
+  const emitted = new Map([...modules.keys()].map(id => [id, emitModule(modules.get(id))]));
+  const run = entry => `__catipedia.require(${JSON.stringify(entry)});`;
+
+  const bundles = {};
+  const fallbacks = {};
+  const usesShared = new Set();
+
+  for (const [entry, ids] of reachable) {
+    const own = ids.filter(id => !sharedModules.includes(id));
+    if (own.length !== ids.length) usesShared.add(entry);
+
+    bundles[entry] = [LOADER, ...own.map(id => emitted.get(id)), run(entry)].join('\n\n') + '\n';
+    fallbacks[entry] = [LOADER, ...ids.map(id => emitted.get(id)), run(entry)].join('\n\n') + '\n';
+  }
+
+  const shared = sharedModules.length > 0
+    ? [LOADER, ...sharedModules.map(id => emitted.get(id))].join('\n\n') + '\n'
+    : null;
+
+  return { bundles, fallbacks, shared, usesShared, sharedModules };
+}
+
+module.exports = { bundleModules, analyzeModule, isModuleSource, BundleError, SHARED_CHUNK };
@@ -0,0 +1,113 @@
+/**
+ * Catipedia Link Checker
+ * Checks every built page for internal links and asset references that do not
+ * resolve to a file in dist, #anchors that do not exist on their target page,
+ * and pages that no other page links to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { URL_ATTRIBUTES, forEachTag, isLocalUrl, lineIndex, resolveUrl, splitUrl } = require('./html');
+
+// Pages that are reached without a link from another page
+const ENTRY_PAGES = ['index.html', '404.html'];
+
+// The file a site path is served from, following the same rules as the dev server
+function targetFile(sitePath, files) {
+  const trimmed = sitePath.replace(/\/+$/, '');
+  const candidates = sitePath === '' || sitePath.endsWith('/')
+    ? [path.posix.join(trimmed, 'index.html')]
+    : [trimmed, path.posix.join(trimmed, 'index.html'), `${trimmed}.html`];
+
+  return candidates.find(candidate => files.has(candidate)) || null;
+}
+
+function urlsOf(attribute, value) {
+  if (attribute !== 'srcset') return [value];
+  return value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+/**
+ * Check the internal links of every page in dist.
+ * @param {{ distDir: string, files: string[], entryPages?: string[] }} options files are dist-relative
+ *   POSIX paths; entryPages are reached from outside the site and never reported as orphans
+ * @returns {{ errors: Array<{ file: string, line?: number, message: string }>, warnings: Array<{ file: string, line?: number, message: string }> }}
+ */
+function checkLinks({ distDir, files, entryPages = ENTRY_PAGES }) {
+  const errors = [];
+  const warnings = [];
+  const fileSet = new Set(files);
+  const pages = files.filter(file => file.endsWith('.html') && !file.startsWith('src/'));
+  const anchors = new Map();
+  const references = [];
+  const linkedPages = new Set();
+
+  for (const page of pages) {
+    const html = fs.readFileSync(path.join(distDir, page), 'utf8');
+    const lineOf = lineIndex(html);
+    const ids = new Set();
+
+    forEachTag(html, (tagName, attributes, raw, index) => {
+      if (attributes.id) ids.add(attributes.id);
+      if (tagName === 'a' && attributes.name) ids.add(attributes.name);
+
+      // meta content is text unless it is an absolute URL, which is not ours to check
+      if (tagName === 'meta') return;
+
+      for (const attribute of URL_ATTRIBUTES[tagName] || []) {
+        if (!(attribute in attributes)) continue;
+        for (const url of urlsOf(attribute, attributes[attribute])) {
+          references.push({ page, line: lineOf(index), tagName, attribute, url: url.trim() });
+        }
+      }
+    });
+
+    anchors.set(page, ids);
+  }
+
+  for (const reference of references) {
+    const { page, line, tagName, url } = reference;
+    const samePage = url.startsWith('#');
+    if (!url || (!samePage && !isLocalUrl(url))) continue;
+
+    const hash = url.includes('#') ? decodeURIComponent(url.slice(url.indexOf('#') + 1)) : '';
+    const { pathname } = splitUrl(url);
+    let target = page;
+
+    if (!samePage && pathname) {
+      const sitePath = resolveUrl(url, page);
+      target = sitePath === null ? null : targetFile(sitePath, fileSet);
+
+      if (!target) {
+        const message = tagName === 'a'
+          ? `broken link to ${url}`
+          : `<${tagName}> references missing file ${url}`;
+        errors.push({ file: page, line, message });
+        continue;
+      }
+    }
+
+    if (tagName === 'a' && target !== page) linkedPages.add(target);
+
+    // "#top" scrolls to the top of any page without needing an element
+    if (hash && hash !== 'top' && anchors.has(target) && !anchors.get(target).has(hash)) {
+      const where = target === page ? 'this page' : target;
+      errors.push({ file: page, line, message: `missing anchor #${hash} on ${where}` });
+    }
+  }
+
+  for (const page of pages) {
+    if (!entryPages.includes(page) && !linkedPages.has(page)) {
+      warnings.push({ file: page, message: 'orphan page: no other page links to it' });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// Render a checker finding as "file:line: message"
+function formatLinkIssue(issue) {
+  return `${issue.line ? `${issue.file}:${issue.line}` : issue.file}: ${issue.message}`;
+}
+
+module.exports = { checkLinks, formatLinkIssue, ENTRY_PAGES };
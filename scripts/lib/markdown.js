@@ -0,0 +1,415 @@
+/**
+ * Catipedia Markdown
+ * Renders the Markdown used in content/articles: headings with anchors, lists,
+ * fenced code, blockquotes, GitHub-style callouts (> [!NOTE]), footnotes,
+ * links, images and inline emphasis. Also splits off YAML frontmatter.
+ */
+
+const { escapeHtml, unescapeHtml } = require('./html');
+const { parseYAML, YAMLError } = require('./yaml');
+
+const CALLOUT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])( +|$)/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const FOOTNOTE_DEF = /^\[\^([^\]\s]+)\]:\s?(.*)$/;
+const LINK_START = /(!?)\[([^\]]*)\]\(/g;
+
+// URL schemes links and images may use; relative URLs need none
+const LINK_SCHEMES = ['http', 'https', 'mailto'];
+const IMAGE_SCHEMES = ['http', 'https'];
+
+class FrontmatterError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'FrontmatterError';
+    this.line = line;
+    this.reason = message;
+  }
+}
+
+/**
+ * Split "---" delimited YAML frontmatter from a Markdown document.
+ * @returns {{ data: object, body: string, bodyLine: number }} bodyLine is the 1-based line the body starts on
+ * @throws {FrontmatterError} with the line number in the file
+ */
+function parseFrontmatter(source) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+
+  if (lines[0].trim() !== '---') {
+    throw new FrontmatterError('Missing frontmatter: the file must start with a "---" line', 1);
+  }
+
+  const end = lines.indexOf('---', 1);
+  if (end === -1) {
+    throw new FrontmatterError('Unterminated frontmatter: no closing "---" line', 1);
+  }
+
+  let data;
+  try {
+    data = parseYAML(lines.slice(1, end).join('\n'));
+  } catch (error) {
+    if (error instanceof YAMLError) {
+      // YAML lines are counted from the line after the opening ---
+      throw new FrontmatterError(error.reason, error.line ? error.line + 1 : null);
+    }
+    throw error;
+  }
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new FrontmatterError('Frontmatter must be a mapping of fields', 2);
+  }
+
+  return { data, body: lines.slice(end + 1).join('\n'), bodyLine: end + 2 };
+}
+
+// The URL and optional title of a link or image from text[start], just after
+// its "(". Parentheses in the URL must balance; null if the text is no link.
+function linkDestination(text, start) {
+  let i = start;
+  while (text[i] === ' ') i++;
+
+  const urlStart = i;
+  let depth = 0;
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char)) break;
+    if (char === '(') depth++;
+    if (char === ')' && depth-- === 0) break;
+  }
+
+  const url = text.slice(urlStart, i);
+  const tail = /^(?:\s+(?:"([^"]*)"|'([^']*)'))?\s*\)/.exec(text.slice(i));
+  if (!url || !tail) return null;
+
+  return { url, title: tail[1] ?? tail[2] ?? null, end: i + tail[0].length };
+}
+
+// Whether a URL is relative or uses one of schemes; browsers ignore control
+// characters and spaces in a scheme, so "java script:" counts as javascript:
+function isAllowedUrl(url, schemes) {
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\u0000-\u0020]/g, ''));
+  return !scheme || schemes.includes(scheme[1].toLowerCase());
+}
+
+function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[a-z]+;/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'section';
+}
+
+class MarkdownRenderer {
+  constructor() {
+    this.headings = [];
+    this.usedIds = new Map();
+    this.footnotes = new Map();
+    this.footnoteOrder = [];
+    this.unsafeUrls = [];
+  }
+
+  uniqueId(base) {
+    const count = this.usedIds.get(base) || 0;
+    this.usedIds.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count + 1}`;
+  }
+
+  // Inline markup: code spans, links, images, footnote references and emphasis
+  inline(text) {
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let output = text
+      .replace(/\\([\\`*_{}[\]()#+\-.!>~|])/g, (match, char) => keep(escapeHtml(char)))
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+      .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => keep(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+    output = escapeHtml(this.links(output, keep))
+      .replace(/\[\^([^\]\s]+)\]/g, (match, id) => keep(this.footnoteReference(id)))
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+      .replace(/(^|[^\w*])([*_])(?=\S)([\s\S]*?\S)\2(?![\w*])/g, '$1<em>$3</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    return output.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+  }
+
+  // Links and images: [label](url "title") and ![alt](src "title"). Link labels
+  // stay in the text so emphasis inside them still applies; a URL with a scheme
+  // that is not allowed leaves just the label or alt text and is reported.
+  links(text, keep) {
+    let output = '';
+    let last = 0;
+    LINK_START.lastIndex = 0;
+
+    for (let match; (match = LINK_START.exec(text));) {
+      const [start, bang, label] = match;
+      const destination = linkDestination(text, match.index + start.length);
+      if (!destination) continue;
+
+      const { url, title, end } = destination;
+      const titleAttribute = title === null ? '' : ` title="${escapeHtml(title)}"`;
+      output += text.slice(last, match.index);
+
+      if (!isAllowedUrl(url, bang ? IMAGE_SCHEMES : LINK_SCHEMES)) {
+        this.unsafeUrls.push(url);
+        output += label;
+      } else if (bang) {
+        output += keep(`<img src="${escapeHtml(url)}" alt="${escapeHtml(label)}"${titleAttribute}>`);
+      } else {
+        output += `${keep(`<a href="${escapeHtml(url)}"${titleAttribute}>`)}${label}${keep('</a>')}`;
+      }
+
+      last = end;
+      LINK_START.lastIndex = end;
+    }
+
+    return output + text.slice(last);
+  }
+
+  footnoteReference(id) {
+    if (!this.footnoteOrder.includes(id)) this.footnoteOrder.push(id);
+    const number = this.footnoteOrder.indexOf(id) + 1;
+    return `<sup class="footnote-ref" id="fnref-${escapeHtml(id)}"><a href="#fn-${escapeHtml(id)}">${number}</a></sup>`;
+  }
+
+  heading(level, text) {
+    const html = this.inline(text);
+    const id = this.uniqueId(slugify(html));
+    this.headings.push({ level, id, text: unescapeHtml(html.replace(/<[^>]+>/g, '')) });
+    return `<h${level} id="${id}">${html} <a class="heading-anchor" href="#${id}" aria-label="Link to this section">#</a></h${level}>`;
+  }
+
+  // Render a block of lines; used recursively for blockquotes and list items
+  blocks(lines) {
+    const output = [];
+    let i = 0;
+
+    const isBlockStart = (line) => (
+      line.trim() === '' || FENCE.test(line) || HEADING.test(line) || RULE.test(line) ||
+      /^ {0,3}>/.test(line) || LIST_ITEM.test(line) || FOOTNOTE_DEF.test(line)
+    );
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line.trim() === '') {
+        i++;
+        continue;
+      }
+
+      const fence = FENCE.exec(line);
+      if (fence) {
+        const body = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          body.push(lines[i]);
+          i++;
+        }
+        i++;
+        const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+        output.push(`<pre><code${language}>${escapeHtml(body.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      const heading = HEADING.exec(line);
+      if (heading) {
+        output.push(this.heading(heading[1].length, heading[2]));
+        i++;
+        continue;
+      }
+
+      if (RULE.test(line)) {
+        output.push('<hr>');
+        i++;
+        continue;
+      }
+
+      const footnote = FOOTNOTE_DEF.exec(line);
+      if (footnote) {
+        const body = [footnote[2]];
+        i++;
+        while (i < lines.length && (/^ {2,}\S/.test(lines[i]) || (lines[i].trim() === '' && /^ {2,}\S/.test(lines[i + 1] || '')))) {
+          body.push(lines[i].replace(/^ {2,4}/, ''));
+          i++;
+        }
+        this.footnotes.set(footnote[1], body.join('\n'));
+        continue;
+      }
+
+      if (/^ {0,3}>/.test(line)) {
+        const body = [];
+        while (i < lines.length && lines[i].trim() !== '' && (/^ {0,3}>/.test(lines[i]) || !isBlockStart(lines[i]))) {
+          body.push(lines[i].replace(/^ {0,3}> ?/, ''));
+          i++;
+        }
+        output.push(this.blockquote(body));
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        i = this.list(lines, i, output);
+        continue;
+      }
+
+      // Trailing spaces are kept until inline() so "  " line breaks survive
+      const paragraph = [line.trimStart()];
+      i++;
+      while (i < lines.length && !isBlockStart(lines[i])) {
+        paragraph.push(lines[i].trimStart());
+        i++;
+      }
+      output.push(`<p>${this.inline(paragraph.join('\n').trimEnd())}</p>`);
+    }
+
+    return output.join('\n');
+  }
+
+  blockquote(lines) {
+    const callout = /^\[!(\w+)\]\s*(.*)$/.exec(lines[0] || '');
+    if (callout && CALLOUT_TYPES.includes(callout[1].toLowerCase())) {
+      const type = callout[1].toLowerCase();
+      const title = callout[2] || type.charAt(0).toUpperCase() + type.slice(1);
+      return `<aside class="callout callout--${type}" role="note">\n` +
+        `<p class="callout__title">${this.inline(title)}</p>\n${this.blocks(lines.slice(1))}\n</aside>`;
+    }
+
+    return `<blockquote>\n${this.blocks(lines)}\n</blockquote>`;
+  }
+
+  // Render a list starting at lines[start]; returns the index after it
+  list(lines, start, output) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const marker = LIST_ITEM.exec(lines[i]);
+      if (!marker || marker[1].length !== indent || /\d/.test(marker[2]) !== ordered) break;
+
+      const contentIndent = marker[0].length;
+      const body = [lines[i].slice(contentIndent)];
+      i++;
+
+      while (i < lines.length) {
+        const next = lines[i];
+        if (next.trim() === '') {
+          // A blank line continues the item only if more indented content follows
+          const following = lines.slice(i + 1).find(candidate => candidate.trim() !== '');
+          if (following !== undefined && following.search(/\S/) >= contentIndent) {
+            loose = true;
+            body.push('');
+            i++;
+            continue;
+          }
+          break;
+        }
+        const nextMarker = LIST_ITEM.exec(next);
+        if (nextMarker && nextMarker[1].length <= indent) break;
+        if (next.search(/\S/) < contentIndent && !nextMarker && /^\s*$/.test(lines[i - 1])) break;
+        body.push(next.slice(Math.min(contentIndent, next.search(/\S/))));
+        i++;
+      }
+
+      items.push(body);
+
+      // Blank lines between items make the list loose
+      if (i < lines.length && lines[i].trim() === '') {
+        const following = lines.slice(i).find(candidate => candidate.trim() !== '');
+        const followingMarker = following && LIST_ITEM.exec(following);
+        if (followingMarker && followingMarker[1].length === indent && /\d/.test(followingMarker[2]) === ordered) {
+          loose = true;
+          while (lines[i].trim() === '') i++;
+        }
+      }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+    const rendered = items.map(body => {
+      let html = this.blocks(body);
+      if (!loose) html = html.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+      return `<li>${html}</li>`;
+    });
+
+    output.push(`<${tag}${startAttribute}>\n${rendered.join('\n')}\n</${tag}>`);
+    return i;
+  }
+
+  renderFootnotes() {
+    const ids = [...this.footnoteOrder];
+    for (const id of this.footnotes.keys()) {
+      if (!ids.includes(id)) ids.push(id);
+    }
+    if (ids.length === 0) return '';
+
+    const items = ids.map(id => {
+      const text = this.footnotes.has(id) ? this.footnotes.get(id) : '';
+      const backref = this.footnoteOrder.includes(id)
+        ? ` <a class="footnote-backref" href="#fnref-${escapeHtml(id)}" aria-label="Back to reference">↩</a>`
+        : '';
+      return `<li id="fn-${escapeHtml(id)}">${this.inline(text)}${backref}</li>`;
+    });
+
+    return `<section class="footnotes" aria-label="Footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+  }
+}
+
+/**
+ * Render Markdown to HTML.
+ * @param {string} source
+ * @returns {{ html: string, headings: Array<{ level: number, id: string, text: string }>, missingFootnotes: string[],
+ *   unsafeUrls: string[] }} heading text is plain text, to be escaped where it is used; unsafeUrls are link
+ *   and image URLs left out for their scheme, such as javascript:
+ */
+function renderMarkdown(source) {
+  const renderer = new MarkdownRenderer();
+  const body = renderer.blocks(source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'));
+  const footnotes = renderer.renderFootnotes();
+
+  return {
+    html: footnotes ? `${body}\n${footnotes}` : body,
+    headings: renderer.headings,
+    missingFootnotes: renderer.footnoteOrder.filter(id => !renderer.footnotes.has(id)),
+    unsafeUrls: renderer.unsafeUrls
+  };
+}
+
+/**
+ * Render a nested table of contents from h2/h3 headings.
+ * @param {Array<{ level: number, id: string, text: string }>} headings
+ * @param {string} [title] heading of the list, in the page's language
+ */
+function renderToc(headings, title = 'Contents') {
+  const entries = headings.filter(heading => heading.level === 2 || heading.level === 3);
+  if (entries.length < 2) return '';
+
+  const items = [];
+  let open = null;
+
+  for (const heading of entries) {
+    const link = `<a href="#${heading.id}">${escapeHtml(heading.text)}</a>`;
+    if (heading.level === 2 || open === null) {
+      if (open) items.push(open.sub.length ? `${open.html}\n<ol>\n${open.sub.join('\n')}\n</ol></li>` : `${open.html}</li>`);
+      open = { html: `<li>${link}`, sub: [] };
+    } else {
+      open.sub.push(`<li>${link}</li>`);
+    }
+  }
+  items.push(open.sub.length ? `${open.html}\n<ol>\n${open.sub.join('\n')}\n</ol></li>` : `${open.html}</li>`);
+
+  return `<nav class="toc" aria-labelledby="toc-title">\n<h2 id="toc-title">${escapeHtml(title)}</h2>\n<ol>\n${items.join('\n')}\n</ol>\n</nav>`;
+}
+
+module.exports = { renderMarkdown, renderToc, parseFrontmatter, slugify, FrontmatterError };
@@ -0,0 +1,404 @@
+/**
+ * Catipedia Minifiers
+ * Tokenizer-aware JS and CSS minification with source maps. Strings, template
+ * literals, regular expressions and url() values are copied through untouched;
+ * only comments and insignificant whitespace are removed.
+ */
+
+const { SourceMapGenerator } = require('./source-map');
+
+// Keywords after which a `/` starts a regular expression rather than a division
+const REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+// A line break after these keywords is significant (automatic semicolon insertion)
+const RESTRICTED_KEYWORDS = new Set(['return', 'throw', 'break', 'continue', 'yield', 'async']);
+
+// Tokens a line break may safely be removed in front of
+const SAFE_BEFORE_NEXT = new Set([
+  ')', ']', '}', ',', ';', '.', '?.', ':', '?', '=', '==', '===', '!=', '!==', '&&', '||', '??',
+  '*', '%', '**', '<', '>', '<=', '>=', '<<', '>>', '>>>', '&', '|', '^', '=>',
+  '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??='
+]);
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=',
+  '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+const NUMBER_PATTERN = /^(?:0[xX][\da-fA-F_]+n?|0[oO][0-7_]+n?|0[bB][01_]+n?|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?n?)/;
+const WORD_PATTERN = /^#?[A-Za-z_$\u0080-\uffff\\][\w$\u0080-\uffff\\]*/;
+const LINE_BREAK = /[\n\r\u2028\u2029]/;
+
+class MinifyError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column + 1})`);
+    this.name = 'MinifyError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Tracks 1-based line and 0-based column while walking a source string
+function createCursor(source) {
+  let line = 1;
+  let column = 0;
+
+  return {
+    position: () => ({ line, column }),
+    advance(text) {
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\n' || char === '\u2028' || char === '\u2029' || (char === '\r' && text[i + 1] !== '\n')) {
+          line++;
+          column = 0;
+        } else {
+          column++;
+        }
+      }
+    }
+  };
+}
+
+function readQuoted(source, start, quote) {
+  let i = start + 1;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\\') {
+      i += 2;
+    } else if (char === quote) {
+      return i + 1;
+    } else if (char === '\n' && quote !== '`') {
+      return -1;
+    } else {
+      i++;
+    }
+  }
+  return -1;
+}
+
+// Read a template chunk starting at a backtick or the `}` closing a substitution.
+// Returns the end index and whether the chunk opens another substitution.
+function readTemplateChunk(source, start) {
+  let i = start + 1;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\\') {
+      i += 2;
+    } else if (char === '`') {
+      return { end: i + 1, opensSubstitution: false };
+    } else if (char === '$' && source[i + 1] === '{') {
+      return { end: i + 2, opensSubstitution: true };
+    } else {
+      i++;
+    }
+  }
+  return null;
+}
+
+function readRegex(source, start) {
+  let i = start + 1;
+  let inClass = false;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (LINE_BREAK.test(char)) return -1;
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+    if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) {
+      i++;
+      while (i < source.length && /[A-Za-z]/.test(source[i])) i++;
+      return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+function regexAllowedAfter(token) {
+  if (!token) return true;
+
+  switch (token.type) {
+    case 'punct':
+      return ![')', ']', '}'].includes(token.value);
+    case 'word':
+      return REGEX_KEYWORDS.has(token.value);
+    case 'template':
+      return token.value.endsWith('${');
+    default:
+      return false;
+  }
+}
+
+// Split JavaScript source into tokens with their original positions
+function tokenizeJS(source) {
+  const tokens = [];
+  const cursor = createCursor(source);
+  const braces = [];
+  let lastSignificant = null;
+  let i = 0;
+
+  const push = (type, end) => {
+    const value = source.slice(i, end);
+    const token = { type, value, ...cursor.position() };
+    tokens.push(token);
+    cursor.advance(value);
+    if (type !== 'whitespace' && type !== 'comment') lastSignificant = token;
+    i = end;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+    const { line, column } = cursor.position();
+
+    if (/\s/.test(char)) {
+      let end = i + 1;
+      while (end < source.length && /\s/.test(source[end])) end++;
+      push('whitespace', end);
+    } else if (i === 0 && char === '#' && next === '!') {
+      const end = source.indexOf('\n');
+      push('comment', end === -1 ? source.length : end);
+    } else if (char === '/' && next === '/') {
+      const match = LINE_BREAK.exec(source.slice(i));
+      push('comment', match ? i + match.index : source.length);
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) throw new MinifyError('Unterminated comment', line, column);
+      push('comment', end + 2);
+    } else if (char === '"' || char === "'") {
+      const end = readQuoted(source, i, char);
+      if (end === -1) throw new MinifyError('Unterminated string literal', line, column);
+      push('string', end);
+    } else if (char === '`' || (char === '}' && braces[braces.length - 1] === 'template')) {
+      if (char === '}') braces.pop();
+      const chunk = readTemplateChunk(source, i);
+      if (!chunk) throw new MinifyError('Unterminated template literal', line, column);
+      if (chunk.opensSubstitution) braces.push('template');
+      push('template', chunk.end);
+    } else if (char === '/' && regexAllowedAfter(lastSignificant)) {
+      const end = readRegex(source, i);
+      if (end === -1) throw new MinifyError('Unterminated regular expression', line, column);
+      push('regex', end);
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(next))) {
+      push('number', i + NUMBER_PATTERN.exec(source.slice(i))[0].length);
+    } else if (WORD_PATTERN.test(source.slice(i, i + 2))) {
+      push('word', i + WORD_PATTERN.exec(source.slice(i))[0].length);
+    } else {
+      let value = PUNCTUATORS.find(op => source.startsWith(op, i)) || char;
+      // `a?.5:b` is a conditional, not optional chaining
+      if (value === '?.' && /\d/.test(source[i + 2])) value = '?';
+
+      if (value === '{') braces.push('brace');
+      else if (value === '}') braces.pop();
+      push('punct', i + value.length);
+    }
+  }
+
+  return tokens;
+}
+
+function isPreservedComment(value) {
+  return value.startsWith('/*!') || /@license|@preserve/.test(value);
+}
+
+function endsLikeWord(token) {
+  return token.type === 'word' || token.type === 'number' || token.type === 'regex';
+}
+
+// Whether two adjacent JS tokens would merge into a different token without a space
+function jsNeedsSpace(previous, current) {
+  if (endsLikeWord(previous) && (current.type === 'word' || current.type === 'number')) return true;
+  if (previous.type === 'number' && current.value.startsWith('.')) return true;
+  if (previous.value.endsWith('+') && current.value.startsWith('+')) return true;
+  if (previous.value.endsWith('-') && current.value.startsWith('-')) return true;
+  if (previous.value.endsWith('/') && (current.type === 'regex' || current.value.startsWith('/'))) return true;
+  return false;
+}
+
+// Whether a line break between two JS tokens can change the program
+function jsNeedsNewline(previous, current) {
+  if (previous.type === 'word' && RESTRICTED_KEYWORDS.has(previous.value)) return true;
+  if (previous.type === 'punct' && ![')', ']', '}', '++', '--'].includes(previous.value)) return false;
+  if (previous.type === 'template' && previous.value.endsWith('${')) return false;
+  if (current.type === 'punct' && SAFE_BEFORE_NEXT.has(current.value)) return false;
+  return true;
+}
+
+// Join significant tokens back together, tracking generated positions for the source map
+function emit(tokens, { needsSpace, needsNewline, skip, map, sourceIndex }) {
+  let output = '';
+  let line = 0;
+  let column = 0;
+  let previous = null;
+  let gap = false;
+  let gapHasNewline = false;
+
+  const append = (text) => {
+    output += text;
+    const lines = text.split('\n');
+    if (lines.length > 1) {
+      line += lines.length - 1;
+      column = lines[lines.length - 1].length;
+    } else {
+      column += text.length;
+    }
+  };
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'whitespace' || (token.type === 'comment' && !isPreservedComment(token.value))) {
+      gap = true;
+      gapHasNewline = gapHasNewline || LINE_BREAK.test(token.value) || token.value.startsWith('//');
+      return;
+    }
+    if (skip && skip(token, index)) return;
+
+    // Preserved comments already end with a line break
+    if (previous && previous.type !== 'comment') {
+      if (gapHasNewline && needsNewline && needsNewline(previous, token)) {
+        append('\n');
+      } else if ((gap || token.type === 'comment') && needsSpace(previous, token)) {
+        append(' ');
+      }
+    }
+
+    if (map) {
+      map.addMapping({ line, column }, { line: token.line, column: token.column }, sourceIndex);
+    }
+    append(token.value);
+    if (token.type === 'comment') append('\n');
+
+    previous = token;
+    gap = false;
+    gapHasNewline = false;
+  });
+
+  return output.trim();
+}
+
+function createMap(options, source) {
+  if (!options.sourceMap) return { map: null, sourceIndex: 0 };
+
+  const map = new SourceMapGenerator({ file: options.file });
+  const sourceIndex = map.addSource(options.sourceName || options.file || 'input', source);
+  return { map, sourceIndex };
+}
+
+/**
+ * Minify JavaScript source.
+ * @param {string} source
+ * @param {{ sourceMap?: boolean, file?: string, sourceName?: string }} options
+ * @returns {{ code: string, map: object|null }}
+ */
+function minifyJS(source, options = {}) {
+  const tokens = tokenizeJS(source);
+  const { map, sourceIndex } = createMap(options, source);
+
+  const code = emit(tokens, {
+    needsSpace: jsNeedsSpace,
+    needsNewline: jsNeedsNewline,
+    map,
+    sourceIndex
+  });
+
+  return { code, map: map && map.toJSON() };
+}
+
+// CSS punctuation that never needs surrounding whitespace
+const CSS_TIGHT = new Set(['{', '}', ';', ',', '>', '~']);
+
+// Split CSS source into tokens, keeping strings and url() values whole
+function tokenizeCSS(source) {
+  const tokens = [];
+  const cursor = createCursor(source);
+  let i = 0;
+
+  const push = (type, end) => {
+    const value = source.slice(i, end);
+    tokens.push({ type, value, ...cursor.position() });
+    cursor.advance(value);
+    i = end;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const { line, column } = cursor.position();
+
+    if (/\s/.test(char)) {
+      let end = i + 1;
+      while (end < source.length && /\s/.test(source[end])) end++;
+      push('whitespace', end);
+    } else if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) throw new MinifyError('Unterminated comment', line, column);
+      push('comment', end + 2);
+    } else if (char === '"' || char === "'") {
+      const end = readQuoted(source, i, char);
+      if (end === -1) throw new MinifyError('Unterminated string', line, column);
+      push('string', end);
+    } else if (/^url\(\s*[^\s'")]/i.test(source.slice(i, i + 64))) {
+      const end = source.indexOf(')', i);
+      if (end === -1) throw new MinifyError('Unterminated url()', line, column);
+      push('url', end + 1);
+    } else if ('{};:,>~()'.includes(char)) {
+      push('punct', i + 1);
+    } else {
+      let end = i + 1;
+      while (
+        end < source.length &&
+        !/[\s"'{};:,>~()]/.test(source[end]) &&
+        !(source[end] === '/' && source[end + 1] === '*')
+      ) {
+        end++;
+      }
+      push('word', end);
+    }
+  }
+
+  return tokens;
+}
+
+function cssNeedsSpace(previous, current) {
+  if (CSS_TIGHT.has(previous.value) || CSS_TIGHT.has(current.value)) return false;
+  if (previous.value === ':' || previous.value === '(' || current.value === ')') return false;
+  return true;
+}
+
+/**
+ * Minify CSS source.
+ * @param {string} source
+ * @param {{ sourceMap?: boolean, file?: string, sourceName?: string }} options
+ * @returns {{ code: string, map: object|null }}
+ */
+function minifyCSS(source, options = {}) {
+  const tokens = tokenizeCSS(source);
+  const { map, sourceIndex } = createMap(options, source);
+
+  // Drop the last semicolon of a block
+  const nextSignificant = (index) => {
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (tokens[i].type !== 'whitespace' && !(tokens[i].type === 'comment' && !isPreservedComment(tokens[i].value))) {
+        return tokens[i];
+      }
+    }
+    return null;
+  };
+
+  const code = emit(tokens, {
+    needsSpace: cssNeedsSpace,
+    skip: (token, index) => token.value === ';' && (nextSignificant(index) || {}).value === '}',
+    map,
+    sourceIndex
+  });
+
+  return { code, map: map && map.toJSON() };
+}
+
+module.exports = { minifyJS, minifyCSS, tokenizeJS, tokenizeCSS, MinifyError };
@@ -0,0 +1,370 @@
+/**
+ * Catipedia Page Rendering
+ * Fills an HTML layout (such as article.html) with page-specific metadata and
+ * content, and renders the body of generated breed, article and index pages.
+ */
+
+const { escapeHtml, isLocalUrl, resolveUrl, rewriteUrls, splitUrl } = require('./html');
+const { renderToc } = require('./markdown');
+const { createTranslator, setLang } = require('./i18n');
+const { renderStructuredData } = require('./structured-data');
+
+const TRAIT_LABELS = {
+  affection: 'Affection',
+  energy: 'Energy',
+  playfulness: 'Playfulness',
+  intelligence: 'Intelligence',
+  vocality: 'Vocality',
+  independence: 'Independence',
+  kidFriendly: 'Good with children',
+  petFriendly: 'Good with other pets',
+  strangerFriendly: 'Friendliness to strangers',
+  grooming: 'Grooming needs',
+  shedding: 'Shedding',
+  allergens: 'Allergen level'
+};
+
+// Text of generated pages in the default locale. Catalogs in locales/ use the
+// same keys; {name} placeholders are filled in when the text is rendered.
+const UI_STRINGS = {
+  'breed.overview': 'Overview',
+  'breed.atAGlance': 'At a glance',
+  'breed.alsoKnownAs': 'Also known as',
+  'breed.origin': 'Origin',
+  'breed.size': 'Size',
+  'breed.weight': 'Weight',
+  'breed.coat': 'Coat',
+  'breed.colors': 'Colors',
+  'breed.lifespan': 'Lifespan',
+  'breed.temperament': 'Temperament',
+  'breed.care': 'Care',
+  'breed.health': 'Health',
+  'breed.score': '{score} out of 5',
+  'size.small': 'Small',
+  'size.medium': 'Medium',
+  'size.large': 'Large',
+  'coat.hairless': 'Hairless',
+  'coat.short': 'Short',
+  'coat.medium': 'Medium',
+  'coat.long': 'Long',
+  'unit.kg': 'kg',
+  'unit.years': 'years',
+  'article.byline': 'By {author}',
+  'article.updated': 'updated {date}',
+  'article.contents': 'Contents',
+  'article.relatedBreeds': 'Related breeds',
+  'breadcrumb.home': 'Home',
+  'breeds.title': 'Cat breeds',
+  'breeds.intro': 'Profiles of every breed on Catipedia, with their temperament, care and health.',
+  'articles.title': 'Articles',
+  'articles.intro': 'Guides to choosing and living with a cat.',
+  'articles.none': 'No articles yet.',
+  'favorites.save': 'Save to favorites',
+  'favorites.saved': 'Saved to favorites',
+  'favorites.list': 'Your favorites:',
+  'favorites.compare': 'Compare them',
+  'compare.origin': 'Origin',
+  'compare.size': 'Size',
+  'compare.coat': 'Coat length',
+  'compare.lifespan': 'Lifespan (years)',
+  'compare.weight': 'Weight (kg)',
+  ...Object.fromEntries(Object.entries(TRAIT_LABELS).map(([trait, label]) => [`trait.${trait}`, label]))
+};
+
+const FAVORITE_STRINGS = Object.keys(UI_STRINGS).filter(key => key.startsWith('favorites.'));
+
+const defaultTranslator = createTranslator({}, UI_STRINGS);
+
+// Where page content goes, in order of preference
+const CONTENT_SLOTS = [
+  /(<([a-z]+)\b[^>]*\bdata-slot=["']content["'][^>]*>)([\s\S]*?)(<\/\2>)/i,
+  /(<article\b[^>]*>)([\s\S]*)(<\/article>)/i,
+  /(<main\b[^>]*>)([\s\S]*)(<\/main>)/i,
+  /(<body\b[^>]*>)([\s\S]*)(<\/body>)/i
+];
+
+// Insert markup before </head>
+function appendHead(html, markup) {
+  if (/<\/head>/i.test(html)) return html.replace(/<\/head>/i, () => `  ${markup}\n</head>`);
+  return `${markup}\n${html}`;
+}
+
+// Replace an existing head element matched by pattern, or insert markup before </head>
+function upsertHead(html, pattern, markup) {
+  if (pattern.test(html)) return html.replace(pattern, () => markup);
+  return appendHead(html, markup);
+}
+
+function fillContent(html, content) {
+  for (const slot of CONTENT_SLOTS) {
+    const match = slot.exec(html);
+    if (!match) continue;
+
+    const open = match[1];
+    const close = match[match.length - 1];
+    return html.slice(0, match.index) + open + content + close + html.slice(match.index + match[0].length);
+  }
+
+  return html + content;
+}
+
+// Make relative URLs in a layout root-absolute so it renders correctly at any depth
+function rebaseUrls(html, templateFile) {
+  return rewriteUrls(html, (url, tagName) => {
+    if (tagName === 'meta' || !isLocalUrl(url) || url.trim().startsWith('/')) return undefined;
+
+    const resolved = resolveUrl(url, templateFile);
+    if (resolved === null) return undefined;
+    return `/${resolved}${splitUrl(url.trim()).suffix}`;
+  });
+}
+
+/**
+ * Render a page into a layout.
+ * @param {string} template layout HTML
+ * @param {{ title: string, description?: string, canonical?: string, content: string, templateFile?: string,
+ *   lang?: string, alternates?: Array<{ hreflang: string, href: string }>,
+ *   meta?: Array<{ property?: string, name?: string, content: string }>, structuredData?: object[] }} page
+ *   meta holds extra tags such as Open Graph ones; structuredData holds JSON-LD nodes
+ * @returns {string}
+ */
+function renderPage(template, page) {
+  let html = rebaseUrls(template, page.templateFile || 'article.html');
+
+  if (page.lang) html = setLang(html, page.lang);
+
+  html = upsertHead(html, /<title>[\s\S]*?<\/title>/i, `<title>${escapeHtml(page.title)}</title>`);
+
+  if (page.description) {
+    html = upsertHead(
+      html,
+      /<meta\s+name=["']description["'][^>]*>/i,
+      `<meta name="description" content="${escapeHtml(page.description)}">`
+    );
+  }
+
+  if (page.canonical) {
+    html = upsertHead(
+      html,
+      /<link\s+rel=["']canonical["'][^>]*>/i,
+      `<link rel="canonical" href="${escapeHtml(page.canonical)}">`
+    );
+  }
+
+  for (const tag of page.meta || []) {
+    const [attribute, key] = tag.property ? ['property', tag.property] : ['name', tag.name];
+    const pattern = new RegExp(`<meta\\s+${attribute}=["']${key.replace(/[.:]/g, '\\$&')}["'][^>]*>`, 'i');
+    // og:locale:alternate repeats, so only tags that may appear once replace their namesake
+    html = tag.property === 'og:locale:alternate'
+      ? appendHead(html, `<meta property="og:locale:alternate" content="${escapeHtml(tag.content)}">`)
+      : upsertHead(html, pattern, `<meta ${attribute}="${escapeHtml(key)}" content="${escapeHtml(tag.content)}">`);
+  }
+
+  if (page.structuredData) {
+    html = upsertHead(html, /<script\s+type=["']application\/ld\+json["'][^>]*>[\s\S]*?<\/script>/i, renderStructuredData(page.structuredData));
+  }
+
+  if (page.alternates) html = setAlternates(html, page.alternates);
+
+  return fillContent(html, page.content);
+}
+
+/**
+ * Replace the hreflang alternates in a page's head.
+ * @param {string} html
+ * @param {Array<{ hreflang: string, href: string }>} alternates absolute URLs; empty removes them
+ */
+function setAlternates(html, alternates) {
+  return alternates.reduce(
+    (result, alternate) => appendHead(
+      result,
+      `<link rel="alternate" hreflang="${escapeHtml(alternate.hreflang)}" href="${escapeHtml(alternate.href)}">`
+    ),
+    html.replace(/[ \t]*<link\s+rel=["']alternate["']\s+hreflang=[^>]*>\n?/gi, '')
+  );
+}
+
+// Turn blank-line separated plain text into paragraphs
+function paragraphs(text) {
+  return String(text)
+    .trim()
+    .split(/\n\s*\n/)
+    .map(paragraph => `<p>${escapeHtml(paragraph.replace(/\s*\n\s*/g, ' '))}</p>`)
+    .join('\n');
+}
+
+function formatRange(range, unit) {
+  if (!range) return null;
+  return range.min === range.max ? `${range.min} ${unit}` : `${range.min}–${range.max} ${unit}`;
+}
+
+function renderFacts(facts) {
+  const rows = facts
+    .filter(([, value]) => value)
+    .map(([label, value]) => `    <dt>${escapeHtml(label)}</dt>\n    <dd>${escapeHtml(value)}</dd>`);
+
+  return `  <dl class="breed-facts">\n${rows.join('\n')}\n  </dl>`;
+}
+
+function renderScores(scores, t) {
+  const rows = Object.entries(scores).map(([trait, score]) => (
+    `    <dt>${escapeHtml(TRAIT_LABELS[trait] ? t(`trait.${trait}`) : trait)}</dt>\n` +
+    `    <dd><meter min="1" max="5" value="${score}">${escapeHtml(t('breed.score', { score }))}</meter> ${score}/5</dd>`
+  ));
+
+  return `  <dl class="breed-scores">\n${rows.join('\n')}\n  </dl>`;
+}
+
+/**
+ * Render the article body for a breed record.
+ * @param {object} breed a validated breed record
+ * @param {Function} [t] translator for UI_STRINGS keys (see createTranslator)
+ * @returns {string}
+ */
+function renderBreedContent(breed, t = defaultTranslator) {
+  const sections = [];
+
+  sections.push(`<header class="breed-header">
+  <h1>${escapeHtml(breed.name)}</h1>
+  <p class="breed-summary">${escapeHtml(breed.summary)}</p>
+</header>`);
+
+  for (const image of breed.images || []) {
+    sections.push(`<figure class="breed-image">
+  <img src="/${escapeHtml(image.src)}" alt="${escapeHtml(image.alt)}">${image.credit ? `\n  <figcaption>${escapeHtml(image.credit)}</figcaption>` : ''}
+</figure>`);
+  }
+
+  sections.push(`<section id="overview">
+  <h2>${escapeHtml(t('breed.overview'))}</h2>
+${paragraphs(breed.description)}
+</section>`);
+
+  sections.push(`<section id="at-a-glance">
+  <h2>${escapeHtml(t('breed.atAGlance'))}</h2>
+${renderFacts([
+    [t('breed.alsoKnownAs'), (breed.alternateNames || []).join(', ')],
+    [t('breed.origin'), breed.origin],
+    [t('breed.size'), t(`size.${breed.size}`)],
+    [t('breed.weight'), formatRange(breed.weightKg, t('unit.kg'))],
+    [t('breed.coat'), [t(`coat.${breed.coat.length}`), breed.coat.texture].filter(Boolean).join(' – ')],
+    [t('breed.colors'), (breed.coat.colors || []).join(', ')],
+    [t('breed.lifespan'), formatRange(breed.lifespan, t('unit.years'))]
+  ])}
+</section>`);
+
+  sections.push(`<section id="temperament">
+  <h2>${escapeHtml(t('breed.temperament'))}</h2>
+${renderScores(breed.temperament, t)}
+</section>`);
+
+  sections.push(`<section id="care">
+  <h2>${escapeHtml(t('breed.care'))}</h2>
+${renderScores(breed.care, t)}
+</section>`);
+
+  if (breed.health && breed.health.length > 0) {
+    const items = breed.health.map(item => (
+      `    <li><strong>${escapeHtml(item.condition)}</strong>${item.notes ? ` – ${escapeHtml(item.notes)}` : ''}</li>`
+    ));
+    sections.push(`<section id="health">
+  <h2>${escapeHtml(t('breed.health'))}</h2>
+  <ul>
+${items.join('\n')}
+  </ul>
+</section>`);
+  }
+
+  // Text of the favorites control js/article.js adds, translated with the page
+  const strings = FAVORITE_STRINGS.map(key => `  <span data-i18n="${key}">${escapeHtml(t(key))}</span>`);
+  sections.push(`<template data-strings>\n${strings.join('\n')}\n</template>`);
+
+  return `\n<div class="breed" data-breed="${escapeHtml(breed.slug)}">\n${sections.join('\n\n')}\n</div>\n`;
+}
+
+/**
+ * Render the article body for a Markdown article.
+ * @param {object} article a loaded article (see loadArticles)
+ * @param {Object<string, object>} breedsBySlug breed records, for related breed links
+ * @param {Function} [t] translator for UI_STRINGS keys (see createTranslator)
+ * @returns {string}
+ */
+function renderArticleContent(article, breedsBySlug = {}, t = defaultTranslator) {
+  const sections = [];
+  const byline = [escapeHtml(t('article.byline', { author: article.author }))];
+  if (article.updated) {
+    // The date is markup, so it goes in after the surrounding text is escaped
+    const date = `<time datetime="${escapeHtml(article.updated)}">${escapeHtml(article.updated)}</time>`;
+    byline.push(escapeHtml(t('article.updated')).replace('{date}', () => date));
+  }
+
+  const tags = (article.tags || []).length > 0
+    ? `\n  <ul class="article-tags">\n${article.tags.map(tag => `    <li>${escapeHtml(tag)}</li>`).join('\n')}\n  </ul>`
+    : '';
+
+  sections.push(`<header class="article-header">
+  <h1>${escapeHtml(article.title)}</h1>
+  <p class="article-summary">${escapeHtml(article.summary)}</p>
+  <p class="article-byline">${byline.join(', ')}</p>${tags}
+</header>`);
+
+  const toc = renderToc(article.headings, t('article.contents'));
+  if (toc) sections.push(toc);
+
+  sections.push(`<div class="article-body">\n${article.html}\n</div>`);
+
+  const related = (article.relatedBreeds || []).filter(slug => breedsBySlug[slug]);
+  if (related.length > 0) {
+    const items = related.map(slug => (
+      `    <li><a href="/breeds/${escapeHtml(slug)}/">${escapeHtml(breedsBySlug[slug].name)}</a></li>`
+    ));
+    sections.push(`<aside class="article-related" aria-labelledby="related-breeds">
+  <h2 id="related-breeds">${escapeHtml(t('article.relatedBreeds'))}</h2>
+  <ul>
+${items.join('\n')}
+  </ul>
+</aside>`);
+  }
+
+  return `\n<div class="article" data-article="${escapeHtml(article.slug)}">\n${sections.join('\n\n')}\n</div>\n`;
+}
+
+/**
+ * Render the body of a section's index page, such as breeds/index.html.
+ * @param {{ section: 'breeds'|'articles', items: Array<{ name: string, url: string, summary?: string }> }} index
+ *   items in the order to list them; url is root-relative
+ * @param {Function} [t] translator for UI_STRINGS keys (see createTranslator)
+ * @returns {string}
+ */
+function renderIndexContent({ section, items }, t = defaultTranslator) {
+  const sections = [];
+
+  sections.push(`<header class="listing-header">
+  <h1>${escapeHtml(t(`${section}.title`))}</h1>
+  <p class="listing-summary">${escapeHtml(t(`${section}.intro`))}</p>
+</header>`);
+
+  if (items.length > 0) {
+    const entries = items.map(item => (
+      `  <li class="listing-item">\n    <a href="${escapeHtml(item.url)}">${escapeHtml(item.name)}</a>` +
+      `${item.summary ? `\n    <p>${escapeHtml(item.summary)}</p>` : ''}\n  </li>`
+    ));
+    sections.push(`<ul class="listing-items">\n${entries.join('\n')}\n</ul>`);
+  } else {
+    sections.push(`<p class="listing-empty">${escapeHtml(t(`${section}.none`))}</p>`);
+  }
+
+  return `\n<div class="listing" data-listing="${escapeHtml(section)}">\n${sections.join('\n\n')}\n</div>\n`;
+}
+
+module.exports = {
+  renderPage,
+  renderBreedContent,
+  renderArticleContent,
+  renderIndexContent,
+  setAlternates,
+  rebaseUrls,
+  paragraphs,
+  TRAIT_LABELS,
+  UI_STRINGS
+};
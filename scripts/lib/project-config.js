@@ -0,0 +1,211 @@
+/**
+ * Catipedia Project Config
+ * Loads catipedia.config.js, which overrides build settings and lists plugins,
+ * and orders the build pipeline with the steps and hooks the plugins add.
+ *
+ * The config file exports an object, or a function of { environment, production }
+ * returning one:
+ *
+ *   module.exports = {
+ *     dirs: { distDir: './public' },
+ *     staticFiles: defaults => [...defaults, { src: './humans.txt', dest: 'humans.txt' }],
+ *     minify: { css: true, js: false },
+ *     environments: { preview: { deployTarget: 'preview.catipedia.com' } },
+ *     plugins: [{
+ *       name: 'banner',
+ *       after: { processJS: build => addBanner(build.config.distDir) },
+ *       steps: [{ name: 'generateFeed', after: 'generateSitemap', watch: ['./content'], run: writeFeed }]
+ *     }]
+ *   };
+ *
+ * Hooks and steps are called with the BuildManager and may return promises.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'catipedia.config.js';
+
+// Settings the config file may set, and what each must look like
+const CONFIG_KEYS = {
+  dirs: 'an object of directories',
+  staticFiles: 'an array of { src, dest } or a function of the default list',
+  minify: 'a boolean or { css, js } booleans',
+  sourceMaps: 'a boolean',
+  environments: 'an object of { deployTarget } by environment name',
+  budgets: 'an object of performance budgets by page pattern',
+  cssSafelist: 'an array of RegExps',
+  criticalCssPages: 'an array of page paths',
+  serviceWorker: 'an object of service worker settings',
+  locales: 'an array of locales, the default first',
+  cache: 'a boolean',
+  jobs: 'a whole number of worker threads',
+  logFile: 'true for a log in logs/, or a file path',
+  plugins: 'an array of plugins'
+};
+
+const PLUGIN_KEYS = ['name', 'before', 'after', 'steps'];
+
+class ConfigError extends Error {
+  constructor(file, problems) {
+    super(`${file}: ${problems.join('; ')}`);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check the shape of a loaded config; returns a list of problems
+function validateConfig(config, { dirs }) {
+  const problems = [];
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS[key]) problems.push(`unknown setting "${key}" (expected ${Object.keys(CONFIG_KEYS).join(', ')})`);
+  }
+
+  const expect = (key, ok) => {
+    if (config[key] !== undefined && !ok(config[key])) problems.push(`${key} must be ${CONFIG_KEYS[key]}`);
+  };
+
+  expect('dirs', value => isObject(value) && Object.values(value).every(dir => typeof dir === 'string'));
+  expect('staticFiles', value => typeof value === 'function' || (Array.isArray(value) && value.every(file => (
+    isObject(file) && typeof file.src === 'string' && typeof file.dest === 'string'
+  ))));
+  expect('minify', value => typeof value === 'boolean' || (isObject(value) && Object.keys(value).every(kind => (
+    ['css', 'js'].includes(kind) && typeof value[kind] === 'boolean'
+  ))));
+  expect('sourceMaps', value => typeof value === 'boolean');
+  expect('environments', value => isObject(value) && Object.values(value).every(environment => isObject(environment)));
+  expect('budgets', isObject);
+  expect('cssSafelist', value => Array.isArray(value) && value.every(pattern => pattern instanceof RegExp));
+  expect('criticalCssPages', value => Array.isArray(value) && value.every(page => typeof page === 'string'));
+  expect('serviceWorker', isObject);
+  expect('locales', value => Array.isArray(value) && value.length > 0 && value.every(locale => typeof locale === 'string'));
+  expect('cache', value => typeof value === 'boolean');
+  expect('jobs', value => Number.isInteger(value) && value >= 0);
+  expect('logFile', value => typeof value === 'boolean' || typeof value === 'string');
+  expect('plugins', Array.isArray);
+
+  for (const key of Object.keys(isObject(config.dirs) ? config.dirs : {})) {
+    if (!dirs.includes(key)) problems.push(`dirs.${key} is not a build directory (expected ${dirs.join(', ')})`);
+  }
+
+  (Array.isArray(config.plugins) ? config.plugins : []).forEach((plugin, index) => {
+    const label = plugin && typeof plugin.name === 'string' ? `plugin "${plugin.name}"` : `plugins[${index}]`;
+    if (!isObject(plugin) || typeof plugin.name !== 'string' || !plugin.name) {
+      problems.push(`${label} needs a name`);
+      return;
+    }
+    for (const key of Object.keys(plugin).filter(name => !PLUGIN_KEYS.includes(name))) {
+      problems.push(`${label}: unknown key "${key}" (expected ${PLUGIN_KEYS.join(', ')})`);
+    }
+    for (const phase of ['before', 'after']) {
+      if (plugin[phase] === undefined) continue;
+      if (!isObject(plugin[phase]) || !Object.values(plugin[phase]).every(hook => typeof hook === 'function')) {
+        problems.push(`${label}: ${phase} must map step names to functions`);
+      }
+    }
+    if (plugin.steps !== undefined) {
+      const steps = Array.isArray(plugin.steps) ? plugin.steps : [null];
+      for (const step of steps) {
+        if (!isObject(step) || typeof step.name !== 'string' || typeof step.run !== 'function') {
+          problems.push(`${label}: steps need a name and a run function`);
+        } else if (step.before !== undefined && step.after !== undefined) {
+          problems.push(`${label}: step "${step.name}" can go before or after another step, not both`);
+        } else if (step.watch !== undefined && !(Array.isArray(step.watch) && step.watch.every(dir => typeof dir === 'string'))) {
+          problems.push(`${label}: step "${step.name}" watch must be an array of paths`);
+        }
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load the project config.
+ * @param {{ file?: string, rootDir?: string, dirs: string[], context: { environment: string, production: boolean } }} options
+ *   file defaults to catipedia.config.js in rootDir, which may be missing; dirs are
+ *   the directory settings that exist
+ * @returns {{ config: object, file: string|null }}
+ * @throws {ConfigError} when the file is missing (if named), fails to load or is malformed
+ */
+function loadProjectConfig({ file, rootDir = '.', dirs, context }) {
+  const configPath = path.resolve(rootDir, file || CONFIG_FILE);
+  if (!fs.existsSync(configPath)) {
+    if (file) throw new ConfigError(file, ['config file not found']);
+    return { config: {}, file: null };
+  }
+
+  const displayPath = path.relative('.', configPath);
+  let config;
+  try {
+    // Drop a copy loaded earlier, so a new BuildManager sees edits
+    delete require.cache[configPath];
+    const exported = require(configPath);
+    config = typeof exported === 'function' ? exported(context) : exported;
+  } catch (error) {
+    throw new ConfigError(displayPath, [error.message]);
+  }
+
+  if (!isObject(config)) {
+    throw new ConfigError(displayPath, ['must export an object, or a function returning one']);
+  }
+
+  const problems = validateConfig(config, { dirs });
+  if (problems.length > 0) throw new ConfigError(displayPath, problems);
+
+  return { config, file: displayPath };
+}
+
+/**
+ * Order the build steps with the plugins' steps and collect their hooks.
+ * @param {string[]} builtInSteps in pipeline order
+ * @param {object[]} plugins validated plugins
+ * @returns {{ steps: string[], custom: Map<string, { plugin: string, run: Function, anchor: string, watch: string[] }>,
+ *   before: Map<string, Array<{ plugin: string, hook: Function }>>, after: Map<string, Array<{ plugin: string, hook: Function }>> }}
+ *   custom holds plugin steps by name; anchor is the step a plugin step is placed next to
+ * @throws {Error} for duplicate step names and hooks or anchors naming unknown steps
+ */
+function buildPipeline(builtInSteps, plugins = []) {
+  const steps = [...builtInSteps];
+  const custom = new Map();
+  const before = new Map();
+  const after = new Map();
+
+  // Plugin steps are placed in the order plugins list them, so a later step
+  // may be anchored to an earlier plugin's step
+  for (const plugin of plugins) {
+    for (const step of plugin.steps || []) {
+      if (steps.includes(step.name)) {
+        throw new Error(`Plugin "${plugin.name}": step "${step.name}" already exists`);
+      }
+      // Without an anchor the step runs just before the output is validated
+      const anchor = step.after || step.before || 'validateBuild';
+      const index = steps.indexOf(anchor);
+      if (index === -1) {
+        throw new Error(`Plugin "${plugin.name}": step "${step.name}" is placed next to unknown step "${anchor}"`);
+      }
+      steps.splice(step.after ? index + 1 : index, 0, step.name);
+      custom.set(step.name, { plugin: plugin.name, run: step.run, anchor, watch: step.watch || [] });
+    }
+  }
+
+  for (const plugin of plugins) {
+    for (const [phase, hooks] of [['before', before], ['after', after]]) {
+      for (const [step, hook] of Object.entries(plugin[phase] || {})) {
+        if (!steps.includes(step)) {
+          throw new Error(`Plugin "${plugin.name}": cannot hook ${phase} unknown step "${step}" (steps: ${steps.join(', ')})`);
+        }
+        if (!hooks.has(step)) hooks.set(step, []);
+        hooks.get(step).push({ plugin: plugin.name, hook });
+      }
+    }
+  }
+
+  return { steps, custom, before, after };
+}
+
+module.exports = { loadProjectConfig, buildPipeline, validateConfig, ConfigError, CONFIG_FILE };
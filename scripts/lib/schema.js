@@ -0,0 +1,174 @@
+/**
+ * Catipedia Schema Validator
+ * Validates content records against the JSON Schema subset used in data/schema:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * min/max(Items|Length), minimum/maximum, pattern, format and local $ref.
+ */
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  slug: value => /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(value)
+};
+
+// Edit distance, used to suggest the intended name for a misspelled key
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = levenshtein(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? best : null;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinField(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported, got "${ref}"`);
+  }
+
+  return ref.slice(2).split('/').reduce((node, part) => {
+    if (!node || !(part in node)) throw new Error(`Unresolvable $ref "${ref}"`);
+    return node[part];
+  }, root);
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {object} schema
+ * @param {*} value
+ * @returns {Array<{ field: string, message: string }>} an empty array when valid
+ */
+function validate(schema, value, root = schema, field = '') {
+  if (schema.$ref) {
+    return validate(resolveRef(root, schema.$ref), value, root, field);
+  }
+
+  const errors = [];
+  const fail = (message, at = field) => errors.push({ field: at || '(root)', message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const hint = typeof value === 'string' ? suggest(value, schema.enum.filter(option => typeof option === 'string')) : null;
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}${hint ? ` (did you mean "${hint}"?)` : ''}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('must not contain duplicates');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, root, joinField(field, index)));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        fail('is required', joinField(field, key));
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childField = joinField(field, key);
+
+      if (properties[key]) {
+        if (child !== undefined && child !== null) {
+          errors.push(...validate(properties[key], child, root, childField));
+        }
+      } else if (schema.additionalProperties === false) {
+        const hint = suggest(key, Object.keys(properties));
+        fail(`unknown field${hint ? ` (did you mean "${hint}"?)` : ''}`, childField);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, child, root, childField));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validate, suggest, levenshtein };
@@ -0,0 +1,132 @@
+/**
+ * Catipedia Search Index
+ * Builds the sharded inverted index that js/lib/search.js queries in the browser.
+ *
+ * Output layout (all under dist/search/):
+ *   index.json   manifest: version, field weights, shard names
+ *   docs.json    [title, url, type, text] per document, addressed by position
+ *   <shard>.json { term: [docId, score, docId, score, ...] } for terms starting with <shard>
+ */
+
+const INDEX_VERSION = 1;
+
+// How much a match in each field counts towards a document's score
+const FIELD_WEIGHTS = {
+  name: 10,
+  alternateNames: 6,
+  origin: 3,
+  text: 1
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'their', 'they', 'this', 'to', 'was', 'with'
+]);
+
+// Terms are split by js/lib/terms.mjs, the same module js/lib/search.js
+// splits queries with. It is an ES module, so it is loaded on first use.
+let sharedTerms = null;
+
+function loadTerms() {
+  if (!sharedTerms) sharedTerms = import('../../js/lib/terms.mjs');
+  return sharedTerms;
+}
+
+/**
+ * Build the index.
+ * @param {Array<{ title: string, url: string, type: string, text: string, fields: Object<string, string|string[]> }>} documents
+ * @returns {Promise<{ manifest: object, docs: Array, shards: Object<string, object> }>}
+ */
+async function buildSearchIndex(documents) {
+  const { tokenize, shardFor } = await loadTerms();
+  const postings = new Map();
+
+  documents.forEach((doc, docId) => {
+    const scores = new Map();
+
+    for (const [field, value] of Object.entries(doc.fields)) {
+      const weight = FIELD_WEIGHTS[field];
+      if (!weight || value === undefined || value === null) continue;
+
+      const text = Array.isArray(value) ? value.join(' ') : value;
+      const counts = new Map();
+      // Queries keep every term; the index leaves out stop words and single letters
+      for (const term of tokenize(text).filter(term => term.length > 1 && !STOP_WORDS.has(term))) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+
+      // Cap repeated terms so long articles don't drown out names
+      for (const [term, count] of counts) {
+        scores.set(term, (scores.get(term) || 0) + weight * Math.min(count, 3));
+      }
+    }
+
+    for (const [term, score] of scores) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(docId, score);
+    }
+  });
+
+  const shards = {};
+  for (const term of [...postings.keys()].sort()) {
+    const shard = shardFor(term);
+    if (!shards[shard]) shards[shard] = {};
+    shards[shard][term] = postings.get(term);
+  }
+
+  const docs = documents.map(doc => [doc.title, doc.url, doc.type, doc.text]);
+
+  const manifest = {
+    version: INDEX_VERSION,
+    documents: docs.length,
+    terms: postings.size,
+    fields: FIELD_WEIGHTS,
+    shards: Object.keys(shards).sort()
+  };
+
+  return { manifest, docs, shards };
+}
+
+// Search documents for breed records; urlPrefix is the root of the locale's pages
+function breedSearchDocuments(breeds, urlPrefix = '/') {
+  return breeds.map(breed => ({
+    title: breed.name,
+    url: `${urlPrefix}breeds/${breed.slug}/`,
+    type: 'breed',
+    text: `${breed.summary} ${breed.description}`.replace(/\s+/g, ' ').trim(),
+    fields: {
+      name: breed.name,
+      alternateNames: breed.alternateNames || [],
+      origin: breed.origin,
+      text: [breed.summary, breed.description, breed.coat.texture, ...(breed.health || []).map(item => item.condition)]
+        .filter(Boolean)
+        .join(' ')
+    }
+  }));
+}
+
+// Search documents for Markdown articles; tags are weighted like alternate names
+function articleSearchDocuments(articles, urlPrefix = '/') {
+  return articles.map(article => {
+    const bodyText = article.html
+      .replace(/<a class="(?:heading-anchor|footnote-backref)"[^>]*>[\s\S]*?<\/a>/g, '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&(?:amp|lt|gt|quot|#39);/g, entity => ({ '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" })[entity])
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      title: article.title,
+      url: `${urlPrefix}articles/${article.slug}/`,
+      type: 'article',
+      text: `${article.summary} ${bodyText}`.trim(),
+      fields: {
+        name: article.title,
+        alternateNames: article.tags || [],
+        text: `${article.summary} ${bodyText}`
+      }
+    };
+  });
+}
+
+module.exports = { buildSearchIndex, breedSearchDocuments, articleSearchDocuments, FIELD_WEIGHTS, INDEX_VERSION };
@@ -0,0 +1,209 @@
+/**
+ * Catipedia Service Worker
+ * Generates dist/sw.js. The app shell is precached on install, pages and
+ * images are cached as they are visited, and every cache name carries the
+ * build version so the first visit after a deploy evicts what the previous
+ * build stored.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { matchesPattern } = require('./build-report');
+const { pagePath } = require('./sitemap');
+
+const CACHE_PREFIX = 'catipedia-';
+
+// Never worth caching: source maps are for devtools and only browsers without
+// module support (which have no service workers either) load nomodule fallbacks
+const SKIPPED_FILES = [/\.map$/, /\.nomodule\.(?:[0-9a-f]{8}\.)?js$/, /^src\//];
+
+// Strips the content hash generateHashes() adds
+const FINGERPRINT = /\.([0-9a-f]{8})(\.[^./]+)$/;
+
+// Runs in the browser: serialized into sw.js and called with the build's config
+function serviceWorker(config) {
+  var SHELL_CACHE = config.prefix + 'shell-' + config.version;
+  var PAGES_CACHE = config.prefix + 'pages-' + config.version;
+  var IMAGES_CACHE = config.prefix + 'images-' + config.version;
+
+  // Pages are stored under one URL however they were requested
+  function pageKey(url) {
+    return url.origin + url.pathname.replace(/\/index\.html$/, '/').replace(/\.html$/, '');
+  }
+
+  function isRuntimePage(url) {
+    return config.pages.prefixes.some(function (prefix) { return url.pathname.indexOf(prefix) === 0; });
+  }
+
+  // Cache keys come back in insertion order, so the oldest entries go first
+  function trim(cache, maxEntries) {
+    return cache.keys().then(function (keys) {
+      return Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(function (key) {
+        return cache.delete(key);
+      }));
+    });
+  }
+
+  function store(cacheName, key, response, maxEntries) {
+    return caches.open(cacheName).then(function (cache) {
+      // Delete first so a refreshed entry moves to the back of the queue
+      return cache.delete(key)
+        .then(function () { return cache.put(key, response); })
+        .then(function () { return trim(cache, maxEntries); });
+    });
+  }
+
+  // Fresh pages when the network answers in time, the cached copy when it does not
+  function networkFirst(event, key, cacheName) {
+    var network = fetch(event.request);
+
+    // Registered before the response is handed out, so the copy is taken
+    // before the page reads the body, and while the event is still alive
+    if (cacheName) {
+      event.waitUntil(network.then(function (response) {
+        if (response.ok) return store(cacheName, key, response.clone(), config.pages.maxEntries);
+      }).catch(function () {}));
+    }
+
+    return new Promise(function (resolve, reject) {
+      var settled = false;
+      var settle = function (response) {
+        if (!settled) {
+          settled = true;
+          resolve(response);
+        }
+      };
+
+      var timer = setTimeout(function () {
+        caches.match(key).then(function (cached) {
+          if (cached) settle(cached);
+        });
+      }, config.networkTimeout);
+
+      network.then(function (response) {
+        clearTimeout(timer);
+        settle(response);
+      }, function (error) {
+        clearTimeout(timer);
+        caches.match(key).then(function (cached) {
+          if (cached) settle(cached); else if (!settled) reject(error);
+        });
+      });
+    });
+  }
+
+  function cacheFirst(event, cacheName, maxEntries) {
+    return caches.match(event.request, { ignoreSearch: !cacheName }).then(function (cached) {
+      if (cached) return cached;
+      return fetch(event.request).then(function (response) {
+        if (response.ok && cacheName) {
+          event.waitUntil(store(cacheName, event.request, response.clone(), maxEntries));
+        }
+        return response;
+      });
+    });
+  }
+
+  self.addEventListener('install', function (event) {
+    event.waitUntil(caches.open(SHELL_CACHE).then(function (cache) {
+      return cache.addAll(config.shell.map(function (url) {
+        return new Request(url, { cache: 'reload' });
+      }));
+    }));
+  });
+
+  // Drop every cache from earlier builds
+  self.addEventListener('activate', function (event) {
+    var current = [SHELL_CACHE, PAGES_CACHE, IMAGES_CACHE];
+    event.waitUntil(caches.keys().then(function (names) {
+      return Promise.all(names.filter(function (name) {
+        return name.indexOf(config.prefix) === 0 && current.indexOf(name) === -1;
+      }).map(function (name) {
+        return caches.delete(name);
+      }));
+    }).then(function () {
+      return self.clients.claim();
+    }));
+  });
+
+  self.addEventListener('fetch', function (event) {
+    var request = event.request;
+    var url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+      var key = pageKey(url);
+      event.respondWith(networkFirst(event, key, isRuntimePage(url) ? PAGES_CACHE : null));
+    } else if (config.shell.indexOf(url.pathname) !== -1) {
+      event.respondWith(cacheFirst(event, null));
+    } else if (request.destination === 'image') {
+      event.respondWith(cacheFirst(event, IMAGES_CACHE, config.images.maxEntries));
+    }
+  });
+}
+
+// Written in development so a worker left over from a production build on the
+// same origin removes itself and its caches instead of serving stale files
+function unregisterWorker(prefix) {
+  self.addEventListener('install', function () {
+    self.skipWaiting();
+  });
+
+  self.addEventListener('activate', function (event) {
+    event.waitUntil(caches.keys().then(function (names) {
+      return Promise.all(names.filter(function (name) { return name.indexOf(prefix) === 0; }).map(function (name) {
+        return caches.delete(name);
+      }));
+    }).then(function () {
+      return self.registration.unregister();
+    }));
+  });
+}
+
+/**
+ * Work out what the service worker precaches and its cache version.
+ * @param {{ distDir: string, files: string[], hashes?: Object<string, string>, options: object }} options
+ *   files are dist-relative POSIX paths after fingerprinting; hashes is hashes.json
+ *   (logical path -> hash); options.shell lists page files and globs to precache
+ * @returns {{ shell: string[], version: string }} shell holds site URLs
+ */
+function precacheManifest({ distDir, files, hashes = {}, options }) {
+  const shellFiles = files.filter(file => (
+    !SKIPPED_FILES.some(pattern => pattern.test(file)) &&
+    options.shell.some(pattern => matchesPattern(pattern, file.replace(FINGERPRINT, '$2')))
+  ));
+
+  // Fingerprinted files already carry their hash; others are hashed here
+  const version = crypto.createHash('md5');
+  version.update(JSON.stringify(options));
+  for (const file of shellFiles) {
+    const logical = file.replace(FINGERPRINT, '$2');
+    const hash = hashes[logical] ||
+      crypto.createHash('md5').update(fs.readFileSync(path.join(distDir, file))).digest('hex');
+    version.update(`${file}:${hash}\n`);
+  }
+
+  return {
+    shell: shellFiles.map(file => (file.endsWith('.html') ? pagePath(file) : `/${file}`)),
+    version: version.digest('hex').substring(0, 8)
+  };
+}
+
+/**
+ * Source of sw.js.
+ * @param {{ shell: string[], version: string, pages: { prefixes: string[], maxEntries: number },
+ *   images: { maxEntries: number }, networkTimeout: number }} config
+ */
+function buildServiceWorker(config) {
+  const settings = { prefix: CACHE_PREFIX, ...config };
+  return `/* Catipedia service worker, build ${config.version} */\n` +
+    `(${serviceWorker.toString()})(${JSON.stringify(settings, null, 2)});\n`;
+}
+
+function buildUnregisterWorker() {
+  return `/* Catipedia service worker (development: removes itself) */\n` +
+    `(${unregisterWorker.toString()})(${JSON.stringify(CACHE_PREFIX)});\n`;
+}
+
+module.exports = { precacheManifest, buildServiceWorker, buildUnregisterWorker, CACHE_PREFIX };
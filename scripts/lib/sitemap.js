@@ -0,0 +1,85 @@
+/**
+ * Catipedia Sitemap
+ * Builds sitemap.xml and robots.txt for the environment being built
+ */
+
+const { execSync } = require('child_process');
+const { escapeHtml } = require('./html');
+
+// Map an emitted HTML file onto the URL path it is served from
+function pagePath(file) {
+  if (file === 'index.html') return '/';
+  if (file.endsWith('/index.html')) return `/${file.slice(0, -'index.html'.length)}`;
+  return `/${file.replace(/\.html$/, '')}`;
+}
+
+/**
+ * Read the last commit date of every tracked file in one pass.
+ * @returns {Object<string, string>} POSIX path -> ISO date, empty outside a git checkout
+ */
+function gitLastModified(cwd = '.') {
+  const dates = {};
+
+  try {
+    const log = execSync('git log --format=__%cI --name-only --no-renames', {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+
+    let current = null;
+    for (const line of log.split('\n')) {
+      if (line.startsWith('__')) {
+        current = line.slice(2);
+      } else if (line && current && !dates[line]) {
+        // Newest commits come first
+        dates[line] = current;
+      }
+    }
+  } catch (error) {
+    // Not a git checkout, or git is missing: pages just go without <lastmod>
+  }
+
+  return dates;
+}
+
+/**
+ * Render sitemap.xml.
+ * @param {string} siteUrl origin without a trailing slash
+ * @param {Array<{ path: string, lastmod?: string, alternates?: Array<{ hreflang: string, path: string }> }>} pages
+ *   alternates are the page's translations, including the page itself
+ */
+function buildSitemap(siteUrl, pages) {
+  const entries = pages.map(page => {
+    const lastmod = page.lastmod ? `\n    <lastmod>${escapeHtml(page.lastmod.slice(0, 10))}</lastmod>` : '';
+    const alternates = (page.alternates || [])
+      .map(alternate => `\n    <xhtml:link rel="alternate" hreflang="${escapeHtml(alternate.hreflang)}" href="${escapeHtml(siteUrl + alternate.path)}"/>`)
+      .join('');
+    return `  <url>\n    <loc>${escapeHtml(siteUrl + page.path)}</loc>${lastmod}${alternates}\n  </url>`;
+  });
+
+  const xhtml = pages.some(page => page.alternates && page.alternates.length > 0)
+    ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"'
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${xhtml}>
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Render robots.txt. Non-indexable environments block every crawler.
+ * @param {{ allowIndexing: boolean, sitemapUrl?: string }} options
+ */
+function buildRobots({ allowIndexing, sitemapUrl }) {
+  if (!allowIndexing) {
+    return 'User-agent: *\nDisallow: /\n';
+  }
+
+  return `User-agent: *\nAllow: /\n${sitemapUrl ? `\nSitemap: ${sitemapUrl}\n` : ''}`;
+}
+
+module.exports = { pagePath, gitLastModified, buildSitemap, buildRobots };
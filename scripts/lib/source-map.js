@@ -0,0 +1,91 @@
+/**
+ * Catipedia Source Maps
+ * Minimal source map v3 generator used by the minifiers
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Encode a signed integer as a base64 VLQ
+function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+class SourceMapGenerator {
+  constructor(options = {}) {
+    this.file = options.file || '';
+    this.sources = [];
+    this.sourcesContent = [];
+    this.lines = [[]];
+  }
+
+  // Register a source file, returns its index
+  addSource(name, content) {
+    const existing = this.sources.indexOf(name);
+    if (existing !== -1) return existing;
+
+    this.sources.push(name);
+    this.sourcesContent.push(content === undefined ? null : content);
+    return this.sources.length - 1;
+  }
+
+  // Map a generated position (0-based line/column) onto an original one (1-based line, 0-based column)
+  addMapping(generated, original, sourceIndex = 0) {
+    while (this.lines.length <= generated.line) {
+      this.lines.push([]);
+    }
+    this.lines[generated.line].push([generated.column, sourceIndex, original.line - 1, original.column]);
+  }
+
+  encodeMappings() {
+    let previousSource = 0;
+    let previousLine = 0;
+    let previousColumn = 0;
+
+    return this.lines.map(segments => {
+      let previousGenerated = 0;
+
+      return segments
+        .sort((a, b) => a[0] - b[0])
+        .map(([column, source, line, originalColumn]) => {
+          const encoded = encodeVLQ(column - previousGenerated) +
+            encodeVLQ(source - previousSource) +
+            encodeVLQ(line - previousLine) +
+            encodeVLQ(originalColumn - previousColumn);
+
+          previousGenerated = column;
+          previousSource = source;
+          previousLine = line;
+          previousColumn = originalColumn;
+          return encoded;
+        })
+        .join(',');
+    }).join(';');
+  }
+
+  toJSON() {
+    return {
+      version: 3,
+      file: this.file,
+      sources: this.sources,
+      sourcesContent: this.sourcesContent,
+      names: [],
+      mappings: this.encodeMappings()
+    };
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+}
+
+module.exports = { SourceMapGenerator, encodeVLQ };
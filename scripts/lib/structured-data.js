@@ -0,0 +1,295 @@
+/**
+ * Catipedia Structured Data
+ * Builds the schema.org JSON-LD and the Open Graph and Twitter card tags of
+ * breed and article pages, and checks built pages for missing or malformed
+ * structured data.
+ */
+
+const { forEachTag, lineIndex } = require('./html');
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+const SITE_NAME = 'Catipedia';
+
+// Social tags every page with structured data needs
+const REQUIRED_SOCIAL_TAGS = ['og:title', 'og:description', 'og:url', 'og:type', 'twitter:card'];
+
+const JSON_LD_PATTERN = /<script\b[^>]*\btype=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+const ABSOLUTE_URL = /^https?:\/\/[^/\s]+\/\S*$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?$/;
+
+function publisher(siteUrl) {
+  return { '@type': 'Organization', name: SITE_NAME, url: `${siteUrl}/` };
+}
+
+/**
+ * BreadcrumbList for a page.
+ * @param {Array<{ name: string, url: string }>} items from the home page down to the page itself
+ */
+function breadcrumbList(items) {
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: item.name,
+      item: item.url
+    }))
+  };
+}
+
+function range(value, unit) {
+  return value && { minValue: value.min, maxValue: value.max, ...unit };
+}
+
+/**
+ * JSON-LD for a breed page: the page as an Article about the breed, the breed
+ * itself and the breadcrumb trail.
+ * @param {object} breed a validated (and translated) breed record
+ * @param {{ url: string, siteUrl: string, locale: string, breadcrumbs: Array<{ name: string, url: string }> }} page
+ *   url is the canonical URL; breadcrumbs lead up to the page
+ * @returns {object[]}
+ */
+function breedStructuredData(breed, { url, siteUrl, locale, breadcrumbs }) {
+  const images = (breed.images || []).map(image => `${siteUrl}/${image.src}`);
+  const properties = [
+    { name: 'origin', value: breed.origin },
+    { name: 'size', value: breed.size },
+    { name: 'coatLength', value: breed.coat.length },
+    { name: 'weight', ...range(breed.weightKg, { unitCode: 'KGM' }) },
+    { name: 'lifespan', ...range(breed.lifespan, { unitText: 'years' }) }
+  ].filter(property => property.value !== undefined || property.minValue !== undefined);
+
+  const article = {
+    '@type': 'Article',
+    '@id': `${url}#article`,
+    headline: breed.name,
+    description: breed.summary,
+    url,
+    mainEntityOfPage: url,
+    inLanguage: locale,
+    about: { '@id': `${url}#breed` },
+    author: publisher(siteUrl),
+    publisher: publisher(siteUrl)
+  };
+  if (breed.updated) article.dateModified = breed.updated;
+  if (images.length > 0) article.image = images;
+
+  const description = {
+    '@type': 'Thing',
+    '@id': `${url}#breed`,
+    name: breed.name,
+    description: breed.description.trim(),
+    url,
+    additionalProperty: properties.map(property => ({ '@type': 'PropertyValue', ...property }))
+  };
+  if ((breed.alternateNames || []).length > 0) description.alternateName = breed.alternateNames;
+  if (images.length > 0) description.image = images;
+
+  return [article, description, breadcrumbList(breadcrumbs)];
+}
+
+/**
+ * JSON-LD for an article page: the Article and the breadcrumb trail.
+ * @param {object} article a loaded (and translated) article
+ * @param {{ url: string, siteUrl: string, locale: string, breadcrumbs: Array<{ name: string, url: string }>,
+ *   relatedBreeds?: Array<{ name: string, url: string }> }} page
+ * @returns {object[]}
+ */
+function articleStructuredData(article, { url, siteUrl, locale, breadcrumbs, relatedBreeds = [] }) {
+  const data = {
+    '@type': 'Article',
+    '@id': `${url}#article`,
+    headline: article.title,
+    description: article.summary,
+    url,
+    mainEntityOfPage: url,
+    inLanguage: locale,
+    author: { '@type': 'Organization', name: article.author },
+    publisher: publisher(siteUrl)
+  };
+  if (article.updated) data.dateModified = article.updated;
+  if ((article.tags || []).length > 0) data.keywords = article.tags.join(', ');
+  if (relatedBreeds.length > 0) {
+    data.about = relatedBreeds.map(breed => ({ '@type': 'Thing', name: breed.name, url: breed.url }));
+  }
+
+  return [data, breadcrumbList(breadcrumbs)];
+}
+
+/**
+ * Render JSON-LD nodes as one script element.
+ * @param {object[]} nodes
+ */
+function renderStructuredData(nodes) {
+  const json = JSON.stringify({ '@context': SCHEMA_CONTEXT, '@graph': nodes }, null, 2)
+    // Keeps "</script>" in content from ending the element
+    .replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+// Open Graph wants language_TERRITORY
+function ogLocale(locale) {
+  return locale.replace('-', '_');
+}
+
+/**
+ * Open Graph and Twitter card tags for a page.
+ * @param {{ title: string, description: string, url: string, type?: string, locale: string,
+ *   alternateLocales?: string[], image?: { url: string, alt: string } }} page
+ * @returns {Array<{ property?: string, name?: string, content: string }>} Open Graph tags
+ *   use property, Twitter tags use name
+ */
+function socialMeta({ title, description, url, type = 'article', locale, alternateLocales = [], image }) {
+  const tags = [
+    { property: 'og:type', content: type },
+    { property: 'og:site_name', content: SITE_NAME },
+    { property: 'og:title', content: title },
+    { property: 'og:description', content: description },
+    { property: 'og:url', content: url },
+    { property: 'og:locale', content: ogLocale(locale) },
+    ...alternateLocales.map(alternate => ({ property: 'og:locale:alternate', content: ogLocale(alternate) })),
+    { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' },
+    { name: 'twitter:title', content: title },
+    { name: 'twitter:description', content: description }
+  ];
+
+  if (image) {
+    tags.push(
+      { property: 'og:image', content: image.url },
+      { property: 'og:image:alt', content: image.alt },
+      { name: 'twitter:image', content: image.url },
+      { name: 'twitter:image:alt', content: image.alt }
+    );
+  }
+
+  return tags;
+}
+
+// JSON-LD may hold one node, an array of them or an @graph
+function nodesOf(data) {
+  if (Array.isArray(data)) return data.flatMap(nodesOf);
+  if (data && Array.isArray(data['@graph'])) return data['@graph'];
+  return data && typeof data === 'object' ? [data] : [];
+}
+
+function checkNode(node, problem) {
+  const type = node['@type'];
+  const text = field => typeof node[field] === 'string' && node[field].trim() !== '';
+
+  if (!type) {
+    problem('node without @type');
+    return;
+  }
+
+  if (!text('name') && type !== 'Article' && type !== 'BreadcrumbList') {
+    problem(`${type} needs a name`);
+  }
+  if (node.url !== undefined && !ABSOLUTE_URL.test(node.url)) {
+    problem(`${type} url must be absolute, got "${node.url}"`);
+  }
+
+  if (type === 'Article') {
+    if (!text('headline')) problem('Article needs a headline');
+    if (!text('description')) problem('Article needs a description');
+    if (!ABSOLUTE_URL.test(node.mainEntityOfPage || '')) problem('Article needs an absolute mainEntityOfPage URL');
+    for (const role of ['author', 'publisher']) {
+      if (!node[role] || typeof node[role].name !== 'string' || !node[role].name.trim()) {
+        problem(`Article needs a named ${role}`);
+      }
+    }
+    for (const field of ['datePublished', 'dateModified']) {
+      if (node[field] !== undefined && !ISO_DATE.test(node[field])) problem(`Article ${field} must be an ISO 8601 date`);
+    }
+  }
+
+  if (type === 'BreadcrumbList') {
+    const items = node.itemListElement;
+    if (!Array.isArray(items) || items.length === 0) {
+      problem('BreadcrumbList needs at least one itemListElement');
+      return;
+    }
+    items.forEach((item, index) => {
+      if (!item || item['@type'] !== 'ListItem') problem(`breadcrumb ${index + 1} must be a ListItem`);
+      else if (item.position !== index + 1) problem(`breadcrumb ${index + 1} has position ${item.position}`);
+      else if (typeof item.name !== 'string' || !item.name.trim()) problem(`breadcrumb ${index + 1} needs a name`);
+      else if (!ABSOLUTE_URL.test(item.item || '')) problem(`breadcrumb ${index + 1} needs an absolute item URL`);
+    });
+  }
+}
+
+/**
+ * Check a page's JSON-LD and social tags.
+ * @param {string} html
+ * @param {string} file reported with each problem
+ * @param {{ required?: string[] }} [options] required lists the schema.org
+ *   types the page must describe, and implies the page needs social tags too
+ * @returns {Array<{ file: string, line?: number, message: string }>}
+ */
+function checkStructuredData(html, file, { required = [] } = {}) {
+  const problems = [];
+  const lineAt = lineIndex(html);
+  const types = new Set();
+
+  for (const match of html.matchAll(JSON_LD_PATTERN)) {
+    const line = lineAt(match.index);
+    const problem = message => problems.push({ file, line, message: `structured data: ${message}` });
+
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch (error) {
+      problem(`malformed JSON-LD (${error.message})`);
+      continue;
+    }
+
+    const context = Array.isArray(data) ? (data[0] || {})['@context'] : data && data['@context'];
+    if (!/^https?:\/\/schema\.org\/?$/.test(context || '')) {
+      problem(`@context must be ${SCHEMA_CONTEXT}`);
+    }
+
+    for (const node of nodesOf(data)) {
+      checkNode(node, problem);
+      if (node['@type']) types.add(node['@type']);
+    }
+  }
+
+  if (required.length === 0) return problems;
+
+  for (const type of required.filter(name => !types.has(name))) {
+    problems.push({ file, message: `structured data: missing ${type}` });
+  }
+
+  const social = {};
+  let canonical = null;
+  forEachTag(html, (tagName, attributes) => {
+    if (tagName === 'meta' && (attributes.property || attributes.name)) {
+      social[attributes.property || attributes.name] = attributes.content;
+    } else if (tagName === 'link' && /\bcanonical\b/i.test(attributes.rel || '')) {
+      canonical = attributes.href;
+    }
+  });
+
+  for (const tag of REQUIRED_SOCIAL_TAGS.filter(name => !social[name] || !social[name].trim())) {
+    problems.push({ file, message: `social metadata: missing ${tag}` });
+  }
+  if (!canonical || !ABSOLUTE_URL.test(canonical)) {
+    problems.push({ file, message: 'social metadata: missing absolute canonical URL' });
+  } else if (social['og:url'] && social['og:url'] !== canonical) {
+    problems.push({ file, message: `social metadata: og:url ${social['og:url']} does not match canonical ${canonical}` });
+  }
+  if (social['og:image'] && !ABSOLUTE_URL.test(social['og:image'])) {
+    problems.push({ file, message: 'social metadata: og:image must be an absolute URL' });
+  }
+
+  return problems;
+}
+
+module.exports = {
+  breedStructuredData,
+  articleStructuredData,
+  breadcrumbList,
+  renderStructuredData,
+  socialMeta,
+  checkStructuredData,
+  SCHEMA_CONTEXT
+};
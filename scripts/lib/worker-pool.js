@@ -0,0 +1,142 @@
+/**
+ * Catipedia Worker Pool
+ * Runs build tasks (see build-tasks.js) on a fixed number of worker threads.
+ * With no threads the tasks run on the main thread, one after another.
+ *
+ * This file is also the worker's entry point.
+ */
+
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+/**
+ * Threads to use by default: one per core, leaving one for the main thread.
+ */
+function defaultPoolSize() {
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(0, cores - 1);
+}
+
+class WorkerPool {
+  /**
+   * @param {{ size?: number }} [options]
+   */
+  constructor({ size = defaultPoolSize() } = {}) {
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 0;
+  }
+
+  /**
+   * Run a task.
+   * @param {string} task a name in TASKS
+   * @param {object} input
+   * @returns {Promise<*>}
+   */
+  run(task, input) {
+    if (this.size === 0) {
+      const { TASKS } = require('./build-tasks');
+      return Promise.resolve().then(() => TASKS[task](input));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, task, input, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      if (this.idle.length === 0 && this.workers.length < this.size) this.spawn();
+      if (this.idle.length === 0) return;
+
+      const worker = this.idle.pop();
+      const job = this.queue.shift();
+      worker.job = job;
+      // Keep the process alive only while a worker is busy
+      worker.ref();
+      worker.postMessage({ id: job.id, task: job.task, input: job.input });
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(__filename);
+
+    worker.on('message', ({ id, result, error }) => {
+      const { job } = worker;
+      if (!job || job.id !== id) return;
+      worker.job = null;
+      worker.unref();
+      this.idle.push(worker);
+
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+      this.dispatch();
+    });
+
+    // A crashed worker fails its task and is replaced on demand
+    worker.on('error', error => {
+      this.remove(worker);
+      this.fail(worker, error);
+      this.dispatch();
+    });
+    worker.on('exit', code => {
+      this.remove(worker);
+      this.fail(worker, new Error(`Worker exited with code ${code}`));
+      this.dispatch();
+    });
+
+    worker.unref();
+    this.workers.push(worker);
+    this.idle.push(worker);
+  }
+
+  // Reject the task a worker is running, if any
+  fail(worker, error) {
+    const { job } = worker;
+    if (!job) return;
+    worker.job = null;
+    job.reject(error);
+  }
+
+  remove(worker) {
+    this.workers = this.workers.filter(candidate => candidate !== worker);
+    this.idle = this.idle.filter(candidate => candidate !== worker);
+  }
+
+  /**
+   * Stop every worker. Tasks still queued or running are rejected.
+   */
+  async close() {
+    for (const job of this.queue.splice(0)) {
+      job.reject(new Error('Worker pool closed'));
+    }
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    for (const worker of workers) {
+      this.fail(worker, new Error('Worker pool closed'));
+    }
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+if (!isMainThread && parentPort) {
+  const { TASKS } = require('./build-tasks');
+
+  parentPort.on('message', async ({ id, task, input }) => {
+    try {
+      if (!TASKS[task]) throw new Error(`Unknown build task: ${task}`);
+      parentPort.postMessage({ id, result: await TASKS[task](input) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = { WorkerPool, defaultPoolSize };
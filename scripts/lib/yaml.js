@@ -0,0 +1,319 @@
+/**
+ * Catipedia YAML Parser
+ * Parses the YAML subset used by content files: block mappings and sequences,
+ * flow collections, quoted and plain scalars, and literal/folded block scalars.
+ * Errors carry the 1-based line number they were found on.
+ */
+
+class YAMLError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'YAMLError';
+    this.line = line;
+    this.reason = message;
+  }
+}
+
+const NUMBER_PATTERN = /^[-+]?(?:\d[\d_]*\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{}[\],&*!|>%@`-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+|$)/;
+
+// Remove a trailing comment that is not inside quotes
+function stripComment(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+
+  return text.trimEnd();
+}
+
+function parseQuoted(text, line) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text.replace(/\\'/g, "'"));
+    } catch (error) {
+      throw new YAMLError(`Invalid double-quoted string ${text}`, line);
+    }
+  }
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+// Split a flow collection body on top-level commas
+function splitFlow(body, line) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        current += char + body[++i];
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (quote || depth !== 0) throw new YAMLError('Unterminated flow collection', line);
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function parseScalar(text, line) {
+  const value = text.trim();
+
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+
+  if (value.startsWith('"') || value.startsWith("'")) {
+    if (value.length < 2 || value[value.length - 1] !== value[0]) {
+      throw new YAMLError(`Unterminated quoted string ${value}`, line);
+    }
+    return parseQuoted(value, line);
+  }
+
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) throw new YAMLError('Unterminated flow sequence', line);
+    return splitFlow(value.slice(1, -1), line).map(item => parseScalar(item, line));
+  }
+
+  if (value.startsWith('{')) {
+    if (!value.endsWith('}')) throw new YAMLError('Unterminated flow mapping', line);
+    const result = {};
+    for (const entry of splitFlow(value.slice(1, -1), line)) {
+      const match = /^([^:]+?)\s*:\s*(.*)$/.exec(entry);
+      if (!match) throw new YAMLError(`Expected "key: value" in flow mapping, got "${entry}"`, line);
+      result[parseKey(match[1], line)] = parseScalar(match[2], line);
+    }
+    return result;
+  }
+
+  if (/^[&*!|>%@`]/.test(value)) {
+    throw new YAMLError(`Unsupported YAML syntax "${value}"`, line);
+  }
+
+  if (NUMBER_PATTERN.test(value)) return Number(value.replace(/_/g, ''));
+
+  return value;
+}
+
+function parseKey(text, line) {
+  const key = text.trim();
+  if (key.startsWith('"') || key.startsWith("'")) return parseQuoted(key, line);
+  return key;
+}
+
+class Parser {
+  constructor(source) {
+    this.lines = source.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => {
+      const indentMatch = /^[ \t]*/.exec(raw)[0];
+      return {
+        raw,
+        number: index + 1,
+        indent: indentMatch.length,
+        hasTab: indentMatch.includes('\t'),
+        text: stripComment(raw.slice(indentMatch.length))
+      };
+    });
+    this.index = 0;
+  }
+
+  // Skip blank and comment-only lines
+  peek() {
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      if (line.text !== '' && line.text !== '---') {
+        if (line.hasTab) throw new YAMLError('Tabs are not allowed for indentation', line.number);
+        return line;
+      }
+      this.index++;
+    }
+    return null;
+  }
+
+  parseDocument() {
+    const first = this.peek();
+    if (!first) return null;
+
+    const value = this.parseNode(first.indent);
+    const rest = this.peek();
+    if (rest) {
+      throw new YAMLError(`Unexpected content "${rest.text}"`, rest.number);
+    }
+    return value;
+  }
+
+  parseNode(indent) {
+    const line = this.peek();
+    if (!line || line.indent < indent) return null;
+
+    if (line.text === '-' || line.text.startsWith('- ')) return this.parseSequence(line.indent);
+    if (KEY_PATTERN.test(line.text)) return this.parseMapping(line.indent);
+
+    this.index++;
+    return parseScalar(line.text, line.number);
+  }
+
+  parseSequence(indent) {
+    const items = [];
+
+    for (let line = this.peek(); line && line.indent === indent; line = this.peek()) {
+      // A key at this level ends a sequence nested directly under its parent key
+      if (line.text !== '-' && !line.text.startsWith('- ')) break;
+
+      const content = line.text.slice(1).trimStart();
+      const contentIndent = indent + (line.text.length - content.length);
+
+      if (content === '') {
+        this.index++;
+        items.push(this.parseChild(indent));
+      } else if (KEY_PATTERN.test(content) || content.startsWith('- ')) {
+        // "- key: value" starts a mapping indented to where the key begins
+        this.lines[this.index] = { ...line, indent: contentIndent, text: content };
+        items.push(this.parseNode(contentIndent));
+      } else {
+        this.index++;
+        items.push(this.parseInlineValue(content, indent, line));
+      }
+    }
+
+    this.checkDedent(indent);
+    return items;
+  }
+
+  parseMapping(indent) {
+    const result = {};
+
+    for (let line = this.peek(); line && line.indent === indent; line = this.peek()) {
+      const match = KEY_PATTERN.exec(line.text);
+      if (!match) {
+        throw new YAMLError(`Expected "key: value", got "${line.text}"`, line.number);
+      }
+
+      const key = parseKey(match[1], line.number);
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw new YAMLError(`Duplicate key "${key}"`, line.number);
+      }
+
+      const rest = line.text.slice(match[0].length);
+      this.index++;
+
+      if (rest === '') {
+        // A sequence may sit at the same indentation as its key
+        const next = this.peek();
+        const sequenceAtSameLevel = next && next.indent === indent && (next.text === '-' || next.text.startsWith('- '));
+        result[key] = sequenceAtSameLevel ? this.parseSequence(indent) : this.parseChild(indent);
+      } else {
+        result[key] = this.parseInlineValue(rest, indent, line);
+      }
+    }
+
+    this.checkDedent(indent);
+    return result;
+  }
+
+  parseChild(parentIndent) {
+    const next = this.peek();
+    if (!next || next.indent <= parentIndent) return null;
+    return this.parseNode(next.indent);
+  }
+
+  parseInlineValue(text, parentIndent, line) {
+    const blockMatch = /^([|>])([+-]?)$/.exec(text);
+    if (blockMatch) {
+      return this.parseBlockScalar(blockMatch[1], blockMatch[2], parentIndent);
+    }
+
+    // Plain scalars may continue on more-indented lines
+    let value = text;
+    if (!/^["'[{]/.test(text)) {
+      while (this.index < this.lines.length) {
+        const next = this.lines[this.index];
+        if (next.text === '' || next.indent <= parentIndent || KEY_PATTERN.test(next.text) || next.text.startsWith('- ')) break;
+        value += ` ${next.text}`;
+        this.index++;
+      }
+    }
+
+    return parseScalar(value, line.number);
+  }
+
+  parseBlockScalar(style, chomping, parentIndent) {
+    const collected = [];
+    let blockIndent = null;
+
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      const isBlank = line.raw.trim() === '';
+
+      if (!isBlank) {
+        if (line.indent <= parentIndent) break;
+        if (blockIndent === null) blockIndent = line.indent;
+        if (line.indent < blockIndent) {
+          throw new YAMLError('Block scalar line is less indented than the first line', line.number);
+        }
+      }
+
+      collected.push(isBlank ? '' : line.raw.slice(blockIndent));
+      this.index++;
+    }
+
+    while (collected.length && collected[collected.length - 1] === '') collected.pop();
+
+    let value;
+    if (style === '|') {
+      value = collected.join('\n');
+    } else {
+      // Folded: single line breaks become spaces, blank lines become newlines
+      value = collected.reduce((text, current, index) => {
+        if (index === 0) return current;
+        if (current === '') return `${text}\n`;
+        return text.endsWith('\n') ? text + current : `${text} ${current}`;
+      }, '');
+    }
+
+    return chomping === '-' ? value : `${value}\n`;
+  }
+
+  checkDedent(indent) {
+    const next = this.peek();
+    if (next && next.indent > indent) {
+      throw new YAMLError(`Unexpected indentation before "${next.text}"`, next.number);
+    }
+  }
+}
+
+/**
+ * Parse a YAML document.
+ * @param {string} source
+ * @returns {*} the parsed value
+ * @throws {YAMLError}
+ */
+function parseYAML(source) {
+  return new Parser(source).parseDocument();
+}
+
+module.exports = { parseYAML, YAMLError };
@@ -199,12 +199,13 @@ ENABLE_DEBUG=true
       
       // Create basic Makefile
       const makefileContent = `# Catipedia Makefile
-.PHONY: help build deploy test clean setup
+.PHONY: help build serve deploy test clean setup
 
 help:
 	@echo "Available commands:"
 	@echo "  make setup    - Run setup script"
 	@echo "  make build    - Build the project"
+	@echo "  make serve    - Start the dev server with live reload"
 	@echo "  make deploy   - Deploy the project"
 	@echo "  make test     - Run tests"
 	@echo "  make clean    - Clean build files"
@@ -215,6 +216,9 @@ setup:
 build:
 	node scripts/build.js
 
+serve:
+	node scripts/build.js --serve
+
 deploy:
 	node scripts/deploy.js
 
@@ -298,11 +302,12 @@ clean:
     console.log('\n📋 Next steps:');
     console.log('  1. Review the .env file and adjust settings if needed');
     console.log('  2. Run `npm run build` to build the project');
-    console.log('  3. Run `npm start` to start the development server (if available)');
+    console.log('  3. Run `node scripts/build.js --serve` to start the development server');
     console.log('  4. Run `node scripts/deploy.js` to deploy to your hosting platform');
     console.log('\n📚 Useful commands:');
     console.log('  • make help     - Show available Makefile commands');
     console.log('  • make build    - Build the project');
+    console.log('  • make serve    - Start the dev server with live reload');
     console.log('  • make deploy   - Deploy the project');
     console.log('  • make test     - Run tests');
     console.log('\n🔗 Documentation:');
@@ -0,0 +1,184 @@
+/**
+ * Catipedia breed queries
+ * Filtering, sorting and cursor pagination for /api/breeds, and the side by
+ * side view of /api/compare. Everything here works on a loaded breed bundle
+ * and URLSearchParams and returns plain data.
+ */
+
+import { HttpError } from './http.js';
+import { list, rejectUnknown, enumFilter, parseRange, parseLimit } from './params.js';
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Same bounds as compare.html
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+const LIST_PARAMETERS = ['size', 'coat', 'origin', 'sort', 'limit', 'cursor', 'lang'];
+const SORT_FIELDS = ['name', 'origin', 'size', 'weight', 'lifespan'];
+
+function midpoint(range) {
+  return range ? (range.min + range.max) / 2 : null;
+}
+
+/**
+ * Work out the filter, sort and page a /api/breeds query asks for.
+ * @param {URLSearchParams} params
+ * @param {{ filters: { size: string[], coat: string[], traits: string[] } }} data breed bundle
+ * @throws {HttpError} 400 for unknown parameters and invalid values
+ */
+export function parseListQuery(params, data) {
+  const { filters } = data;
+  rejectUnknown(params, [...LIST_PARAMETERS, ...filters.traits]);
+
+  const origins = params.has('origin') ? new Set(list(params.get('origin')).map(origin => origin.toLowerCase())) : null;
+  const traits = filters.traits
+    .filter(trait => params.has(trait))
+    .map(trait => ({ trait, ...parseRange(trait, params.get(trait)) }));
+
+  const sort = params.get('sort') || 'name';
+  const field = sort.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field) && !filters.traits.includes(field)) {
+    throw new HttpError(400, `Invalid sort: ${sort} (expected ${[...SORT_FIELDS, ...filters.traits].join(', ')}, with - for descending)`);
+  }
+
+  return {
+    size: enumFilter(params, 'size', filters.size),
+    coat: enumFilter(params, 'coat', filters.coat),
+    origins,
+    traits,
+    sort,
+    limit: parseLimit(params, DEFAULT_LIMIT, MAX_LIMIT),
+    cursor: params.has('cursor') ? decodeCursor(params.get('cursor'), sort) : null
+  };
+}
+
+function sortValue(breed, field, data) {
+  switch (field) {
+    case 'name': return breed.name;
+    case 'origin': return breed.origin;
+    case 'size': return data.filters.size.indexOf(breed.size);
+    case 'weight': return midpoint(breed.weightKg);
+    case 'lifespan': return midpoint(breed.lifespan);
+    default: return breed.traits[field] ?? null;
+  }
+}
+
+// Orders [value, slug] keys; missing values go last in either direction
+function comparator(sort, locale) {
+  const descending = sort.startsWith('-');
+  return ([valueA, slugA], [valueB, slugB]) => {
+    if (valueA === null || valueB === null) {
+      if (valueA !== valueB) return valueA === null ? 1 : -1;
+    } else {
+      const order = typeof valueA === 'string' ? valueA.localeCompare(valueB, locale) : valueA - valueB;
+      if (order !== 0) return descending ? -order : order;
+    }
+    return slugA < slugB ? -1 : (slugA > slugB ? 1 : 0);
+  };
+}
+
+// Cursors are opaque to clients: the sort and the key of the last breed returned
+function encodeCursor(sort, key) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ sort, key }));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    decoded = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+  } catch (error) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.key) || decoded.key.length !== 2 || typeof decoded.key[1] !== 'string') {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  if (decoded.sort !== sort) {
+    throw new HttpError(400, `The cursor belongs to sort=${decoded.sort}, not sort=${sort}`);
+  }
+  return decoded.key;
+}
+
+function matches(breed, query) {
+  if (query.size && !query.size.has(breed.size)) return false;
+  if (query.coat && !query.coat.has(breed.coat.length)) return false;
+  if (query.origins && !query.origins.has(breed.origin.toLowerCase())) return false;
+  return query.traits.every(({ trait, min, max }) => breed.traits[trait] >= min && breed.traits[trait] <= max);
+}
+
+// What a breed looks like in lists: the full record minus the long text
+function summary(breed) {
+  const { description, health, alternateNames, ...rest } = breed;
+  return rest;
+}
+
+/**
+ * One page of breeds matching a query.
+ * @param {object} data breed bundle
+ * @param {ReturnType<typeof parseListQuery>} query
+ * @returns {{ breeds: object[], total: number, nextCursor: string|null }} total counts every match
+ */
+export function listBreeds(data, query) {
+  const field = query.sort.replace(/^-/, '');
+  const compare = comparator(query.sort, data.locale);
+  const keyed = data.breeds
+    .filter(breed => matches(breed, query))
+    .map(breed => ({ breed, key: [sortValue(breed, field, data), breed.slug] }))
+    .sort((a, b) => compare(a.key, b.key));
+
+  const start = query.cursor ? keyed.findIndex(({ key }) => compare(key, query.cursor) > 0) : 0;
+  const page = start === -1 ? [] : keyed.slice(start, start + query.limit);
+  const more = start !== -1 && start + query.limit < keyed.length;
+
+  return {
+    breeds: page.map(({ breed }) => summary(breed)),
+    total: keyed.length,
+    nextCursor: more ? encodeCursor(query.sort, page[page.length - 1].key) : null
+  };
+}
+
+/**
+ * One breed's full record.
+ * @throws {HttpError} 404 when there is no such breed
+ */
+export function getBreed(data, slug) {
+  const breed = data.breeds.find(candidate => candidate.slug === slug);
+  if (!breed) throw new HttpError(404, `No breed "${slug}"`);
+  return breed;
+}
+
+/**
+ * Breeds side by side: their attributes and, for each trait, every breed's
+ * score and how far apart the scores are.
+ * @param {object} data breed bundle
+ * @param {URLSearchParams} params breeds=a,b[,c,d]
+ * @throws {HttpError} 400 for too few or too many breeds, 404 for unknown ones
+ */
+export function compareBreeds(data, params) {
+  rejectUnknown(params, ['breeds', 'lang']);
+
+  const slugs = [...new Set(list(params.get('breeds') || ''))];
+  if (slugs.length < MIN_COMPARE || slugs.length > MAX_COMPARE) {
+    throw new HttpError(400, `Compare ${MIN_COMPARE}-${MAX_COMPARE} breeds, e.g. breeds=maine-coon,ragdoll`);
+  }
+
+  const unknown = slugs.filter(slug => !data.breeds.some(breed => breed.slug === slug));
+  if (unknown.length > 0) {
+    throw new HttpError(404, `No breed(s): ${unknown.join(', ')}`);
+  }
+
+  const breeds = slugs.map(slug => getBreed(data, slug));
+  return {
+    breeds: breeds.map(({ slug, name, url, origin, size, coat, weightKg, lifespan }) => ({
+      slug, name, url, origin, size, coat: coat.length, weightKg, lifespan
+    })),
+    traits: data.filters.traits.map(trait => {
+      const scores = breeds.map(breed => breed.traits[trait]);
+      return { trait, scores, spread: Math.max(...scores) - Math.min(...scores) };
+    })
+  };
+}
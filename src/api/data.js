@@ -0,0 +1,105 @@
+/**
+ * Catipedia API data
+ * Loads the breed bundle the build writes to data/breeds.json and the search
+ * index in search/ (both under <locale>/ for every other locale) through the
+ * Worker's static assets binding. Both are loaded once per Worker instance.
+ */
+
+import { HttpError } from './http.js';
+import { SearchIndex } from '../../js/lib/search.js';
+
+// The format of data/breeds.json and the search index version this Worker understands
+const DATA_FORMAT = 1;
+const SEARCH_INDEX_VERSION = 1;
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(?:-[A-Z]{2})?$/;
+
+const bundles = new Map();
+const searchIndexes = new Map();
+
+// Where a locale's files live: the default locale at the site root, every
+// other one under /<locale>/
+async function localeRoot(env, locale) {
+  if (locale === null) return '/';
+  if (!LOCALE_PATTERN.test(locale)) {
+    throw new HttpError(400, `Invalid lang: ${locale}`);
+  }
+
+  const defaults = await loadBreedData(env);
+  return defaults.locale === locale ? '/' : `/${locale}/`;
+}
+
+// Cached as a promise so concurrent requests share one load; a failure is
+// dropped so the next request tries again
+function cached(cache, key, load) {
+  if (!cache.has(key)) {
+    const loading = load();
+    cache.set(key, loading);
+    loading.catch(() => cache.delete(key));
+  }
+  return cache.get(key);
+}
+
+function fetchAsset(env, path) {
+  if (!env || !env.ASSETS) {
+    throw new Error('The ASSETS binding is not configured');
+  }
+  return env.ASSETS.fetch(new Request(`https://assets.local${path}`));
+}
+
+/**
+ * The breed bundle of a locale.
+ * @param {{ ASSETS: { fetch: Function } }} env
+ * @param {string|null} locale null for the default locale
+ * @returns {Promise<{ version: string, locale: string, filters: object, breeds: object[] }>}
+ * @throws {HttpError} 400 for a locale the site is not built in
+ */
+export async function loadBreedData(env, locale = null) {
+  const path = `${await localeRoot(env, locale)}data/breeds.json`;
+  return cached(bundles, path, () => fetchBundle(env, path, locale));
+}
+
+async function fetchBundle(env, path, locale) {
+  const response = await fetchAsset(env, path);
+  if (response.status === 404 && locale) {
+    throw new HttpError(400, `Unknown lang: ${locale}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Could not load ${path}: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data.format !== DATA_FORMAT) {
+    throw new Error(`${path} has format ${data.format}, expected ${DATA_FORMAT}`);
+  }
+  return data;
+}
+
+/**
+ * The search index of a locale: the same sharded index js/lib/search.js
+ * queries in the browser, with shards fetched as queries need them.
+ * @param {{ ASSETS: { fetch: Function } }} env
+ * @param {string|null} locale null for the default locale
+ * @returns {Promise<SearchIndex>} with its manifest and documents loaded
+ */
+export async function loadSearchIndex(env, locale = null) {
+  const baseUrl = `${await localeRoot(env, locale)}search/`;
+
+  return cached(searchIndexes, baseUrl, async () => {
+    const index = new SearchIndex({ baseUrl, fetch: url => fetchAsset(env, url) });
+    await index.ready();
+    if (index.manifest.version !== SEARCH_INDEX_VERSION) {
+      throw new Error(`${baseUrl}index.json has version ${index.manifest.version}, expected ${SEARCH_INDEX_VERSION}`);
+    }
+    return index;
+  });
+}
+
+/**
+ * Forget loaded bundles and search indexes, for tests that swap the data
+ * between requests.
+ */
+export function clearBreedData() {
+  bundles.clear();
+  searchIndexes.clear();
+}
@@ -0,0 +1,121 @@
+/**
+ * Catipedia API responses
+ * JSON responses with strong ETags, conditional GETs answered with 304,
+ * errors in one shape: { error: { status, message } }, and JSON request bodies.
+ */
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+
+// Request bodies are small lists of breeds; anything bigger is a mistake
+export const MAX_BODY_BYTES = 16 * 1024;
+
+// Data changes only with a deploy, so clients may reuse a response for a few
+// minutes and revalidate it cheaply with If-None-Match after that
+const CACHE_CONTROL = 'public, max-age=300';
+
+export class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+async function etagOf(body) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `"${hex.substring(0, 32)}"`;
+}
+
+// If-None-Match uses weak comparison: W/"x" matches "x"
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * JSON response for a GET or HEAD request, or 304 when the client's copy is current.
+ * @param {Request} request
+ * @param {*} data
+ * @param {{ status?: number, headers?: object }} [options]
+ * @returns {Promise<Response>}
+ */
+export async function json(request, data, { status = 200, headers = {} } = {}) {
+  const body = JSON.stringify(data);
+  const etag = await etagOf(body);
+  const common = {
+    ETag: etag,
+    'Cache-Control': CACHE_CONTROL,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag',
+    Vary: 'Accept-Encoding',
+    ...headers
+  };
+
+  if (status === 200 && matchesEtag(request.headers.get('If-None-Match'), etag)) {
+    return new Response(null, { status: 304, headers: common });
+  }
+
+  return new Response(request.method === 'HEAD' ? null : body, {
+    status,
+    headers: { 'Content-Type': JSON_TYPE, ...common }
+  });
+}
+
+/**
+ * Response without a body, such as 204 for a DELETE.
+ * @param {number} status
+ * @param {object} [headers]
+ * @returns {Response}
+ */
+export function empty(status, headers = {}) {
+  return new Response(null, {
+    status,
+    headers: { 'Cache-Control': 'no-store', 'Access-Control-Allow-Origin': '*', ...headers }
+  });
+}
+
+/**
+ * The JSON body of a request.
+ * @param {Request} request
+ * @returns {Promise<*>}
+ * @throws {HttpError} 415 for another content type, 413 for a body over
+ *   MAX_BODY_BYTES and 400 for invalid JSON
+ */
+export async function readJson(request) {
+  if (!/^application\/json\b/i.test(request.headers.get('Content-Type') || '')) {
+    throw new HttpError(415, 'Send a JSON body with Content-Type: application/json');
+  }
+
+  const body = await request.text();
+  if (new TextEncoder().encode(body).length > MAX_BODY_BYTES) {
+    throw new HttpError(413, `The body is larger than ${MAX_BODY_BYTES} bytes`);
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new HttpError(400, `The body is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Error response. Errors are not cached.
+ * @param {number} status
+ * @param {string} message
+ * @param {object} [headers]
+ * @returns {Response}
+ */
+export function error(status, message, headers = {}) {
+  return new Response(JSON.stringify({ error: { status, message } }), {
+    status,
+    headers: {
+      'Content-Type': JSON_TYPE,
+      'Cache-Control': 'no-store',
+      'Access-Control-Allow-Origin': '*',
+      ...headers
+    }
+  });
+}
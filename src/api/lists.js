@@ -0,0 +1,191 @@
+/**
+ * Catipedia saved lists
+ * Favorite breeds and named comparison lists, kept in the LISTS KV namespace
+ * (see wrangler.toml) so readers can open them on another device.
+ *
+ * Lists are anonymous. Creating a list without a token mints one, and that
+ * token, sent as Authorization: Bearer <token>, is all it takes to read and
+ * change the lists made with it; readers copy it to another device to see the
+ * same lists. Only a hash of the token is stored. Writes are last-writer-wins.
+ *
+ * KV layout: list:<token hash>:<list id> → { id, kind, name, breeds, created, updated }
+ */
+
+import { HttpError, json, empty, readJson } from './http.js';
+import { MIN_COMPARE, MAX_COMPARE } from './breeds.js';
+
+export const LIST_KINDS = ['favorites', 'compare'];
+export const MAX_LISTS = 50;
+export const MAX_FAVORITES = 100;
+export const MAX_NAME_LENGTH = 80;
+
+// 32 random bytes for tokens and 12 for list ids, base64url without padding
+const TOKEN_BYTES = 32;
+const ID_BYTES = 12;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const ID_PATTERN = /^[A-Za-z0-9_-]{16}$/;
+
+// Lists are private to their token: no shared caches, and responses differ by token
+const PRIVATE_HEADERS = { 'Cache-Control': 'private, no-store', Vary: 'Authorization' };
+
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function randomString(length) {
+  return base64url(crypto.getRandomValues(new Uint8Array(length)));
+}
+
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function store(env) {
+  if (!env || !env.LISTS) {
+    throw new HttpError(503, 'Saved lists are not available');
+  }
+  return env.LISTS;
+}
+
+// The token a request carries, or null when it carries none
+function bearerToken(request) {
+  const header = request.headers.get('Authorization');
+  if (!header) return null;
+
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match || !TOKEN_PATTERN.test(match[1])) {
+    throw new HttpError(401, 'Invalid token', { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+  }
+  return match[1];
+}
+
+function requireToken(request) {
+  const token = bearerToken(request);
+  if (!token) {
+    throw new HttpError(401, 'Send the token of your lists as Authorization: Bearer <token>', { 'WWW-Authenticate': 'Bearer' });
+  }
+  return token;
+}
+
+function listKey(owner, id) {
+  return `list:${owner}:${id}`;
+}
+
+// A list as clients send it: { kind, name, breeds }
+function parseList(body, data) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Send a list as { kind, name, breeds }');
+  }
+
+  const unknown = Object.keys(body).filter(key => !['kind', 'name', 'breeds'].includes(key));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown field(s): ${unknown.join(', ')} (expected kind, name, breeds)`);
+  }
+
+  const { kind, breeds } = body;
+  if (!LIST_KINDS.includes(kind)) {
+    throw new HttpError(400, `Invalid kind: ${kind} (expected ${LIST_KINDS.join(', ')})`);
+  }
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, `name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(breeds) || !breeds.every(slug => typeof slug === 'string')) {
+    throw new HttpError(400, 'breeds must be an array of breed slugs');
+  }
+  const slugs = [...new Set(breeds)];
+  const unknownBreeds = slugs.filter(slug => !data.breeds.some(breed => breed.slug === slug));
+  if (unknownBreeds.length > 0) {
+    throw new HttpError(400, `No breed(s): ${unknownBreeds.join(', ')}`);
+  }
+
+  const [min, max] = kind === 'compare' ? [MIN_COMPARE, MAX_COMPARE] : [0, MAX_FAVORITES];
+  if (slugs.length < min || slugs.length > max) {
+    throw new HttpError(400, `A ${kind} list holds ${min}-${max} breeds`);
+  }
+
+  return { kind, name, breeds: slugs };
+}
+
+async function findList(kv, owner, id) {
+  const list = ID_PATTERN.test(id) ? await kv.get(listKey(owner, id), 'json') : null;
+  if (!list) throw new HttpError(404, `No list "${id}"`);
+  return list;
+}
+
+/**
+ * GET /api/lists: every list of the request's token, most recently updated first.
+ */
+export async function getLists({ request, env }) {
+  const kv = store(env);
+  const owner = await hashToken(requireToken(request));
+  const { keys } = await kv.list({ prefix: listKey(owner, '') });
+  const lists = (await Promise.all(keys.map(({ name }) => kv.get(name, 'json')))).filter(Boolean);
+
+  lists.sort((a, b) => b.updated.localeCompare(a.updated) || a.id.localeCompare(b.id));
+  return json(request, { lists }, { headers: PRIVATE_HEADERS });
+}
+
+/**
+ * POST /api/lists: create a list. Without a token a new one is minted; the
+ * response carries the token either way.
+ * @throws {HttpError} 400 for an invalid list or too many lists
+ */
+export async function createList({ request, env, data }) {
+  const kv = store(env);
+  const token = bearerToken(request) || randomString(TOKEN_BYTES);
+  const owner = await hashToken(token);
+  const fields = parseList(await readJson(request), data);
+
+  const { keys } = await kv.list({ prefix: listKey(owner, ''), limit: MAX_LISTS });
+  if (keys.length >= MAX_LISTS) {
+    throw new HttpError(400, `A token holds at most ${MAX_LISTS} lists`);
+  }
+
+  const now = new Date().toISOString();
+  const list = { id: randomString(ID_BYTES), ...fields, created: now, updated: now };
+  await kv.put(listKey(owner, list.id), JSON.stringify(list));
+
+  return json(request, { token, list }, {
+    status: 201,
+    headers: { ...PRIVATE_HEADERS, Location: `/api/lists/${list.id}` }
+  });
+}
+
+/**
+ * GET /api/lists/:id
+ * @throws {HttpError} 404 for a list that does not exist or belongs to another token
+ */
+export async function getList({ request, env, match }) {
+  const kv = store(env);
+  const owner = await hashToken(requireToken(request));
+  return json(request, { list: await findList(kv, owner, match[1]) }, { headers: PRIVATE_HEADERS });
+}
+
+/**
+ * PUT /api/lists/:id: replace a list's kind, name and breeds.
+ */
+export async function updateList({ request, env, data, match }) {
+  const kv = store(env);
+  const owner = await hashToken(requireToken(request));
+  const existing = await findList(kv, owner, match[1]);
+  const fields = parseList(await readJson(request), data);
+
+  const list = { ...existing, ...fields, updated: new Date().toISOString() };
+  await kv.put(listKey(owner, list.id), JSON.stringify(list));
+  return json(request, { list }, { headers: PRIVATE_HEADERS });
+}
+
+/**
+ * DELETE /api/lists/:id
+ */
+export async function deleteList({ request, env, match }) {
+  const kv = store(env);
+  const owner = await hashToken(requireToken(request));
+  const list = await findList(kv, owner, match[1]);
+  await kv.delete(listKey(owner, list.id));
+  return empty(204);
+}
@@ -0,0 +1,55 @@
+/**
+ * Catipedia in-memory KV
+ * A stand-in for a Workers KV namespace, for running the Worker locally and
+ * in tests without one:
+ *
+ *   const env = { ASSETS, LISTS: new MemoryKV() };
+ *
+ * It covers the part of the KV API the Worker uses: get (as text or JSON),
+ * put of strings, delete and list by prefix. Unlike KV it is strongly
+ * consistent and keeps nothing once the process ends.
+ */
+
+const DEFAULT_LIST_LIMIT = 1000;
+
+export class MemoryKV {
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  async get(key, options = 'text') {
+    const type = typeof options === 'string' ? options : (options.type || 'text');
+    if (!this.entries.has(key)) return null;
+
+    const value = this.entries.get(key);
+    if (type === 'json') return JSON.parse(value);
+    if (type === 'text') return value;
+    throw new TypeError(`MemoryKV does not support type "${type}"`);
+  }
+
+  async put(key, value) {
+    if (typeof value !== 'string') {
+      throw new TypeError('MemoryKV only stores strings');
+    }
+    this.entries.set(key, value);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Keys in lexicographic order, like KV; the cursor is the last key returned
+  async list({ prefix = '', limit = DEFAULT_LIST_LIMIT, cursor = null } = {}) {
+    const names = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && (cursor === null || name > cursor))
+      .sort();
+    const page = names.slice(0, limit);
+    const complete = page.length === names.length;
+
+    return {
+      keys: page.map(name => ({ name })),
+      list_complete: complete,
+      ...(complete ? {} : { cursor: page[page.length - 1] })
+    };
+  }
+}
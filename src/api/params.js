@@ -0,0 +1,55 @@
+/**
+ * Catipedia API parameters
+ * Parsing and validation of query string values shared by the endpoints.
+ * Every helper throws an HttpError 400 that names the parameter at fault.
+ */
+
+import { HttpError } from './http.js';
+
+export const SCORE_MIN = 1;
+export const SCORE_MAX = 5;
+
+// Comma-separated values, blanks dropped
+export function list(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+export function rejectUnknown(params, allowed) {
+  const unknown = [...new Set(params.keys())].filter(name => !allowed.includes(name));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown parameter(s): ${unknown.join(', ')} (expected ${allowed.join(', ')})`);
+  }
+}
+
+export function enumFilter(params, name, allowed) {
+  if (!params.has(name)) return null;
+  const values = list(params.get(name));
+  const invalid = values.filter(value => !allowed.includes(value));
+  if (values.length === 0 || invalid.length > 0) {
+    throw new HttpError(400, `Invalid ${name}: ${invalid.join(', ') || '(empty)'} (expected ${allowed.join(', ')})`);
+  }
+  return new Set(values);
+}
+
+// "3-5", "3-" (at least), "-2" (at most) or "4" (exactly)
+export function parseRange(name, value) {
+  const match = /^\s*(\d+)?\s*(-)?\s*(\d+)?\s*$/.exec(value);
+  if (!match || (match[1] === undefined && match[3] === undefined) || (!match[2] && match[3] !== undefined)) {
+    throw new HttpError(400, `Invalid ${name}: "${value}" (expected a score or a range such as 3-5, 3- or -2)`);
+  }
+
+  const min = match[1] !== undefined ? Number(match[1]) : SCORE_MIN;
+  const max = match[3] !== undefined ? Number(match[3]) : (match[2] ? SCORE_MAX : min);
+  if (min < SCORE_MIN || max > SCORE_MAX || min > max) {
+    throw new HttpError(400, `Invalid ${name}: "${value}" (scores run from ${SCORE_MIN} to ${SCORE_MAX})`);
+  }
+  return { min, max };
+}
+
+export function parseLimit(params, fallback, max) {
+  const limit = params.has('limit') ? Number(params.get('limit')) : fallback;
+  if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+    throw new HttpError(400, `Invalid limit: ${params.get('limit')} (expected 1-${max})`);
+  }
+  return limit;
+}
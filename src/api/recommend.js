@@ -0,0 +1,44 @@
+/**
+ * Catipedia recommendations
+ * /api/recommend: breeds ranked against questionnaire answers given as query
+ * parameters, scored by the same engine as the form on index.html
+ * (js/lib/recommend.js).
+ */
+
+import { QUESTIONS, checkAnswers, recommendBreeds } from '../../js/lib/recommend.js';
+import { HttpError } from './http.js';
+import { rejectUnknown, parseLimit } from './params.js';
+
+export const DEFAULT_LIMIT = 5;
+export const MAX_LIMIT = 20;
+
+const QUESTION_IDS = QUESTIONS.map(question => question.id);
+
+function breedLink({ slug, name, url }) {
+  return { slug, name, url };
+}
+
+/**
+ * Recommend breeds for the answers in a query such as
+ * home=apartment&allergies=mild&grooming=minimal.
+ * @param {object} data breed bundle
+ * @param {URLSearchParams} params
+ * @returns {{ answers: object, picks: object[], total: number, excluded: object[] }}
+ *   picks best first with their match (0-100) and the reasons and concerns behind it
+ * @throws {HttpError} 400 for unknown parameters, invalid answers and no answers
+ */
+export function recommend(data, params) {
+  rejectUnknown(params, [...QUESTION_IDS, 'limit', 'lang']);
+
+  const answers = Object.fromEntries(QUESTION_IDS.filter(id => params.has(id)).map(id => [id, params.get(id)]));
+  const problems = checkAnswers(answers);
+  if (problems.length > 0) throw new HttpError(400, problems.join('; '));
+
+  const { picks, excluded } = recommendBreeds(data.breeds, answers);
+  return {
+    answers,
+    picks: picks.slice(0, parseLimit(params, DEFAULT_LIMIT, MAX_LIMIT)).map(({ breed, ...pick }) => ({ ...breedLink(breed), ...pick })),
+    total: picks.length,
+    excluded: excluded.map(({ breed, reasons }) => ({ ...breedLink(breed), reasons }))
+  };
+}
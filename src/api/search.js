@@ -0,0 +1,250 @@
+/**
+ * Catipedia search
+ * Ranked breed and article hits for /api/search, with facet counts over the
+ * matching breeds. Terms match the way they do in the browser (exactly, as a
+ * prefix or within a few typos, see js/lib/search.js) against the same index;
+ * on top of that a query may use synonyms and words that stand for a breed
+ * property, such as "hypoallergenic".
+ */
+
+import { tokenize, editDistance, allowedTypos, highlight, snippet } from '../../js/lib/search.js';
+import { HttpError } from './http.js';
+import { list, rejectUnknown, enumFilter, parseRange, parseLimit, SCORE_MIN, SCORE_MAX } from './params.js';
+
+export const DEFAULT_LIMIT = 10;
+export const MAX_LIMIT = 50;
+export const MAX_QUERY_LENGTH = 200;
+
+const SEARCH_PARAMETERS = ['q', 'type', 'size', 'coat', 'energy', 'origin', 'limit', 'lang'];
+const TYPES = ['breed', 'article'];
+
+// Phrases that mean the same thing: a query with one of them also finds pages
+// that only use another
+const SYNONYMS = [
+  ['persian', 'iranian cat']
+];
+
+// Phrases that stand for a breed property rather than for words on a page.
+// Breeds with the property match as strongly as a hit on their name, and pages
+// that use the phrase itself still match as usual.
+const CONCEPTS = [
+  { phrase: 'hypoallergenic', matches: breed => breed.traits.allergens <= 2 },
+  { phrase: 'low allergen', matches: breed => breed.traits.allergens <= 2 }
+];
+
+// Breed attributes counted in facets, and what a breed's value is
+const FACETS = {
+  size: breed => breed.size,
+  coat: breed => breed.coat.length,
+  energy: breed => breed.traits.energy,
+  origin: breed => breed.origin
+};
+
+/**
+ * Work out what a /api/search query asks for.
+ * @param {URLSearchParams} params
+ * @param {{ filters: { size: string[], coat: string[] } }} data breed bundle
+ * @throws {HttpError} 400 for a missing or overlong q, unknown parameters and invalid values
+ */
+export function parseSearchQuery(params, data) {
+  rejectUnknown(params, SEARCH_PARAMETERS);
+
+  const q = (params.get('q') || '').trim();
+  if (!q) throw new HttpError(400, 'Missing q, e.g. q=fluffy');
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new HttpError(400, `q is too long (at most ${MAX_QUERY_LENGTH} characters)`);
+  }
+
+  const size = enumFilter(params, 'size', data.filters.size);
+  const coat = enumFilter(params, 'coat', data.filters.coat);
+  const energy = params.has('energy') ? parseRange('energy', params.get('energy')) : null;
+  const origins = params.has('origin') ? new Set(list(params.get('origin')).map(origin => origin.toLowerCase())) : null;
+
+  // Only the filters that were given, so facets can leave out their own
+  const filters = {};
+  if (size) filters.size = breed => size.has(breed.size);
+  if (coat) filters.coat = breed => coat.has(breed.coat.length);
+  if (energy) filters.energy = breed => breed.traits.energy >= energy.min && breed.traits.energy <= energy.max;
+  if (origins) filters.origin = breed => origins.has(breed.origin.toLowerCase());
+
+  return {
+    q,
+    types: enumFilter(params, 'type', TYPES) || new Set(TYPES),
+    filters,
+    limit: parseLimit(params, DEFAULT_LIMIT, MAX_LIMIT)
+  };
+}
+
+function matchesPhrase(terms, start, phraseTerms) {
+  return phraseTerms.every((phraseTerm, offset) => {
+    const term = terms[start + offset];
+    if (term === undefined) return false;
+    const typos = allowedTypos(phraseTerm);
+    return term === phraseTerm || (typos > 0 && editDistance(term, phraseTerm, typos) <= typos);
+  });
+}
+
+// Split a query into clauses: single terms, synonym groups and concepts,
+// preferring the longest phrase at each position
+function parseClauses(query) {
+  const terms = tokenize(query);
+  const phrases = [
+    ...SYNONYMS.flatMap(group => group.map(phrase => ({ kind: 'synonym', phrase, alternatives: group }))),
+    ...CONCEPTS.map(concept => ({ kind: 'concept', phrase: concept.phrase, concept }))
+  ]
+    .map(entry => ({ ...entry, terms: tokenize(entry.phrase) }))
+    .sort((a, b) => b.terms.length - a.terms.length);
+
+  const clauses = [];
+  for (let position = 0; position < terms.length;) {
+    const phrase = phrases.find(candidate => matchesPhrase(terms, position, candidate.terms));
+    if (phrase) {
+      clauses.push(phrase);
+      position += phrase.terms.length;
+    } else {
+      clauses.push({ kind: 'term', term: terms[position], isLast: position === terms.length - 1 });
+      position++;
+    }
+  }
+  return clauses;
+}
+
+// Every clause that matches anything has to match; scores add up. Clauses that
+// match nothing (stop words, for one) are ignored, as in the browser.
+function intersect(clauseScores) {
+  let scores = null;
+  for (const termScores of clauseScores) {
+    if (!termScores) continue;
+    if (scores === null) {
+      scores = termScores;
+      continue;
+    }
+    const combined = new Map();
+    for (const [docId, score] of scores) {
+      if (termScores.has(docId)) combined.set(docId, score + termScores.get(docId));
+    }
+    scores = combined;
+  }
+  return scores;
+}
+
+// Either set of matches will do; a document keeps its better score
+function union(clauseScores) {
+  let scores = null;
+  for (const termScores of clauseScores) {
+    if (!termScores) continue;
+    scores = scores || new Map();
+    for (const [docId, score] of termScores) {
+      scores.set(docId, Math.max(scores.get(docId) || 0, score));
+    }
+  }
+  return scores;
+}
+
+/**
+ * Search breeds and articles.
+ * @param {object} data breed bundle
+ * @param {import('../../js/lib/search.js').SearchIndex} index the locale's search index, ready
+ * @param {ReturnType<typeof parseSearchQuery>} query
+ * @returns {Promise<{ query: string, total: number, results: object[], facets: object }>}
+ *   results are ranked best first; facets count the breeds that match the query
+ *   and every filter but the facet's own, so a client can offer the other values
+ */
+export async function searchSite(data, index, query) {
+  const breedsByUrl = new Map(data.breeds.map(breed => [breed.url, breed]));
+  const matchedTerms = new Set();
+
+  const termScores = async (term, isLast) => {
+    const matches = await index.matchTerm(term, isLast);
+    if (matches.length === 0) return null;
+
+    const scores = new Map();
+    for (const match of matches) {
+      matchedTerms.add(match.term);
+      for (let i = 0; i < match.postings.length; i += 2) {
+        const docId = match.postings[i];
+        scores.set(docId, Math.max(scores.get(docId) || 0, match.postings[i + 1] * match.weight));
+      }
+    }
+    return scores;
+  };
+
+  const phraseScores = async phrase => intersect(await Promise.all(tokenize(phrase).map(term => termScores(term, false))));
+
+  const conceptScores = concept => {
+    const scores = new Map();
+    index.docs.forEach(([, url, type], docId) => {
+      const breed = type === 'breed' && breedsByUrl.get(url);
+      if (breed && concept.matches(breed)) scores.set(docId, index.manifest.fields.name);
+    });
+    return scores;
+  };
+
+  const clauseScores = await Promise.all(parseClauses(query.q).map(async clause => {
+    switch (clause.kind) {
+      case 'synonym': return union(await Promise.all(clause.alternatives.map(phraseScores)));
+      case 'concept': return union([await phraseScores(clause.phrase), conceptScores(clause.concept)]);
+      default: return termScores(clause.term, clause.isLast);
+    }
+  }));
+
+  const hits = [...(intersect(clauseScores) || new Map())].map(([docId, score]) => {
+    const [title, url, type, text] = index.docs[docId];
+    return { title, url, type, text, score, breed: type === 'breed' ? breedsByUrl.get(url) || null : null };
+  });
+
+  const filterNames = Object.keys(query.filters);
+  const passes = (breed, except) => filterNames.every(name => name === except || query.filters[name](breed));
+  const breedHits = hits.filter(hit => hit.breed).map(hit => hit.breed);
+
+  // Articles have none of the facet attributes, so any facet filter leaves them out
+  const results = hits
+    .filter(hit => query.types.has(hit.type))
+    .filter(hit => (hit.breed ? passes(hit.breed) : filterNames.length === 0))
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title, data.locale));
+
+  const terms = [...matchedTerms];
+  return {
+    query: query.q,
+    total: results.length,
+    results: results.slice(0, query.limit).map(hit => ({
+      type: hit.type,
+      slug: /([^/]+)\/$/.exec(hit.url)[1],
+      title: hit.title,
+      url: hit.url,
+      score: Math.round(hit.score * 100) / 100,
+      titleHtml: highlight(hit.title, terms),
+      snippetHtml: highlight(snippet(hit.text, terms), terms),
+      ...(hit.breed && { breed: facetValues(hit.breed) })
+    })),
+    facets: Object.fromEntries(Object.keys(FACETS).map(name => [
+      name,
+      countFacet(name, breedHits.filter(breed => passes(breed, name)), data)
+    ]))
+  };
+}
+
+function facetValues(breed) {
+  return Object.fromEntries(Object.entries(FACETS).map(([name, value]) => [name, value(breed)]));
+}
+
+// [{ value, count }] in the facet's natural order; every size, coat length and
+// energy score is listed, origins only when some breed has them
+function countFacet(name, breeds, data) {
+  const counts = new Map();
+  for (const breed of breeds) {
+    const value = FACETS[name](breed);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  const values = {
+    size: data.filters.size,
+    coat: data.filters.coat,
+    energy: Array.from({ length: SCORE_MAX - SCORE_MIN + 1 }, (_, offset) => SCORE_MIN + offset)
+  }[name];
+
+  if (values) return values.map(value => ({ value, count: counts.get(value) || 0 }));
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, data.locale));
+}
@@ -1,46 +1,159 @@
-<!doctype html>
-<html>
-<head>
-    <title>Example Domain</title>
-
-    <meta charset="utf-8" />
-    <meta http-equiv="Content-type" content="text/html; charset=utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <style type="text/css">
-    body {
-        background-color: #f0f0f2;
-        margin: 0;
-        padding: 0;
-        font-family: -apple-system, system-ui, BlinkMacSystemFont, "Segoe UI", "Open Sans", "Helvetica Neue", Helvetica, Arial, sans-serif;
-        
+/**
+ * Catipedia Worker
+ * Serves the JSON API under /api/ and hands every other request to the static
+ * site in dist/ (the ASSETS binding in wrangler.toml).
+ *
+ *   GET /api/breeds               filter: size, coat, origin (comma-separated),
+ *                                 <trait>=3-5 score ranges; sort=name|-weight|energy…;
+ *                                 limit and cursor for paging
+ *   GET /api/breeds/:slug         one breed's full record
+ *   GET /api/compare?breeds=a,b   two to four breeds side by side
+ *   GET /api/search?q=fluffy      ranked breed and article hits, typo-tolerant, with
+ *                                 facet counts; filter: type, size, coat, origin, energy
+ *   GET /api/recommend?home=…     breeds ranked for questionnaire answers (home, allergies,
+ *                                 kids, pets, time, grooming), with the reasons behind each
+ *
+ * Saved lists (favorites and comparisons) live in the LISTS KV namespace and
+ * belong to a token, sent as Authorization: Bearer <token>:
+ *
+ *   GET    /api/lists             every list of the token
+ *   POST   /api/lists             create a list { kind, name, breeds }; mints a token if none is sent
+ *   GET    /api/lists/:id         one list
+ *   PUT    /api/lists/:id         replace a list
+ *   DELETE /api/lists/:id         delete a list
+ *
+ * Every endpoint takes lang=<locale> for a translated site. Responses carry an
+ * ETag and answer If-None-Match with 304; saved lists are never cached.
+ *
+ * The fetch handler is exported for local testing with plain Request objects:
+ *
+ *   import { fetch } from './src/index.js';
+ *   const response = await fetch(new Request('http://localhost/api/breeds?size=large'), env);
+ *
+ * where env.ASSETS.fetch(request) returns files from a built dist/ and
+ * env.LISTS can be a MemoryKV from src/api/memory-kv.js.
+ */
+
+import { HttpError, json, error } from './api/http.js';
+import { loadBreedData, loadSearchIndex } from './api/data.js';
+import { parseListQuery, listBreeds, getBreed, compareBreeds } from './api/breeds.js';
+import { parseSearchQuery, searchSite } from './api/search.js';
+import { recommend } from './api/recommend.js';
+import { getLists, createList, getList, updateList, deleteList } from './api/lists.js';
+
+const CORS_METHODS = 'GET, HEAD, POST, PUT, DELETE, OPTIONS';
+
+// Routes by path, with a handler per method (GET also answers HEAD). Handlers
+// resolve to the data to send as JSON, or to a Response of their own.
+const ROUTES = [
+  {
+    pattern: /^\/api\/breeds\/?$/,
+    async GET({ url, data }) {
+      const page = listBreeds(data, parseListQuery(url.searchParams, data));
+      let next = null;
+      if (page.nextCursor) {
+        const nextUrl = new URL(url);
+        nextUrl.searchParams.set('cursor', page.nextCursor);
+        next = `${nextUrl.pathname}${nextUrl.search}`;
+      }
+      return { ...page, next };
+    }
+  },
+  {
+    pattern: /^\/api\/breeds\/([a-z0-9-]+)\/?$/,
+    async GET({ url, data, match }) {
+      const unknown = [...url.searchParams.keys()].filter(name => name !== 'lang');
+      if (unknown.length > 0) throw new HttpError(400, `Unknown parameter(s): ${unknown.join(', ')} (expected lang)`);
+      return { breed: getBreed(data, match[1]) };
     }
-    div {
-        width: 600px;
-        margin: 5em auto;
-        padding: 2em;
-        background-color: #fdfdff;
-        border-radius: 0.5em;
-        box-shadow: 2px 3px 7px 2px rgba(0,0,0,0.02);
+  },
+  {
+    pattern: /^\/api\/compare\/?$/,
+    async GET({ url, data }) {
+      return compareBreeds(data, url.searchParams);
     }
-    a:link, a:visited {
-        color: #38488f;
-        text-decoration: none;
+  },
+  {
+    pattern: /^\/api\/search\/?$/,
+    async GET({ env, url, data }) {
+      const query = parseSearchQuery(url.searchParams, data);
+      return searchSite(data, await loadSearchIndex(env, url.searchParams.get('lang')), query);
     }
-    @media (max-width: 700px) {
-        div {
-            margin: 0 auto;
-            width: auto;
-        }
+  },
+  {
+    pattern: /^\/api\/recommend\/?$/,
+    async GET({ url, data }) {
+      return recommend(data, url.searchParams);
     }
-    </style>    
-</head>
-
-<body>
-<div>
-    <h1>Example Domain</h1>
-    <p>This domain is for use in illustrative examples in documents. You may use this
-    domain in literature without prior coordination or asking for permission.</p>
-    <p><a href="https://www.iana.org/domains/example">More information...</a></p>
-</div>
-</body>
-</html>
+  },
+  {
+    pattern: /^\/api\/lists\/?$/,
+    GET: getLists,
+    POST: createList
+  },
+  {
+    pattern: /^\/api\/lists\/([A-Za-z0-9_-]+)\/?$/,
+    GET: getList,
+    PUT: updateList,
+    DELETE: deleteList
+  }
+];
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+
+function allowedMethods(route) {
+  const methods = METHODS.filter(method => route[method]);
+  return [...methods, ...(route.GET ? ['HEAD'] : []), 'OPTIONS'].join(', ');
+}
+
+/**
+ * Handle a request.
+ * @param {Request} request
+ * @param {{ ASSETS: { fetch: Function }, LISTS?: object }} env
+ * @returns {Promise<Response>}
+ */
+export async function fetch(request, env) {
+  const url = new URL(request.url);
+
+  if (!url.pathname.startsWith('/api/')) {
+    return env && env.ASSETS ? env.ASSETS.fetch(request) : error(404, 'Not found');
+  }
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': CORS_METHODS,
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-None-Match',
+        'Access-Control-Max-Age': '86400'
+      }
+    });
+  }
+
+  try {
+    for (const route of ROUTES) {
+      const match = route.pattern.exec(url.pathname);
+      if (!match) continue;
+
+      const method = request.method === 'HEAD' ? 'GET' : request.method;
+      const handler = METHODS.includes(method) ? route[method] : null;
+      if (!handler) {
+        return error(405, `Method ${request.method} not allowed`, { Allow: allowedMethods(route) });
+      }
+
+      const data = await loadBreedData(env, url.searchParams.get('lang'));
+      const result = await handler({ request, env, url, data, match });
+      return result instanceof Response ? result : await json(request, result);
+    }
+    return error(404, `No API endpoint at ${url.pathname}`);
+  } catch (caught) {
+    if (caught instanceof HttpError) {
+      return error(caught.status, caught.message, caught.headers);
+    }
+    console.error(caught);
+    return error(500, 'Internal error');
+  }
+}
+
+export default { fetch };
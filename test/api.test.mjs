@@ -0,0 +1,237 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clearBreedData } from '../src/api/data.js';
+import { TRAITS, testEnv, call } from './helpers.mjs';
+
+const slugs = body => body.breeds.map(breed => breed.slug);
+
+describe('GET /api/breeds', () => {
+  let env;
+
+  beforeEach(() => {
+    clearBreedData();
+    env = testEnv();
+  });
+
+  it('lists every breed by name', async () => {
+    const { response, body } = await call(env, '/api/breeds');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^application\/json/);
+    assert.deepEqual(slugs(body), ['maine-coon', 'persian', 'siamese', 'sphynx']);
+    assert.equal(body.total, 4);
+    assert.equal(body.next, null);
+    assert.equal(body.breeds[0].description, undefined, 'lists leave out the long text');
+  });
+
+  it('filters by size, coat and origin', async () => {
+    assert.deepEqual(slugs((await call(env, '/api/breeds?size=large')).body), ['maine-coon']);
+    assert.deepEqual(slugs((await call(env, '/api/breeds?coat=long,hairless')).body), ['maine-coon', 'persian', 'sphynx']);
+    assert.deepEqual(slugs((await call(env, '/api/breeds?origin=thailand,Canada')).body), ['siamese', 'sphynx']);
+    assert.deepEqual(slugs((await call(env, '/api/breeds?size=medium&coat=long')).body), ['persian']);
+  });
+
+  it('filters by trait scores and ranges', async () => {
+    assert.deepEqual(slugs((await call(env, '/api/breeds?energy=4-')).body), ['siamese', 'sphynx']);
+    assert.deepEqual(slugs((await call(env, '/api/breeds?grooming=-2')).body), ['siamese', 'sphynx']);
+    assert.deepEqual(slugs((await call(env, '/api/breeds?energy=3')).body), ['maine-coon']);
+    assert.deepEqual(slugs((await call(env, '/api/breeds?energy=2-4&grooming=2-3')).body), ['maine-coon', 'sphynx']);
+  });
+
+  it('sorts by a field or trait, descending with -', async () => {
+    assert.deepEqual(slugs((await call(env, '/api/breeds?sort=-energy')).body), ['siamese', 'sphynx', 'maine-coon', 'persian']);
+    assert.deepEqual(slugs((await call(env, '/api/breeds?sort=lifespan')).body), ['sphynx', 'maine-coon', 'persian', 'siamese']);
+  });
+
+  it('pages with limit and the next cursor', async () => {
+    const first = await call(env, '/api/breeds?limit=3');
+    assert.deepEqual(slugs(first.body), ['maine-coon', 'persian', 'siamese']);
+    assert.equal(first.body.total, 4);
+    assert.match(first.body.next, /^\/api\/breeds\?limit=3&cursor=/);
+
+    const second = await call(env, first.body.next);
+    assert.deepEqual(slugs(second.body), ['sphynx']);
+    assert.equal(second.body.next, null);
+  });
+
+  it('rejects a cursor from another sort', async () => {
+    const { body } = await call(env, '/api/breeds?limit=1');
+    const cursor = new URL(body.next, 'http://localhost').searchParams.get('cursor');
+    const { response } = await call(env, `/api/breeds?limit=1&sort=-name&cursor=${cursor}`);
+    assert.equal(response.status, 400);
+  });
+
+  for (const query of ['size=huge', 'coat=', 'energy=0-3', 'energy=5-3', 'sort=colour', 'limit=0', 'limit=101', 'cursor=nonsense', 'colour=black']) {
+    it(`answers ${query} with 400`, async () => {
+      const { response, body } = await call(env, `/api/breeds?${query}`);
+      assert.equal(response.status, 400);
+      assert.equal(body.error.status, 400);
+      assert.equal(typeof body.error.message, 'string');
+    });
+  }
+
+  it('names the unknown parameters and the expected ones', async () => {
+    const { body } = await call(env, '/api/breeds?colour=black');
+    assert.match(body.error.message, /Unknown parameter\(s\): colour/);
+    for (const trait of TRAITS) assert.match(body.error.message, new RegExp(trait));
+  });
+});
+
+describe('GET /api/breeds/:slug', () => {
+  let env;
+
+  beforeEach(() => {
+    clearBreedData();
+    env = testEnv();
+  });
+
+  it('returns the full record', async () => {
+    const { response, body } = await call(env, '/api/breeds/persian');
+    assert.equal(response.status, 200);
+    assert.equal(body.breed.name, 'Persian');
+    assert.equal(body.breed.description, 'Persian description');
+  });
+
+  it('answers an unknown breed with 404', async () => {
+    const { response, body } = await call(env, '/api/breeds/dragon');
+    assert.equal(response.status, 404);
+    assert.deepEqual(body, { error: { status: 404, message: 'No breed "dragon"' } });
+  });
+
+  it('answers parameters other than lang with 400', async () => {
+    const { response } = await call(env, '/api/breeds/persian?size=large');
+    assert.equal(response.status, 400);
+  });
+});
+
+describe('GET /api/compare', () => {
+  let env;
+
+  beforeEach(() => {
+    clearBreedData();
+    env = testEnv();
+  });
+
+  it('puts breeds side by side with the spread of each trait', async () => {
+    const { response, body } = await call(env, '/api/compare?breeds=persian,siamese');
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.breeds.map(breed => [breed.slug, breed.coat]), [['persian', 'long'], ['siamese', 'short']]);
+    assert.deepEqual(body.traits, [
+      { trait: 'energy', scores: [1, 5], spread: 4 },
+      { trait: 'grooming', scores: [5, 1], spread: 4 }
+    ]);
+  });
+
+  // Too few (duplicates count once) and too many breeds
+  for (const breeds of ['', 'persian', 'persian,persian', 'maine-coon,persian,siamese,sphynx,dragon']) {
+    it(`answers breeds=${breeds} with 400`, async () => {
+      const { response } = await call(env, `/api/compare?breeds=${breeds}`);
+      assert.equal(response.status, 400);
+    });
+  }
+
+  it('answers unknown breeds with 404', async () => {
+    const { response, body } = await call(env, '/api/compare?breeds=persian,dragon');
+    assert.equal(response.status, 404);
+    assert.match(body.error.message, /dragon/);
+  });
+
+  it('answers unknown parameters with 400', async () => {
+    const { response } = await call(env, '/api/compare?breeds=persian,siamese&sort=name');
+    assert.equal(response.status, 400);
+  });
+});
+
+describe('lang', () => {
+  let env;
+
+  beforeEach(() => {
+    clearBreedData();
+    env = testEnv();
+  });
+
+  it('serves the German bundle for lang=de', async () => {
+    const { response, body } = await call(env, '/api/breeds/sphynx?lang=de');
+    assert.equal(response.status, 200);
+    assert.equal(body.breed.origin, 'Kanada');
+    assert.equal(body.breed.url, '/de/breeds/sphynx/');
+  });
+
+  it('filters on the translated values for lang=de', async () => {
+    const { body } = await call(env, '/api/breeds?origin=kanada&lang=de');
+    assert.deepEqual(slugs(body), ['sphynx']);
+  });
+
+  it('serves the root bundle for the default locale', async () => {
+    const { body } = await call(env, '/api/breeds/sphynx?lang=en');
+    assert.equal(body.breed.origin, 'Canada');
+  });
+
+  it('answers a locale the site is not built in with 400', async () => {
+    const { response, body } = await call(env, '/api/breeds?lang=fr');
+    assert.equal(response.status, 400);
+    assert.equal(body.error.message, 'Unknown lang: fr');
+  });
+
+  it('answers a malformed lang with 400', async () => {
+    const { response, body } = await call(env, '/api/breeds?lang=../data');
+    assert.equal(response.status, 400);
+    assert.match(body.error.message, /^Invalid lang/);
+  });
+});
+
+describe('responses', () => {
+  let env;
+
+  beforeEach(() => {
+    clearBreedData();
+    env = testEnv();
+  });
+
+  it('answers If-None-Match with the current ETag with 304', async () => {
+    const first = await call(env, '/api/breeds?size=medium');
+    const etag = first.response.headers.get('ETag');
+    assert.match(etag, /^"[0-9a-f]{32}"$/);
+
+    const again = await call(env, '/api/breeds?size=medium', { headers: { 'If-None-Match': etag } });
+    assert.equal(again.response.status, 304);
+    assert.equal(again.body, null);
+    assert.equal(again.response.headers.get('ETag'), etag);
+
+    const weak = await call(env, '/api/breeds?size=medium', { headers: { 'If-None-Match': `"other", W/${etag}` } });
+    assert.equal(weak.response.status, 304);
+  });
+
+  it('sends the body again once the ETag changes', async () => {
+    const { response, body } = await call(env, '/api/breeds?size=medium', { headers: { 'If-None-Match': '"stale"' } });
+    assert.equal(response.status, 200);
+    assert.equal(body.total, 3);
+  });
+
+  it('gives each response its own ETag', async () => {
+    const medium = await call(env, '/api/breeds?size=medium');
+    const large = await call(env, '/api/breeds?size=large');
+    assert.notEqual(medium.response.headers.get('ETag'), large.response.headers.get('ETag'));
+  });
+
+  it('answers HEAD with headers only', async () => {
+    const { response, body } = await call(env, '/api/breeds', { method: 'HEAD' });
+    assert.equal(response.status, 200);
+    assert.equal(body, null);
+    assert.ok(response.headers.get('ETag'));
+  });
+
+  it('answers unknown endpoints with 404 and other methods with 405', async () => {
+    assert.equal((await call(env, '/api/cats')).response.status, 404);
+
+    const { response } = await call(env, '/api/breeds', { method: 'DELETE' });
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('Allow'), 'GET, HEAD, OPTIONS');
+  });
+
+  it('hands requests outside /api/ to the static assets', async () => {
+    const { response, body } = await call(env, '/data/breeds.json');
+    assert.equal(response.status, 200);
+    assert.equal(body.locale, 'en');
+  });
+});
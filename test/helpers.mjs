@@ -0,0 +1,101 @@
+/**
+ * Catipedia API test helpers
+ * A small breed bundle in English and German, served through a stand-in for
+ * the Worker's ASSETS binding, so the tests run against the exported fetch
+ * handler without a build. Run the tests with:
+ *
+ *   node --test test/*.test.mjs
+ */
+
+import { fetch } from '../src/index.js';
+import { MemoryKV } from '../src/api/memory-kv.js';
+
+export const TRAITS = ['energy', 'grooming'];
+
+function breed(locale, { slug, name, origin, size, coat, energy, grooming, weightKg, lifespan }) {
+  const prefix = locale === 'en' ? '/' : `/${locale}/`;
+  return {
+    slug,
+    name,
+    alternateNames: [],
+    url: `${prefix}breeds/${slug}/`,
+    origin,
+    size,
+    weightKg,
+    lifespan,
+    coat: { length: coat, texture: '', colors: [] },
+    traits: { energy, grooming },
+    health: [],
+    images: [],
+    summary: `${name} summary`,
+    description: `${name} description`,
+    updated: '2025-09-01'
+  };
+}
+
+const BREEDS = [
+  { slug: 'maine-coon', name: 'Maine Coon', origin: ['United States', 'Vereinigte Staaten'], size: 'large', coat: 'long', energy: 3, grooming: 3, weightKg: { min: 5.5, max: 8.5 }, lifespan: { min: 12, max: 15 } },
+  { slug: 'persian', name: 'Persian', origin: ['Iran', 'Iran'], size: 'medium', coat: 'long', energy: 1, grooming: 5, weightKg: { min: 3, max: 5.5 }, lifespan: { min: 12, max: 17 } },
+  { slug: 'siamese', name: 'Siamese', origin: ['Thailand', 'Thailand'], size: 'medium', coat: 'short', energy: 5, grooming: 1, weightKg: { min: 2.5, max: 5.5 }, lifespan: { min: 15, max: 20 } },
+  { slug: 'sphynx', name: 'Sphynx', origin: ['Canada', 'Kanada'], size: 'medium', coat: 'hairless', energy: 4, grooming: 2, weightKg: { min: 3, max: 5 }, lifespan: { min: 9, max: 15 } }
+];
+
+// data/breeds.json as the build writes it for a locale
+export function breedBundle(locale) {
+  return {
+    format: 1,
+    version: 'test',
+    locale,
+    filters: {
+      size: ['small', 'medium', 'large'],
+      coat: ['hairless', 'short', 'medium', 'long'],
+      traits: TRAITS
+    },
+    breeds: BREEDS.map(({ origin, ...fields }) => breed(locale, { ...fields, origin: origin[locale === 'en' ? 0 : 1] }))
+  };
+}
+
+// The ASSETS binding: serves files by path, 404 for everything else
+export function stubAssets(files) {
+  return {
+    async fetch(request) {
+      const { pathname } = new URL(request.url);
+      if (!(pathname in files)) return new Response('Not found', { status: 404 });
+      return new Response(JSON.stringify(files[pathname]), { headers: { 'Content-Type': 'application/json' } });
+    }
+  };
+}
+
+/**
+ * An env with English at the site root and German under /de/.
+ * @param {{ lists?: boolean }} [options] lists: false leaves out the LISTS namespace
+ */
+export function testEnv({ lists = true } = {}) {
+  const env = {
+    ASSETS: stubAssets({
+      '/data/breeds.json': breedBundle('en'),
+      '/de/data/breeds.json': breedBundle('de')
+    })
+  };
+  if (lists) env.LISTS = new MemoryKV();
+  return env;
+}
+
+/**
+ * Send a request to the Worker.
+ * @param {object} env
+ * @param {string} path
+ * @param {{ method?: string, headers?: object, body?: * }} [options] body is sent as JSON
+ * @returns {Promise<{ response: Response, body: * }>} body is the parsed JSON, or null for an empty one
+ */
+export async function call(env, path, { method = 'GET', headers = {}, body } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  const response = await fetch(new Request(`http://localhost${path}`, init), env);
+  const text = await response.text();
+  return { response, body: text ? JSON.parse(text) : null };
+}
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clearBreedData } from '../src/api/data.js';
+import { testEnv, call } from './helpers.mjs';
+
+const FAVORITES = { kind: 'favorites', name: 'Favorites', breeds: ['persian', 'persian', 'siamese'] };
+const COMPARISON = { kind: 'compare', name: 'Long coats', breeds: ['maine-coon', 'persian'] };
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+describe('/api/lists', () => {
+  let env;
+
+  beforeEach(() => {
+    clearBreedData();
+    env = testEnv();
+  });
+
+  async function create(list, token) {
+    return call(env, '/api/lists', { method: 'POST', body: list, headers: token ? bearer(token) : {} });
+  }
+
+  it('mints a token for a first list', async () => {
+    const { response, body } = await create(FAVORITES);
+    assert.equal(response.status, 201);
+    assert.match(body.token, /^[A-Za-z0-9_-]{43}$/);
+    assert.match(body.list.id, /^[A-Za-z0-9_-]{16}$/);
+    assert.equal(response.headers.get('Location'), `/api/lists/${body.list.id}`);
+    assert.equal(response.headers.get('Cache-Control'), 'private, no-store');
+    assert.deepEqual(body.list.breeds, ['persian', 'siamese'], 'duplicates are dropped');
+    assert.equal(body.list.created, body.list.updated);
+  });
+
+  it('adds lists to the token it is sent', async () => {
+    const { body: first } = await create(FAVORITES);
+    const { response, body } = await create(COMPARISON, first.token);
+    assert.equal(response.status, 201);
+    assert.equal(body.token, first.token);
+
+    const { body: all } = await call(env, '/api/lists', { headers: bearer(first.token) });
+    assert.deepEqual(all.lists.map(list => list.name).sort(), ['Favorites', 'Long coats']);
+  });
+
+  it('reads, replaces and deletes a list', async () => {
+    const { body: created } = await create(FAVORITES);
+    const path = `/api/lists/${created.list.id}`;
+    const headers = bearer(created.token);
+
+    const read = await call(env, path, { headers });
+    assert.equal(read.response.status, 200);
+    assert.deepEqual(read.body.list, created.list);
+
+    const replaced = await call(env, path, { method: 'PUT', headers, body: { kind: 'favorites', name: ' Shorthairs ', breeds: ['siamese'] } });
+    assert.equal(replaced.response.status, 200);
+    assert.equal(replaced.body.list.id, created.list.id);
+    assert.equal(replaced.body.list.name, 'Shorthairs');
+    assert.deepEqual(replaced.body.list.breeds, ['siamese']);
+    assert.equal(replaced.body.list.created, created.list.created);
+    assert.deepEqual((await call(env, path, { headers })).body.list, replaced.body.list);
+
+    const deleted = await call(env, path, { method: 'DELETE', headers });
+    assert.equal(deleted.response.status, 204);
+    assert.equal(deleted.body, null);
+
+    assert.equal((await call(env, path, { headers })).response.status, 404);
+    assert.deepEqual((await call(env, '/api/lists', { headers })).body.lists, []);
+  });
+
+  it('keeps lists private to their token', async () => {
+    const { body: mine } = await create(FAVORITES);
+    const { body: theirs } = await create(COMPARISON);
+    const path = `/api/lists/${mine.list.id}`;
+
+    assert.equal((await call(env, path, { headers: bearer(theirs.token) })).response.status, 404);
+    assert.equal((await call(env, path, { method: 'PUT', headers: bearer(theirs.token), body: COMPARISON })).response.status, 404);
+    assert.equal((await call(env, path, { method: 'DELETE', headers: bearer(theirs.token) })).response.status, 404);
+    assert.deepEqual((await call(env, '/api/lists', { headers: bearer(theirs.token) })).body.lists.map(list => list.id), [theirs.list.id]);
+  });
+
+  it('answers a request without a token with 401', async () => {
+    const { body: created } = await create(FAVORITES);
+
+    for (const [method, path] of [['GET', '/api/lists'], ['GET', `/api/lists/${created.list.id}`], ['DELETE', `/api/lists/${created.list.id}`]]) {
+      const { response } = await call(env, path, { method });
+      assert.equal(response.status, 401, `${method} ${path}`);
+      assert.equal(response.headers.get('WWW-Authenticate'), 'Bearer');
+    }
+  });
+
+  for (const header of ['Bearer short', 'Basic dXNlcjpwYXNz', `Bearer ${'x'.repeat(42)}!`]) {
+    it(`answers Authorization: ${header} with 401`, async () => {
+      const { response, body } = await call(env, '/api/lists', { headers: { Authorization: header } });
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get('WWW-Authenticate'), 'Bearer error="invalid_token"');
+      assert.equal(body.error.message, 'Invalid token');
+    });
+  }
+
+  it('does not mint a token over an invalid one', async () => {
+    const { response } = await call(env, '/api/lists', { method: 'POST', body: FAVORITES, headers: { Authorization: 'Bearer short' } });
+    assert.equal(response.status, 401);
+  });
+
+  it('answers an unknown list with 404', async () => {
+    const { body: created } = await create(FAVORITES);
+    const { response } = await call(env, '/api/lists/AAAAAAAAAAAAAAAA', { headers: bearer(created.token) });
+    assert.equal(response.status, 404);
+  });
+
+  const invalid = {
+    'an unknown kind': { ...FAVORITES, kind: 'wishlist' },
+    'a blank name': { ...FAVORITES, name: '  ' },
+    'an unknown breed': { ...FAVORITES, breeds: ['dragon'] },
+    'an unknown field': { ...FAVORITES, shared: true },
+    'a comparison of one breed': { ...COMPARISON, breeds: ['persian'] },
+    'a body that is not JSON': '{"kind":'
+  };
+  for (const [problem, body] of Object.entries(invalid)) {
+    it(`answers ${problem} with 400`, async () => {
+      const { response } = await create(body);
+      assert.equal(response.status, 400);
+    });
+  }
+
+  it('answers with 503 when no KV namespace is bound', async () => {
+    const unbound = testEnv({ lists: false });
+    const { response, body } = await call(unbound, '/api/lists', { method: 'POST', body: FAVORITES });
+    assert.equal(response.status, 503);
+    assert.equal(body.error.message, 'Saved lists are not available');
+    assert.equal((await call(unbound, '/api/lists', { headers: bearer('x'.repeat(43)) })).response.status, 503);
+  });
+});